@@ -0,0 +1,218 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import _ from 'lodash';
+import { readFile, writeFile } from './util';
+import { reportDiagnostic, getErrorCount } from './diagnostics';
+
+/**
+ * Return MD5 hash of a string.
+ *
+ * @param {string} string
+ * @return {string}
+ */
+export function hashString(string) {
+	return crypto
+		.createHash('md5')
+		.update(string)
+		.digest('hex')
+	;
+}
+
+/**
+ * Return MD5 hash of any JSON serializable value.
+ *
+ * @param {*} value
+ * @return {string}
+ */
+export function hashObject(value) {
+	return hashString(JSON.stringify(value) || '');
+}
+
+/**
+ * Load build cache manifest from a disk. Returns an empty cache if the manifest does not exist or was created
+ * with a different key. The list of generated files is kept in any case: those files are still on a disk.
+ *
+ * @param {string} filepath Cache manifest file path.
+ * @param {string} $1.key Cache key: change it to invalidate the whole cache (for example, when renderers options change).
+ * @return {object}
+ */
+export function loadCache(filepath, { key = '' } = {}) {
+	let manifest = {};
+	if (fs.existsSync(filepath)) {
+		try {
+			manifest = JSON.parse(readFile(filepath));
+		}
+		catch (exception) {
+			reportDiagnostic({
+				severity: 'warning',
+				code: 'cache-read',
+				message: `Cannot read cache manifest: ${exception.message}`,
+				file: filepath,
+			});
+		}
+	}
+	const generated = manifest.generated || [];
+	if (manifest.key !== key) {
+		manifest = {};
+	}
+
+	return {
+		filepath,
+		key,
+		sources: manifest.sources || {},
+		pages: manifest.pages || {},
+		generated,
+		hashes: {},
+		used: {
+			sources: new Set(),
+			pages: new Set(),
+		},
+	};
+}
+
+/**
+ * Save build cache manifest to a disk. Only sources and pages used in the current build are kept.
+ * Builds without the cache (see `recordGeneratedFiles`) save only the list of generated files.
+ *
+ * @param {object} cache
+ */
+export function saveCache(cache) {
+	writeFile(cache.filepath, JSON.stringify({
+		key: cache.key,
+		sources: _.pick(cache.sources, Array.from(cache.used.sources)),
+		pages: _.pick(cache.pages, Array.from(cache.used.pages)),
+		generated: cache.generated,
+	}));
+}
+
+/**
+ * Record files generated by the current build. Files generated by previous builds are kept in the list while
+ * they exist on a disk, so they could be removed later as stale.
+ *
+ * @param {object} cache
+ * @param {string} folder Public folder.
+ * @param {Array} files Generated files, relative to the public folder.
+ */
+export function recordGeneratedFiles(cache, folder, files) {
+	const previous = cache.generated.filter(filepath => fs.existsSync(path.join(folder, filepath)));
+	cache.generated = _.union(files.map(filepath => path.normalize(filepath)), previous);
+}
+
+/**
+ * Return hash of a file contents (computed once per build), or `null` if the file does not exist.
+ *
+ * @param {object} cache
+ * @param {string} filepath
+ * @return {string}
+ */
+export function getFileHash(cache, filepath) {
+	if (!(filepath in cache.hashes)) {
+		cache.hashes[filepath] = fs.existsSync(filepath) ? hashString(fs.readFileSync(filepath)) : null;
+	}
+	return cache.hashes[filepath];
+}
+
+/**
+ * Render source file body or return rendered content from the cache if the body did not change.
+ * Returns a promise if the render function returns a promise. Content rendered with errors is not cached,
+ * so errors are reported again on the next build.
+ *
+ * @param {object} cache
+ * @param {string} filepath Source file path.
+ * @param {string} body Source file body (without front matter).
+ * @param {Function} render
+ * @return {string|Promise}
+ */
+export function cachedRender(cache, filepath, body, render) {
+	const hash = hashString(body);
+	const entry = cache.sources[filepath];
+	cache.used.sources.add(filepath);
+	if (entry && entry.hash === hash) {
+		return entry.content;
+	}
+
+	const errors = getErrorCount();
+	const save = content => {
+		if (getErrorCount() > errors) {
+			delete cache.sources[filepath];
+			return content;
+		}
+		cache.sources[filepath] = {
+			hash,
+			content,
+		};
+		return content;
+	};
+
+	// Render function could be asynchronous
+	const content = render();
+	if (content && _.isFunction(content.then)) {
+		return content.then(save);
+	}
+	return save(content);
+}
+
+/**
+ * Check whether a page was already generated from the same inputs and all files (templates, assets)
+ * and collections it depends on are unchanged.
+ *
+ * @param {object} cache
+ * @param {string} pagePath
+ * @param {string} inputs Hash of page inputs: document and config.
+ * @param {object} [collections] Hashes of all collections: {name: hash}.
+ * @return {boolean}
+ */
+export function isPageFresh(cache, pagePath, inputs, collections = {}) {
+	const entry = cache.pages[pagePath];
+	if (!entry || entry.inputs !== inputs || !entry.file || !fs.existsSync(entry.file)) {
+		return false;
+	}
+	cache.used.pages.add(pagePath);
+	return _.every(entry.collections, (hash, name) => collections[name] === hash) &&
+		_.every(entry.files, (hash, filepath) => getFileHash(cache, filepath) === hash);
+}
+
+/**
+ * Record page inputs and files and collections it depends on.
+ *
+ * @param {object} cache
+ * @param {string} pagePath
+ * @param {string} inputs Hash of page inputs: document and config.
+ * @param {Array} files Files used to render a page.
+ * @param {object} [collections] Hashes of collections used to render a page: {name: hash}.
+ */
+export function recordPage(cache, pagePath, inputs, files, collections = {}) {
+	cache.used.pages.add(pagePath);
+	cache.pages[pagePath] = {
+		...cache.pages[pagePath],
+		inputs,
+		collections,
+		files: files.reduce((hashes, filepath) => {
+			hashes[filepath] = getFileHash(cache, filepath);
+			return hashes;
+		}, {}),
+	};
+}
+
+/**
+ * Record page output and check whether the file on a disk should be rewritten.
+ *
+ * @param {object} cache
+ * @param {string} pagePath
+ * @param {string} filepath Output file path.
+ * @param {string} content Page contents.
+ * @return {boolean}
+ */
+export function recordPageOutput(cache, pagePath, filepath, content) {
+	const output = hashString(content);
+	const entry = cache.pages[pagePath] || {};
+	const changed = entry.output !== output || entry.file !== filepath || !fs.existsSync(filepath);
+	cache.used.pages.add(pagePath);
+	cache.pages[pagePath] = {
+		...entry,
+		output,
+		file: filepath,
+	};
+	return changed;
+}
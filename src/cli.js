@@ -0,0 +1,485 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import _ from 'lodash';
+
+import {
+	loadConfig,
+	loadData,
+	loadSourceFiles,
+	linkTranslations,
+	linkRelated,
+	setDocumentLanguages,
+	applyPermalinks,
+	buildCollections,
+	buildTaxonomies,
+	generatePages,
+	savePages,
+	cleanPages,
+} from './core';
+import { loadCache, saveCache, recordGeneratedFiles, hashObject, hashString } from './cache';
+import { buildRedirects } from './redirects';
+import { buildSearchIndexes } from './search';
+import { clearDiagnostics, printDiagnosticsSummary } from './diagnostics';
+import { watch } from './watch';
+import { serve } from './server';
+import { start, readFile, writeFile, slugify, printError } from './util';
+import * as defaultHelpers from './helpers';
+import createMarkdownRenderer from './renderers/markdown';
+import createTemplateRenderer from './renderers/template';
+import { version } from '../package.json';
+
+/* eslint-disable no-console */
+
+const CACHE_FILE = 'node_modules/.cache/fledermaus/cache.json';
+
+const defaultOptions = {
+	sourceFolder: 'source',
+	sourceTypes: ['md', 'html'],
+	templatesFolder: 'templates',
+	dataFolder: 'data',
+	publicFolder: 'public',
+	hooks: 'fledermaus.js',
+	postsFolder: '',
+	port: 4242,
+	clean: false,
+	cleanIgnore: [],
+	strict: false,
+};
+
+const USAGE = `
+Usage: fledermaus <command> [options]
+
+Commands:
+  build [--incremental] [--clean] [--dry-run] [--drafts] [--strict]
+                         Build the site, remove stale files from the public folder with --clean,
+                         include drafts and scheduled posts with --drafts,
+                         exit with a non-zero code on any error with --strict
+  serve [--port=4242]    Build the site (including drafts), rebuild on changes and serve it with live reload
+  new <folder>           Create a new site
+  new post <title>       Create a new post
+`;
+
+const SITE_FILES = {
+	'package.json': `{
+  "private": true,
+  "scripts": {
+    "start": "fledermaus serve",
+    "build": "fledermaus build"
+  },
+  "devDependencies": {
+    "babel-plugin-transform-react-jsx": "~6.22.0",
+    "babel-preset-tamia": "~6.8.0",
+    "babel-register": "~6.22.0",
+    "fledermaus": "*"
+  }
+}
+`,
+	'.babelrc': `{
+  "presets": [
+    "tamia"
+  ],
+  "plugins": [
+    ["transform-react-jsx", {
+      "pragma": "vdo"
+    }]
+  ]
+}
+`,
+	'config/base.yml': `sourceFolder: source
+sourceTypes:
+  - md
+  - html
+templatesFolder: templates
+assetsFolder: public
+publicFolder: public
+cutTag: <!-- cut -->
+
+lang: en
+url: http://example.com
+title: My Site
+`,
+	'source/index.md': `---
+layout: page
+title: Hello
+---
+
+Edit \`source/index.md\` and see what happens.
+`,
+	'templates/page.jsx': `export default function($) {
+	return (
+		<html lang={$.pageLang()}>
+			<head>
+				<meta charset="utf-8"/>
+				<title>{$.getPageTitle()}</title>
+			</head>
+			<body>
+				<h1>{$.title}</h1>
+				{$.safe($.content)}
+			</body>
+		</html>
+	);
+}
+`,
+	'templates/post.jsx': `export default function($) {
+	return (
+		<html lang={$.pageLang()}>
+			<head>
+				<meta charset="utf-8"/>
+				<title>{$.getPageTitle()}</title>
+			</head>
+			<body>
+				<article>
+					<h1>{$.title}</h1>
+					<p>{$.dateToString(new Date($.date))}</p>
+					{$.safe($.content)}
+				</article>
+			</body>
+		</html>
+	);
+}
+`,
+};
+
+/**
+ * Parse command line arguments: positional arguments, `--flag` and `--name=value` options.
+ *
+ * @param {Array} args
+ * @return {object} { _: [...positional], ...options }
+ */
+export function parseArgs(args) {
+	return args.reduce((parsed, arg) => {
+		if (arg.startsWith('--')) {
+			const [name, ...value] = arg.substring(2).split('=');
+			parsed[_.camelCase(name)] = value.length ? value.join('=') : true;
+		}
+		else {
+			parsed._.push(arg);
+		}
+		return parsed;
+	}, { _: [] });
+}
+
+/**
+ * Return base config options with defaults.
+ *
+ * @param {object} config
+ * @return {object}
+ */
+export function getSiteOptions(config) {
+	return {
+		...defaultOptions,
+		...config.base,
+	};
+}
+
+/**
+ * Return permalink patterns from the `permalinks` config option ({glob: pattern}) and the `permalink` option
+ * of collections (pattern for documents matching a collection). Patterns from the `permalinks` option go first.
+ *
+ * @param {object} options Site options.
+ * @return {object} {glob: pattern}
+ */
+export function getPermalinkPatterns(options) {
+	const collectionPatterns = _.filter(options.collections, 'permalink').map(collection => [
+		collection.match || '**',
+		collection.permalink,
+	]);
+	return _.defaults({}, options.permalinks, _.fromPairs(collectionPatterns));
+}
+
+/**
+ * Register Babel from the site’s dependencies (if installed), so JSX templates and hooks can use any syntax.
+ *
+ * @param {string} folder Site folder.
+ */
+function registerBabel(folder) {
+	const babelRegister = path.resolve(folder, 'node_modules/babel-register');
+	if (fs.existsSync(babelRegister)) {
+		require(babelRegister);
+	}
+}
+
+/**
+ * Load site hooks (`hooks` config option, `fledermaus.js` by default). All hooks are optional:
+ *
+ * - `helpers`: custom template helpers (merged with default helpers);
+ * - `markdownOptions`: Markdown renderer options (`customTags`, `plugins`, etc.);
+ * - `fieldParsers`: custom front matter field parsers;
+ * - `prepareDocuments(documents, config)`: return documents to generate, collection listing pages
+ *   and taxonomy term pages are already added;
+ * - `afterBuild(pages, config)`: called after pages are saved.
+ *
+ * @param {string} folder Site folder.
+ * @param {object} options Site options.
+ * @return {object}
+ */
+export function loadHooks(folder, options) {
+	const filepath = path.resolve(folder, options.hooks);
+	if (!fs.existsSync(filepath)) {
+		return {};
+	}
+	// Reload the hooks file and its local modules, so changes are picked up in watch mode
+	getLocalModules(filepath).forEach(file => delete require.cache[file]);
+	return require(filepath);
+}
+
+/**
+ * Return a loaded module file path and paths of all local modules (not in `node_modules`) it requires.
+ *
+ * @param {string} filepath
+ * @return {Array}
+ */
+function getLocalModules(filepath) {
+	const files = new Set();
+	const walk = module => {
+		if (!module || files.has(module.filename) || module.filename.split(path.sep).includes('node_modules')) {
+			return;
+		}
+		files.add(module.filename);
+		module.children.forEach(walk);
+	};
+	walk(require.cache[filepath]);
+	return Array.from(files);
+}
+
+/**
+ * Return build cache key: changes when Fledermaus is updated or when the hooks file (see `loadHooks`) or any
+ * local module it requires changes, because helpers, custom tags and renderers could change any page.
+ * Call after `loadHooks`.
+ *
+ * @param {string} folder Site folder.
+ * @param {object} options Site options.
+ * @return {string}
+ */
+export function getCacheKey(folder, options) {
+	const files = getLocalModules(path.resolve(folder, options.hooks));
+	return hashObject([
+		version,
+		files.map(file => [path.relative(folder, file), hashString(readFile(file))]),
+	]);
+}
+
+/**
+ * Build the site using the default pipeline customized with site hooks.
+ *
+ * @param {string} $0.folder Site folder.
+ * @param {boolean} $0.incremental Use the build cache.
+ * @param {boolean} $0.clean Remove stale files from the public folder (`clean` config option).
+ * @param {boolean} $0.dryRun Only print stale files, do not remove them.
+ * @param {boolean} $0.drafts Include drafts, scheduled and expired documents (development build).
+ * @param {boolean} $0.strict Set non-zero exit code if there were any errors (`strict` config option).
+ * @param {string} [$0.cacheFile] Build cache manifest path, `node_modules/.cache/fledermaus/cache.json` in the site
+ * folder by default.
+ * @return {Array} Generated pages.
+ */
+export function build({
+	folder = '.',
+	incremental,
+	clean,
+	dryRun,
+	drafts,
+	strict,
+	cacheFile = path.join(folder, CACHE_FILE),
+} = {}) {
+	clearDiagnostics();
+
+	const config = loadConfig(path.join(folder, 'config'));
+	const options = getSiteOptions(config);
+	const hooks = loadHooks(folder, options);
+	const cacheKey = getCacheKey(folder, options);
+	const cache = incremental && loadCache(cacheFile, { key: cacheKey });
+
+	const renderMarkdown = createMarkdownRenderer(hooks.markdownOptions);
+	const renderTemplate = createTemplateRenderer({
+		root: path.join(folder, options.templatesFolder),
+	});
+
+	const helpers = {
+		...defaultHelpers,
+		...hooks.helpers,
+	};
+
+	let documents = loadSourceFiles(path.join(folder, options.sourceFolder), options.sourceTypes, {
+		renderers: {
+			md: renderMarkdown,
+		},
+		config,
+		helpers,
+		fieldParsers: hooks.fieldParsers,
+		cutTag: options.cutTag,
+		cache,
+		drafts,
+		schemas: options.schemas,
+	});
+	const langs = _.without(Object.keys(config), 'base');
+	documents = setDocumentLanguages(documents, { langs });
+	documents = applyPermalinks(documents, getPermalinkPatterns(options));
+	documents = linkTranslations(documents, { langs });
+	documents = linkRelated(documents, options.collections, options.taxonomies);
+	const { collections, documents: listings } = buildCollections(documents, options.collections);
+	const { taxonomies, documents: termPages } = buildTaxonomies(documents, options.taxonomies, config);
+	documents = [...documents, ...listings, ...termPages];
+	if (hooks.prepareDocuments) {
+		documents = hooks.prepareDocuments(documents, config);
+	}
+	documents = [...documents, ...buildRedirects(documents, { formats: options.redirects }).documents];
+	if (options.search) {
+		documents = [
+			...documents,
+			...buildSearchIndexes(documents, options.search, { collections, lang: options.lang }).documents,
+		];
+	}
+	if (options.sitemap) {
+		documents.push({
+			...options.sitemap,
+			sourcePath: 'sitemap.xml',
+			url: '/sitemap.xml',
+			layout: 'Sitemap',
+			sourceFolder: path.join(folder, options.sourceFolder),
+		});
+	}
+
+	const data = loadData(path.join(folder, options.dataFolder));
+	const pages = generatePages(documents, config, helpers, { jsx: renderTemplate }, {
+		cache,
+		data,
+		collections,
+		taxonomies,
+	});
+	savePages(pages, path.join(folder, options.publicFolder), { cache });
+
+	// Even without --incremental the cache keeps the list of generated files, so --clean knows what it could remove
+	const publicFolder = path.join(folder, options.publicFolder);
+	const manifest = cache || loadCache(cacheFile, { key: cacheKey });
+	if (clean || options.clean) {
+		const removed = cleanPages(pages, publicFolder, {
+			generated: manifest.generated,
+			ignore: options.cleanIgnore,
+			dryRun,
+		});
+		removed.forEach(file => console.log(dryRun ? `Stale file: ${file}` : `Removed stale file: ${file}`));
+	}
+	recordGeneratedFiles(manifest, publicFolder, pages.map(page => page.pagePath));
+	saveCache(manifest);
+
+	if (hooks.afterBuild) {
+		hooks.afterBuild(pages, config);
+	}
+
+	printDiagnosticsSummary({ strict: strict || options.strict });
+
+	return pages;
+}
+
+/**
+ * Build the site, rebuild it on changes and serve the public folder with live reload.
+ *
+ * @param {string} $0.folder Site folder.
+ * @param {number} $0.port Port.
+ * @return {object} { server, watcher }
+ */
+export function serveSite({ folder = '.', port } = {}) {
+	const options = getSiteOptions(loadConfig(path.join(folder, 'config')));
+	const server = serve(path.join(folder, options.publicFolder), { port: Number(port || options.port) });
+	const folders = ['config', options.sourceFolder, options.templatesFolder, options.dataFolder, options.hooks]
+		.map(name => path.join(folder, name))
+	;
+	const watcher = watch(folders, () => {
+		console.log('Building the site...');
+		return build({ folder, incremental: true, drafts: true });
+	}, { server });
+	return {
+		server,
+		watcher,
+	};
+}
+
+/**
+ * Create a new site from a template.
+ *
+ * @param {string} folder New site folder.
+ * @return {Array} Created files.
+ */
+export function createSite(folder) {
+	if (fs.existsSync(folder) && fs.readdirSync(folder).length) {
+		throw new Error(`Folder ${folder} is not empty.`);
+	}
+	return Object.keys(SITE_FILES).map(filename => {
+		const filepath = path.join(folder, filename);
+		writeFile(filepath, SITE_FILES[filename]);
+		return filepath;
+	});
+}
+
+/**
+ * Create a new post in the `postsFolder` (inside `sourceFolder`).
+ *
+ * @param {string} title Post title.
+ * @param {string} $1.folder Site folder.
+ * @param {Date} $1.date Post date.
+ * @return {string} Created file path.
+ */
+export function createPost(title, { folder = '.', date = new Date() } = {}) {
+	const options = getSiteOptions(loadConfig(path.join(folder, 'config')));
+	const filepath = path.join(folder, options.sourceFolder, options.postsFolder, `${slugify(title)}.md`);
+	if (fs.existsSync(filepath)) {
+		throw new Error(`File ${filepath} already exists.`);
+	}
+	writeFile(filepath, [
+		'---',
+		'layout: post',
+		`title: ${JSON.stringify(title)}`,
+		`date: ${date.toISOString().substring(0, 10)}`,
+		'---',
+		'',
+		'',
+	].join('\n'));
+	return filepath;
+}
+
+/**
+ * Run a command.
+ *
+ * @param {Array} args Command line arguments.
+ */
+export function run(args) {
+	const argv = parseArgs(args);
+	const [command, ...params] = argv._;
+	try {
+		switch (command) {
+			case 'build':
+				registerBabel('.');
+				start('Building the site...');
+				build({
+					incremental: argv.incremental,
+					clean: argv.clean,
+					dryRun: argv.dryRun,
+					drafts: argv.drafts,
+					strict: argv.strict,
+				});
+				break;
+			case 'serve':
+				registerBabel('.');
+				serveSite({ port: argv.port });
+				break;
+			case 'new':
+				if (params[0] === 'post' && params.length > 1) {
+					console.log(chalk.green(`Created ${createPost(params.slice(1).join(' '))}`));
+				}
+				else if (params.length === 1) {
+					createSite(params[0]).forEach(file => console.log(chalk.green(`Created ${file}`)));
+				}
+				else {
+					console.log(USAGE);
+				}
+				break;
+			default:
+				console.log(USAGE);
+		}
+	}
+	catch (exception) {
+		printError(exception.message);
+		process.exitCode = 1;
+	}
+}
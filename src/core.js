@@ -1,17 +1,73 @@
+import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import glob from 'glob';
 import fastmatter from 'fastmatter';
+import minimatch from 'minimatch';
+import striptags from 'striptags';
 import _ from 'lodash';
 
 import renderRss from './renderers/rss';
+import renderAtom from './renderers/atom';
+import renderJsonFeed from './renderers/jsonfeed';
+import renderRedirect, { renderRedirectMap } from './renderers/redirect';
+import renderSitemap, { renderSitemapIndex } from './renderers/sitemap';
+import renderSearchIndex from './renderers/search';
+import { getMarkdownMetadata } from './renderers/markdown';
+import { validateSources } from './schema';
+import { reportDiagnostic, withDiagnosticsContext, getErrorCount } from './diagnostics';
+import {
+	hashObject,
+	getFileHash,
+	cachedRender,
+	isPageFresh,
+	recordPage,
+	recordPageOutput,
+} from './cache';
 import {
 	getExtension,
 	removeExtension,
 	readFile,
+	readFileAsync,
 	writeFile,
+	writeFileAsync,
+	removeFile,
+	mapLimit,
+	slugify,
 	readYamlFile,
+	readJsonFile,
+	readCsvFile,
 	formatFieldsForSortByOrder,
+	getPublishStatus,
+	isListable,
+	toDate,
+	cleanHtml,
+	getWordCount,
+	getReadingTime,
+	unpublishedHtml,
 } from './util';
+import { getTerms as getSearchTerms } from './search-client';
+
+// Layouts that don’t need a template
+const builtInLayouts = {
+	RSS: renderRss,
+	Atom: renderAtom,
+	JSONFeed: renderJsonFeed,
+	Redirect: renderRedirect,
+	RedirectMap: renderRedirectMap,
+	Sitemap: renderSitemap,
+	SitemapIndex: renderSitemapIndex,
+	SearchIndex: renderSearchIndex,
+};
+
+// Built-in layouts that generate XML
+const xmlLayouts = ['RSS', 'Atom', 'Sitemap', 'SitemapIndex'];
+
+// Built-in layouts that generate JSON
+const jsonLayouts = ['JSONFeed', 'SearchIndex'];
+
+// Maximum number of URLs in one sitemap file
+const SITEMAP_LIMIT = 50000;
 
 /**
  * Convert file path to URL.
@@ -28,23 +84,107 @@ export function filepathToUrl(filepath) {
 	return url;
 }
 
+/**
+ * Convert URL to an output file path: `/blog/post` → `blog/post.html`, `/blog/` → `blog/index.html`.
+ * URLs with an extension are kept as is: `/feed.xml` → `feed.xml`.
+ *
+ * @param {string} url
+ * @param {string} [extension] Output file extension.
+ * @return {string}
+ */
+export function urlToPagePath(url, extension = 'html') {
+	let pagePath = url.replace(/^\//, '');
+	if (!pagePath || pagePath.endsWith('/')) {
+		pagePath += 'index';
+	}
+	if (getExtension(pagePath)) {
+		return pagePath;
+	}
+	return `${pagePath}.${extension}`;
+}
+
+/**
+ * Return output file extension for a document: `xml` for RSS, Atom and sitemaps, `json` for JSON Feed
+ * and search indexes, an extension from the layout or `html`.
+ *
+ * @param {object} document
+ * @return {string}
+ */
+function getPageExtension(document) {
+	if (xmlLayouts.includes(document.layout)) {
+		return 'xml';
+	}
+	if (jsonLayouts.includes(document.layout)) {
+		return 'json';
+	}
+	return getExtension(document.layout || '') || 'html';
+}
+
 /**
  * Renders source using appropriate renderer based on file extension.
  *
  * @param {string} source Source file contents.
  * @param {string} filepath Source file path.
  * @param {object} renderers {ext: renderFunction}
+ * @param {object} [context] Page context for renderers (see `makeSourceContext`).
  * @return {string}
  */
-export function renderByType(source, filepath, renderers = {}) {
+export function renderByType(source, filepath, renderers = {}, context) {
 	const extension = getExtension(filepath);
 	const render = renderers[extension];
 	if (_.isFunction(render)) {
-		return render(source);
+		return render(source, context);
 	}
 	return source;
 }
 
+/**
+ * Create a page context for source renderers (like custom tags in Markdown): front matter fields, `sourcePath`,
+ * config and helpers bound to the context (see `makeContext`).
+ *
+ * Renderers could register page assets (CSS and JS files) with `addAsset(url)`, record files they use
+ * to the `dependencies` set, and set source `metadata` (like the Markdown renderer does, see `getMarkdownMetadata`).
+ *
+ * @param {object} attributes Front matter attributes.
+ * @param {string} filepath Source file path.
+ * @param {object} [config]
+ * @param {object} [helpers]
+ * @return {object}
+ */
+export function makeSourceContext(attributes, filepath, config = {}, helpers = {}) {
+	const context = makeContext({ ...attributes, sourcePath: filepath }, config, helpers);
+	context.assets = [];
+	context.dependencies = new Set();
+	context.addAsset = url => {
+		if (!context.assets.includes(url)) {
+			context.assets.push(url);
+		}
+	};
+	return context;
+}
+
+/**
+ * Render source with a page context (see `makeSourceContext`).
+ *
+ * @param {string} body Source file body (without front matter).
+ * @param {string} filepath Source file path.
+ * @param {object} renderers {ext: renderFunction}
+ * @param {object} [$3.attributes] Front matter attributes.
+ * @param {object} [$3.config]
+ * @param {object} [$3.helpers]
+ * @return {object} { content, assets, dependencies, metadata }
+ */
+export function renderPageSource(body, filepath, renderers, { attributes = {}, config, helpers } = {}) {
+	const context = makeSourceContext(attributes, filepath, config, helpers);
+	const content = renderByType(body, filepath, renderers, context);
+	return _.omitBy({
+		content,
+		assets: context.assets,
+		dependencies: Array.from(context.dependencies),
+		metadata: context.metadata,
+	}, _.isUndefined);
+}
+
 /**
  * Return attributes object with parsed custom fields.
  *
@@ -64,21 +204,21 @@ export function parseCustomFields(attributes, fieldParsers) {
 }
 
 /**
- * Parse front matter and render contents.
+ * Create a document from front matter attributes and rendered contents.
  *
- * @param {string} source Source file contents.
+ * URL is made from the file path, unless it’s overridden by a `url` front matter field: then the document
+ * gets a `pagePath` field, so the output file matches the URL.
+ *
+ * @param {object} attributes Front matter attributes.
+ * @param {string} content Rendered contents.
  * @param {string} filepath Source file path relative to `folder`.
- * @param {object} $2.renderers Content renderers: {ext: renderFunction}.
- * @param {object} $2.fieldParsers Custom field parsers: {name: parseFunction}.
- * @param {object} $2.cutTag Cut separator.
+ * @param {object} $3.fieldParsers Custom field parsers: {name: parseFunction}.
+ * @param {object} $3.cutTag Cut separator.
  * @return {object} { sourcePath, content, excerpt, more, url }
  */
-export function parsePage(source, filepath, { renderers = {}, fieldParsers = {}, cutTag } = {}) {
-	const { attributes, body } = fastmatter(source);
-
-	const url = filepathToUrl(filepath);
-
-	const content = renderByType(body, filepath, renderers);
+export function createDocument(attributes, content, filepath, { fieldParsers = {}, cutTag } = {}) {
+	const url = attributes.url || filepathToUrl(filepath);
+	const pagePath = attributes.pagePath || (attributes.url ? urlToPagePath(url, getPageExtension(attributes)) : undefined);
 
 	let excerpt;
 	let more;
@@ -94,10 +234,183 @@ export function parsePage(source, filepath, { renderers = {}, fieldParsers = {},
 		more: more && more.trim(),
 		url,
 	};
+	if (pagePath) {
+		extendedAttributes.pagePath = pagePath;
+	}
 
 	return parseCustomFields(extendedAttributes, fieldParsers);
 }
 
+/**
+ * Return diagnostics context for a source file: line numbers reported by renderers are relative to the body,
+ * so they are shifted by the number of front matter lines.
+ *
+ * @param {string} source Source file contents.
+ * @param {string} body Source file body (without front matter).
+ * @param {string} filepath Source file path.
+ * @return {object} { file, lineOffset }
+ */
+export function getSourceContext(source, body, filepath) {
+	return {
+		file: filepath,
+		lineOffset: source.split('\n').length - body.split('\n').length,
+	};
+}
+
+/**
+ * Return metadata of a source file: word count and reading time for all files, and headings, links
+ * and images for Markdown (see `getMarkdownMetadata`).
+ *
+ * @param {string} body Source file body (without front matter).
+ * @param {string} filepath Source file path.
+ * @param {string} content Rendered contents.
+ * @return {object} { wordCount, readingTime, headings, links, images }
+ */
+function getSourceMetadata(body, filepath, content) {
+	if (getExtension(filepath) === 'md') {
+		return getMarkdownMetadata(body);
+	}
+	const text = striptags(content || '');
+	return {
+		wordCount: getWordCount(text),
+		readingTime: getReadingTime(text),
+	};
+}
+
+/**
+ * Return metadata of a source file: metadata set by a renderer, or metadata from the build cache if the body
+ * did not change.
+ *
+ * @param {string} body Source file body (without front matter).
+ * @param {string} filepath Source file path.
+ * @param {object} rendered Rendered source: { content, metadata }.
+ * @param {object} [cache] Build cache.
+ * @return {object}
+ */
+function getCachedSourceMetadata(body, filepath, { content, metadata }, cache) {
+	if (metadata) {
+		return metadata;
+	}
+	const getMetadata = () => getSourceMetadata(body, filepath, content);
+	return cache ? cachedRender(cache, `${filepath}#metadata`, body, getMetadata) : getMetadata();
+}
+
+/**
+ * Render source using the build cache: skip rendering if the body, front matter, config and files used by renderers
+ * did not change since the previous build.
+ *
+ * @param {object} [cache] Build cache.
+ * @param {string} filepath Source file path.
+ * @param {string} input Rendering input: body, front matter and config.
+ * @param {Function} render Returns (a promise of) { content, assets, dependencies }.
+ * @return {object|Promise} { content, assets, dependencies: {filepath: hash} }
+ */
+function renderSourceCached(cache, filepath, input, render) {
+	if (!cache) {
+		return render();
+	}
+
+	const entry = cache.sources[filepath];
+	const dependencies = entry && entry.content && entry.content.dependencies;
+	if (_.some(dependencies, (hash, file) => getFileHash(cache, file) !== hash)) {
+		delete cache.sources[filepath];
+	}
+
+	const hashDependencies = rendered => ({
+		...rendered,
+		dependencies: rendered.dependencies.reduce((hashes, file) => {
+			hashes[file] = getFileHash(cache, file);
+			return hashes;
+		}, {}),
+	});
+	return cachedRender(cache, filepath, input, () => {
+		const rendered = render();
+		return _.isFunction(rendered.then) ? rendered.then(hashDependencies) : hashDependencies(rendered);
+	});
+}
+
+/**
+ * Return document attributes: metadata, front matter and assets registered by renderers.
+ *
+ * @param {object} metadata Source metadata (see `getSourceMetadata`).
+ * @param {object} attributes Front matter attributes.
+ * @param {Array} assets Assets registered by renderers.
+ * @return {object}
+ */
+function getDocumentAttributes(metadata, attributes, assets = []) {
+	const documentAttributes = { ...metadata, ...attributes };
+	if (assets.length) {
+		documentAttributes.assets = _.union(attributes.assets || [], assets);
+	}
+	return documentAttributes;
+}
+
+/**
+ * Parse front matter and render contents. Documents also get metadata: `wordCount`, `readingTime`, and `headings`,
+ * `links` and `images` for Markdown (see `getMarkdownMetadata`). Front matter fields take precedence.
+ *
+ * Renderers get a page context with front matter fields, config and helpers (see `makeSourceContext`).
+ * Assets registered by renderers are added to the `assets` field.
+ *
+ * @param {string} source Source file contents.
+ * @param {string} filepath Source file path relative to `folder`.
+ * @param {object} $2.renderers Content renderers: {ext: renderFunction}.
+ * @param {object} $2.fieldParsers Custom field parsers: {name: parseFunction}.
+ * @param {object} $2.cutTag Cut separator.
+ * @param {object} $2.cache Build cache: skip rendering if the body did not change since the previous build.
+ * @param {object} $2.config Config for the page context.
+ * @param {object} $2.helpers Helpers for the page context.
+ * @return {object} { sourcePath, content, excerpt, more, url, wordCount, readingTime, ... }
+ */
+export function parsePage(source, filepath, { renderers = {}, fieldParsers, cutTag, cache, config, helpers } = {}) {
+	const { attributes, body } = fastmatter(source);
+
+	const context = getSourceContext(source, body, filepath);
+	const render = () => withDiagnosticsContext(context, () =>
+		renderPageSource(body, filepath, renderers, { attributes, config, helpers })
+	);
+	const input = body + hashObject([attributes, config]);
+	const rendered = renderSourceCached(cache, filepath, input, render);
+	const { content, assets } = rendered;
+	const metadata = getCachedSourceMetadata(body, filepath, rendered, cache);
+
+	return createDocument(getDocumentAttributes(metadata, attributes, assets), content, filepath, { fieldParsers, cutTag });
+}
+
+/**
+ * Parse front matter and render contents asynchronously: in a worker pool if it’s specified.
+ *
+ * @param {string} source Source file contents.
+ * @param {string} filepath Source file path relative to `folder`.
+ * @param {object} $2.renderers Content renderers: {ext: renderFunction}.
+ * @param {object} $2.fieldParsers Custom field parsers: {name: parseFunction}.
+ * @param {object} $2.cutTag Cut separator.
+ * @param {object} $2.cache Build cache.
+ * @param {object} $2.config Config for the page context.
+ * @param {object} $2.helpers Helpers for the page context (helpers from the site module are used in a worker pool).
+ * @param {object} $2.pool Worker pool (see `createWorkerPool`), renderers are ignored if it’s specified.
+ * @return {Promise} { sourcePath, content, excerpt, more, url, wordCount, readingTime, ... }
+ */
+export async function parsePageAsync(source, filepath, {
+	renderers = {}, fieldParsers, cutTag, cache, config, helpers, pool,
+} = {}) {
+	const { attributes, body } = fastmatter(source);
+
+	const context = getSourceContext(source, body, filepath);
+	const render = async () => (pool
+		? pool.run('renderPageSource', [body, filepath, context, { attributes, config }])
+		: withDiagnosticsContext(context, () =>
+			renderPageSource(body, filepath, renderers, { attributes, config, helpers })
+		)
+	);
+	const input = body + hashObject([attributes, config]);
+	const rendered = await renderSourceCached(cache, filepath, input, render);
+	const { content, assets } = rendered;
+	const metadata = getCachedSourceMetadata(body, filepath, rendered, cache);
+
+	return createDocument(getDocumentAttributes(metadata, attributes, assets), content, filepath, { fieldParsers, cutTag });
+}
+
 /**
  * Return list of source files.
  *
@@ -111,25 +424,279 @@ export function getSourceFilesList(folder, types) {
 	return glob.sync(mask, { cwd: folder });
 }
 
+/**
+ * Return the number of items to process at once in async functions: `concurrency` option or number of CPUs.
+ *
+ * @param {object} options
+ * @return {number}
+ */
+function getConcurrency({ concurrency }) {
+	return concurrency || os.cpus().length;
+}
+
+/**
+ * Report a warning if there are no source files.
+ *
+ * @param {Array} files
+ * @param {string} folder Source folder.
+ * @param {Array} types List of file extensions.
+ */
+function warnIfNoSourceFiles(files, folder, types) {
+	if (!files.length) {
+		reportDiagnostic({
+			severity: 'warning',
+			code: 'no-source-files',
+			message: `No source files found in a folder ${path.resolve(folder)} with types ${types.join(', ')}`,
+		});
+	}
+}
+
+/**
+ * Handle drafts and scheduled publishing (`draft`, `publishDate` and `expiryDate` front matter fields).
+ *
+ * In production builds unpublished documents are removed. In development builds (`drafts` option)
+ * they are kept with a `publishStatus` field (draft, scheduled or expired) and a visible marker in the content.
+ *
+ * @param {Array} documents
+ * @param {boolean} $1.drafts Include unpublished documents.
+ * @param {Date} $1.now Current date.
+ * @return {Array}
+ */
+export function filterUnpublished(documents, { drafts, now } = {}) {
+	return documents.reduce((result, document) => {
+		const publishStatus = getPublishStatus(document, now);
+		if (!publishStatus) {
+			result.push(document);
+		}
+		else if (drafts) {
+			const marker = unpublishedHtml(publishStatus);
+			result.push({
+				...document,
+				publishStatus,
+				content: document.content && marker + document.content,
+				excerpt: document.excerpt && marker + document.excerpt,
+			});
+		}
+		return result;
+	}, []);
+}
+
+/**
+ * Add a `lang` field to documents in language folders (`en/blog/post.md`) without a `lang` field and
+ * a `translationKey` field to all documents with a language. Call it before `applyPermalinks` if permalink
+ * patterns have a `:lang` token.
+ *
+ * @param {Array} documents
+ * @param {Array} $1.langs Site languages (languages of all documents by default).
+ * @return {Array}
+ */
+export function setDocumentLanguages(documents, { langs } = {}) {
+	if (!langs || !langs.length) {
+		langs = _.uniq(_.compact(documents.map(document => document.lang)));
+	}
+
+	return documents.map(document => {
+		const [folder, ...rest] = removeExtension(document.sourcePath).split('/');
+		const inLangFolder = langs.includes(folder) && rest.length > 0;
+		const lang = document.lang || (inLangFolder ? folder : undefined);
+		if (!lang) {
+			return document;
+		}
+		return {
+			...document,
+			lang,
+			translationKey: document.translationKey || (inLangFolder ? rest : [folder, ...rest]).join('/'),
+		};
+	});
+}
+
+/**
+ * Link documents that are translations of each other.
+ *
+ * Translations are documents with the same `translationKey` front matter field or the same source path
+ * in different language folders: `en/blog/post.md` and `ru/blog/post.md`. Documents in language folders without
+ * a `lang` field get it from a folder name (see `setDocumentLanguages`).
+ *
+ * Every document gets a `translations` field: {lang: url} for all language versions, including itself.
+ * Missing translations are reported as warnings.
+ *
+ * @param {Array} documents
+ * @param {Array} $1.langs Site languages (languages of all documents by default).
+ * @return {Array}
+ */
+export function linkTranslations(documents, { langs } = {}) {
+	if (!langs || !langs.length) {
+		langs = _.uniq(_.compact(documents.map(document => document.lang)));
+	}
+
+	documents = setDocumentLanguages(documents, { langs });
+	const groups = _.groupBy(documents.filter(document => document.lang), 'translationKey');
+	return documents.map(document => {
+		if (!document.lang) {
+			return document;
+		}
+		const group = groups[document.translationKey];
+		const missing = _.difference(langs, group.map(translation => translation.lang));
+		if (missing.length) {
+			reportDiagnostic({
+				severity: 'warning',
+				code: 'missing-translation',
+				message: `Missing translation to ${missing.join(', ')}`,
+				file: document.sourcePath,
+			});
+		}
+		return {
+			...document,
+			translations: group.reduce((translations, translation) => {
+				translations[translation.lang] = translation.url;
+				return translations;
+			}, {}),
+		};
+	});
+}
+
+/**
+ * Return a value of a permalink token for a document.
+ *
+ * Tokens: `:year`, `:month`, `:day` (from the `date` field), `:slug` (`slug` field or a file name), `:filename`,
+ * `:dir` (source folder), `:path` (source path without an extension) or any front matter field (slugified).
+ *
+ * @param {string} token
+ * @param {object} document
+ * @return {string} Token value or an empty value if the document has no value for the token.
+ */
+function getPermalinkToken(token, document) {
+	const filepath = removeExtension(document.sourcePath);
+	const filename = path.basename(filepath);
+	const dir = path.dirname(filepath);
+	let date = document.date && toDate(document.date);
+	if (date && isNaN(date.getTime())) {
+		date = null;
+	}
+	switch (token) {
+		case 'year':
+			return date && String(date.getUTCFullYear());
+		case 'month':
+			return date && _.padStart(date.getUTCMonth() + 1, 2, '0');
+		case 'day':
+			return date && _.padStart(date.getUTCDate(), 2, '0');
+		case 'slug':
+			return document.slug || (filename === 'index' && dir !== '.' ? path.basename(dir) : filename);
+		case 'filename':
+			return filename;
+		case 'dir':
+			return dir === '.' ? '.' : dir;
+		case 'path':
+			return filepath;
+		default:
+			return _.isNil(document[token]) ? undefined : slugify(document[token]);
+	}
+}
+
+/**
+ * Expand a permalink pattern like `/:lang/:year/:month/:slug` for a document.
+ * Returns `undefined` and reports an error if the document has no value for any token.
+ *
+ * @param {string} pattern
+ * @param {object} document
+ * @return {string}
+ */
+export function expandPermalink(pattern, document) {
+	const missing = [];
+	const url = pattern.replace(/:(\w+)/g, (match, token) => {
+		const value = getPermalinkToken(token, document);
+		if (!value) {
+			missing.push(token);
+			return '';
+		}
+		return value;
+	});
+	if (missing.length) {
+		reportDiagnostic({
+			code: 'permalink-token',
+			message: `Cannot make a permalink ${pattern}: no value for ${missing.map(token => `:${token}`).join(', ')}`,
+			file: document.sourcePath,
+		});
+		return undefined;
+	}
+	return ('/' + url).replace(/\/\.(?=\/|$)/g, '').replace(/\/{2,}/g, '/');
+}
+
+/**
+ * Change document URLs using permalink patterns: {glob: pattern}, the first pattern with a glob matching
+ * a source path is used. Documents with a `url` front matter field are not changed.
+ *
+ * Documents get a `pagePath` field, so the output file matches the URL: `/2017/01/post` → `2017/01/post.html`,
+ * `/2017/01/post/` → `2017/01/post/index.html`.
+ *
+ * @param {Array} documents
+ * @param {object} patterns {glob: pattern}, like {'blog/**': '/:lang/:year/:month/:slug'}
+ * @return {Array}
+ */
+export function applyPermalinks(documents, patterns = {}) {
+	const globs = Object.keys(patterns);
+	if (!globs.length) {
+		return documents;
+	}
+	return documents.map(document => {
+		if (document.pagePath) {
+			return document;
+		}
+		const glob = globs.find(mask => minimatch(document.sourcePath, mask));
+		const url = glob && expandPermalink(patterns[glob], document);
+		if (!url) {
+			return document;
+		}
+		return {
+			...document,
+			url,
+			pagePath: urlToPagePath(url, getPageExtension(document)),
+		};
+	});
+}
+
 /**
  * Load source files from a disk.
  *
+ * If `schemas` option is specified, front matter of all files is validated before rendering (see `getSchemas`).
+ *
  * @param {string} folder Source folder.
  * @param {Array} types List of file extensions.
- * @param {object} options { renderers, fieldParsers, cutTag }
+ * @param {object} options { renderers, fieldParsers, cutTag, cache, drafts, schemas }
  * @return {Array} [{ sourcePath, content, url }, ...]
  */
-export function loadSourceFiles(folder, types, options) {
+export function loadSourceFiles(folder, types, options = {}) {
 	const files = getSourceFilesList(folder, types);
-	if (!files.length) {
-		/* eslint-disable no-console */
-		console.warn(`No source files found in a folder ${path.resolve(folder)} with types ${types.join(', ')}`);
-		/* eslint-enable no-console */
+	warnIfNoSourceFiles(files, folder, types);
+	const sources = files.map(filepath => readFile(path.join(folder, filepath)));
+	if (options.schemas) {
+		validateSources(sources, files, folder, options.schemas);
 	}
-	return files.map((filepath) => {
-		const source = readFile(path.join(folder, filepath));
-		return parsePage(source, filepath, options);
-	});
+	const documents = files.map((filepath, index) => parsePage(sources[index], filepath, options));
+	return filterUnpublished(documents, options);
+}
+
+/**
+ * Load source files from a disk asynchronously. Markdown is rendered in a worker pool if it’s specified.
+ * Documents are returned in the same order as in `loadSourceFiles`.
+ *
+ * @param {string} folder Source folder.
+ * @param {Array} types List of file extensions.
+ * @param {object} options { renderers, fieldParsers, cutTag, cache, drafts, schemas, pool, concurrency }
+ * @return {Promise} [{ sourcePath, content, url }, ...]
+ */
+export async function loadSourceFilesAsync(folder, types, options = {}) {
+	const files = getSourceFilesList(folder, types);
+	warnIfNoSourceFiles(files, folder, types);
+	const concurrency = getConcurrency(options);
+	const sources = await mapLimit(files, concurrency, filepath => readFileAsync(path.join(folder, filepath)));
+	if (options.schemas) {
+		validateSources(sources, files, folder, options.schemas);
+	}
+	const documents = await mapLimit(files, concurrency, (filepath, index) =>
+		parsePageAsync(sources[index], filepath, options)
+	);
+	return filterUnpublished(documents, options);
 }
 
 /**
@@ -201,6 +768,46 @@ export function loadConfig(folder) {
 	return mergeConfigs(configs);
 }
 
+const dataReaders = {
+	yml: readYamlFile,
+	yaml: readYamlFile,
+	json: readJsonFile,
+	csv: readCsvFile,
+};
+
+/**
+ * Load data files (YAML, JSON and CSV) from a disk.
+ *
+ * Data is keyed by a file path without an extension: `friends/blogs.yml` → `friends.blogs`. Per-language variants
+ * (`talks.ru.yml`) replace the base file (`talks.yml`) for a given language.
+ *
+ * @param {string} folder Data folder.
+ * @return {object} {base: {...}} or {base: {...}, ru: {...}, ...}
+ */
+export function loadData(folder) {
+	const files = glob.sync(`**/*.{${Object.keys(dataReaders).join(',')}}`, { cwd: folder });
+	const base = {};
+	const langs = {};
+	files.forEach(filepath => {
+		const value = dataReaders[getExtension(filepath)](path.join(folder, filepath));
+		const [name, lang] = path.basename(removeExtension(filepath)).split('.');
+		const key = [...path.dirname(filepath).split(path.sep), name].filter(part => part !== '.');
+		if (lang) {
+			langs[lang] = [...(langs[lang] || []), [key, value]];
+		}
+		else {
+			_.set(base, key, value);
+		}
+	});
+
+	return _.reduce(langs, (merged, values, lang) => {
+		merged[lang] = values.reduce((langData, [key, value]) => _.set(langData, key, value), _.cloneDeep(base));
+		return merged;
+	}, {
+		base,
+	});
+}
+
 /**
  * Filter documents by any field (or multiple fields) using a string, function or RegExp.
  *
@@ -244,14 +851,14 @@ export function orderDocuments(documents, fields) {
 }
 
 /**
- * Group documents by values of a given field.
+ * Group documents by values of a given field. Unpublished documents (drafts, etc.) are skipped.
  *
  * @param {Array} documents Documents.
  * @param {String|Function} field Field name or function.
  * @return {object} {fieldValue1: [...], fieldValue2: [...], ...}
  */
 export function groupDocuments(documents, field) {
-	return documents.reduce((grouped, document) => {
+	return documents.filter(isListable).reduce((grouped, document) => {
 		let value = document[field];
 		if (Array.isArray(value)) {
 			value.forEach((subValue) => {
@@ -302,7 +909,7 @@ export function getPageNumberUrl(urlPrefix, pageNumber, { index } = {}) {
 }
 
 /**
- * Generate documents to paginate given documents.
+ * Generate documents to paginate given documents. Unpublished documents (drafts, etc.) are skipped.
  *
  * @param {Array} documents Documents to paginate
  * @param {string} $1.sourcePathPrefix Source path prefix.
@@ -327,6 +934,7 @@ export function paginate(documents, { sourcePathPrefix, urlPrefix, documentsPerP
 		throw new Error('"layout" not specified for paginate().');
 	}
 
+	documents = documents.filter(isListable);
 	const totalPages = Math.ceil(documents.length / documentsPerPage);
 
 	return _.range(totalPages).map((pageNumber) => {
@@ -348,16 +956,432 @@ export function paginate(documents, { sourcePathPrefix, urlPrefix, documentsPerP
 }
 
 /**
- * Create context for page rendering: merges document, config and helpers into one object.
+ * Return documents of a collection: filtered, ordered and without unpublished documents (drafts, etc.).
+ *
+ * @param {Array} documents
+ * @param {string} $1.match Glob for a source path: `blog/**`.
+ * @param {object} $1.filter Filters by field, see `filterDocuments`.
+ * @param {Array} $1.order Order fields, see `orderDocuments`.
+ * @param {number} $1.limit Maximum number of documents.
+ * @return {Array}
+ */
+export function getCollectionDocuments(documents, { match, filter, order, limit } = {}) {
+	documents = documents.filter(isListable);
+	if (match) {
+		documents = documents.filter(document => minimatch(document.sourcePath, match));
+	}
+	if (filter) {
+		documents = filterDocuments(documents, filter);
+	}
+	if (order) {
+		documents = orderDocuments(documents, order);
+	}
+	if (limit) {
+		documents = documents.slice(0, limit);
+	}
+	return documents;
+}
+
+/**
+ * Build collections declared in the config (`collections` option) and their listing pages.
+ *
+ * Collection options: `match`, `filter`, `order` and `limit` (see `getCollectionDocuments`). If `perPage`
+ * and `layout` are specified, paginated listing pages are generated at `urlPrefix` (see `paginate`).
+ * Listing pages get a `collection` field with a collection name.
+ *
+ * @param {Array} documents
+ * @param {object} definitions {name: { match, filter, order, limit, perPage, layout, urlPrefix, ... }}
+ * @return {object} { collections: {name: [...]}, documents: [...listing pages] }
+ */
+export function buildCollections(documents, definitions = {}) {
+	return _.reduce(definitions, (result, definition, name) => {
+		const collection = getCollectionDocuments(documents, definition);
+		result.collections[name] = collection;
+		if (definition.perPage && definition.layout) {
+			const urlPrefix = definition.urlPrefix || `/${name}`;
+			result.documents.push(...paginate(collection, {
+				sourcePathPrefix: definition.sourcePathPrefix || urlPrefix.replace(/^\//, ''),
+				urlPrefix,
+				documentsPerPage: definition.perPage,
+				layout: definition.layout,
+				index: definition.index !== false,
+				extra: {
+					...definition.extra,
+					collection: name,
+				},
+			}));
+		}
+		return result;
+	}, {
+		collections: {},
+		documents: [],
+	});
+}
+
+/**
+ * Group documents by terms of a taxonomy field. Terms that differ only in case or diacritics are merged, so
+ * `JavaScript` and `javascript` are one term. Different terms with the same slug (like `C++` and `C#`) are kept
+ * separate: a number is appended to the slug (`c-1`) and a warning is reported.
+ *
+ * @param {Array} documents
+ * @param {string} field Field name: `tags`, `categories`, etc. Value could be a string or an array.
+ * @param {object} [names] Term display names: {slug: name}, the first spelling of a term is used by default.
+ * @return {Array} [{ slug, name, count, documents }, ...] ordered by name
+ */
+export function getTerms(documents, field, names = {}) {
+	const terms = {};
+	const labels = {};
+	const values = {};
+	documents.forEach(document => {
+		_.castArray(document[field] || []).forEach(value => {
+			const label = getTermLabel(value);
+			const baseSlug = slugify(value);
+			if (!baseSlug) {
+				return;
+			}
+			if (!terms[label]) {
+				let slug = baseSlug;
+				for (let index = 1; labels[slug]; index++) {
+					slug = `${baseSlug}-${index}`;
+				}
+				if (slug !== baseSlug) {
+					reportDiagnostic({
+						severity: 'warning',
+						code: 'taxonomy-slug-conflict',
+						message: `Term ${value} in ${field} has the same slug as ${values[labels[baseSlug]]}, ` +
+							`using ${slug}`,
+						file: document.sourcePath,
+					});
+				}
+				labels[slug] = label;
+				values[label] = value;
+				terms[label] = {
+					slug,
+					name: names[slug] || names[value] || String(value),
+					documents: [],
+				};
+			}
+			terms[label].documents.push(document);
+		});
+	});
+	return _.sortBy(_.values(terms), term => term.name.toLowerCase()).map(term => ({
+		...term,
+		count: term.documents.length,
+	}));
+}
+
+/**
+ * Return a term label without case and diacritics to merge spelling variants of a term.
+ *
+ * @param {string} value
+ * @return {string}
+ */
+function getTermLabel(value) {
+	return _.deburr(String(value).toLowerCase())
+		.trim()
+		.replace(/\s+/g, ' ')
+	;
+}
+
+/**
+ * Build taxonomies declared in the config (`taxonomies` option): term pages, term index pages and term feeds.
+ *
+ * Taxonomy options:
+ *
+ * - `field`: document field with terms (taxonomy name by default);
+ * - `match`, `filter`, `order`: documents to include (see `getCollectionDocuments`);
+ * - `lang`: include only documents in this language, use this language config and add `lang` to generated pages;
+ * - `names`: term display names ({slug: name}) or a config option name with them, like `tagNames`;
+ * - `layout`: term page layout, `perPage`: documents per term page (all documents by default);
+ * - `indexLayout`: term index page layout;
+ * - `feed`: generate RSS feed for every term (`true` or { limit, title, description });
+ * - `urlPrefix`: URL prefix (`/<taxonomy name>` by default).
+ *
+ * Term pages get `taxonomy` and `term` fields, index pages get `taxonomy` and `terms` fields.
+ *
+ * @param {Array} documents
+ * @param {object} definitions {name: { field, layout, indexLayout, feed, ... }}
+ * @param {object} config
+ * @return {object} { taxonomies: {name: [{ slug, name, count, url, feedUrl }, ...]}, documents: [...pages] }
+ */
+export function buildTaxonomies(documents, definitions = {}, config = {}) {
+	return _.reduce(definitions, (result, definition, name) => {
+		const { lang, layout, indexLayout, feed } = definition;
+		const langConfig = (lang && config[lang]) || config.base || {};
+		const names = _.isString(definition.names) ? langConfig[definition.names] : definition.names;
+		const urlPrefix = definition.urlPrefix || `/${name}`;
+		const sourcePathPrefix = urlPrefix.replace(/^\//, '');
+		const extra = lang ? { lang } : {};
+		const filter = lang ? { ...definition.filter, lang } : definition.filter;
+
+		const collection = getCollectionDocuments(documents, { ...definition, filter });
+		const terms = getTerms(collection, definition.field || name, names);
+
+		const publicTerms = terms.map(term => _.omitBy({
+			slug: term.slug,
+			name: term.name,
+			count: term.count,
+			url: `${urlPrefix}/${term.slug}`,
+			feedUrl: feed ? `${urlPrefix}/${term.slug}/feed.xml` : undefined,
+		}, _.isUndefined));
+		result.taxonomies[name] = publicTerms;
+
+		terms.forEach((term, index) => {
+			const publicTerm = publicTerms[index];
+			if (layout) {
+				result.documents.push(...paginate(term.documents, {
+					sourcePathPrefix: `${sourcePathPrefix}/${term.slug}`,
+					urlPrefix: publicTerm.url,
+					documentsPerPage: definition.perPage || term.count,
+					layout,
+					index: true,
+					extra: {
+						...extra,
+						taxonomy: name,
+						term: publicTerm,
+					},
+				}));
+			}
+			if (feed) {
+				const feedOptions = feed === true ? {} : feed;
+				const title = feedOptions.title || _.compact([langConfig.title, term.name]).join(' — ');
+				result.documents.push({
+					...extra,
+					sourcePath: `${sourcePathPrefix}/${term.slug}/feed`,
+					url: `${publicTerm.url}/feed`,
+					feedUrl: publicTerm.feedUrl,
+					siteUrl: publicTerm.url,
+					layout: 'RSS',
+					items: term.documents.slice(0, feedOptions.limit || 15),
+					title,
+					description: feedOptions.description || langConfig.description || title,
+					taxonomy: name,
+					term: publicTerm,
+				});
+			}
+		});
+
+		if (indexLayout) {
+			result.documents.push({
+				...extra,
+				sourcePath: `${sourcePathPrefix}/index`,
+				url: urlPrefix,
+				layout: indexLayout,
+				taxonomy: name,
+				terms: publicTerms,
+			});
+		}
+
+		return result;
+	}, {
+		taxonomies: {},
+		documents: [],
+	});
+}
+
+// Number of the most significant content terms of a document used to find related documents: comparing
+// all terms of every pair of documents is too slow for large sites
+const RELATED_CONTENT_TERMS = 25;
+
+/**
+ * Return normalized TF-IDF vectors of document contents: [{ stem: weight }, ...]. Only the most significant
+ * terms of every document are kept (see `RELATED_CONTENT_TERMS`).
+ *
+ * @param {Array} documents
+ * @return {Array}
+ */
+function getContentVectors(documents) {
+	const counts = documents.map(document =>
+		_.countBy(getSearchTerms(cleanHtml(document.content || ''), document.lang))
+	);
+	const documentFrequency = _.countBy(_.flatMap(counts, Object.keys));
+	return counts.map(count => {
+		const weights = _.map(count, (tf, term) => [term, tf * Math.log(documents.length / documentFrequency[term])]);
+		const vector = _.fromPairs(_.orderBy(weights, 1, 'desc').slice(0, RELATED_CONTENT_TERMS));
+		const length = Math.sqrt(_.sum(_.values(vector).map(weight => weight * weight)));
+		return length ? _.mapValues(vector, weight => weight / length) : {};
+	});
+}
+
+/**
+ * Build an inverted index of document terms: {term: [[documentIndex, weight], ...]}. Terms with zero weight
+ * are skipped.
+ *
+ * @param {Array} vectors Term weights of every document: [{ term: weight }, ...].
+ * @return {Map}
+ */
+function getInvertedIndex(vectors) {
+	const index = new Map();
+	vectors.forEach((vector, documentIndex) => {
+		_.forEach(vector, (weight, term) => {
+			if (!weight) {
+				return;
+			}
+			if (!index.has(term)) {
+				index.set(term, []);
+			}
+			index.get(term).push([documentIndex, weight]);
+		});
+	});
+	return index;
+}
+
+/**
+ * Return scores of documents sharing terms with a given document: {documentIndex: score}, where a score is
+ * a sum of products of term weights. For normalized vectors it’s a cosine similarity.
+ *
+ * @param {object} vector Term weights of a document: { term: weight }.
+ * @param {Map} index Inverted index (see `getInvertedIndex`).
+ * @param {Map} [scores] Scores to add to.
+ * @return {Map}
+ */
+function getSharedTermScores(vector, index, scores = new Map()) {
+	_.forEach(vector, (weight, term) => {
+		(index.get(term) || []).forEach(([documentIndex, otherWeight]) => {
+			scores.set(documentIndex, (scores.get(documentIndex) || 0) + (weight * otherWeight));
+		});
+	});
+	return scores;
+}
+
+/**
+ * Insert an item into a list of at most `limit` items ordered by score (descending) and then by index.
+ *
+ * @param {Array} top [{ index, score }, ...]
+ * @param {object} item { index, score }
+ * @param {number} limit
+ */
+function addTopItem(top, item, limit) {
+	const position = _.findIndex(top, other =>
+		other.score < item.score || (other.score === item.score && other.index > item.index)
+	);
+	const insertAt = position === -1 ? top.length : position;
+	if (insertAt >= limit) {
+		return;
+	}
+	top.splice(insertAt, 0, item);
+	if (top.length > limit) {
+		top.pop();
+	}
+}
+
+/**
+ * Find a document by a URL or a source path.
+ *
+ * @param {Array} documents
+ * @param {string} reference URL or source path.
+ * @return {object}
+ */
+function findDocument(documents, reference) {
+	return documents.find(document => document.url === reference || document.sourcePath === reference);
+}
+
+/**
+ * Add a `related` field to documents of collections with a `related` option: a list of the most similar
+ * documents from the same collection and in the same language.
+ *
+ * Score of a document is a number of shared terms of taxonomy fields (`tags` and fields of all taxonomies
+ * by default) multiplied by field weights, plus TF-IDF similarity of contents multiplied by the `content` weight.
+ * Documents could pin (`relatedPin`) or exclude (`relatedExclude`) documents by URL or source path.
+ *
+ * Collection `related` option: number (limit) or { limit, fields: {tags: 1}, content: 2 }.
+ *
+ * @param {Array} documents
+ * @param {object} collections Collections definitions (see `buildCollections`).
+ * @param {object} taxonomies Taxonomies definitions (see `buildTaxonomies`).
+ * @return {Array}
+ */
+export function linkRelated(documents, collections = {}, taxonomies = {}) {
+	const defaultFields = _.fromPairs(['tags', ..._.map(taxonomies, (taxonomy, name) => taxonomy.field || name)]
+		.map(field => [field, 1]));
+	const related = new Map();
+
+	_.forEach(collections, definition => {
+		if (!definition.related) {
+			return;
+		}
+
+		const options = _.isNumber(definition.related) ? { limit: definition.related } : definition.related;
+		const { limit = 5, fields = defaultFields, content = 2 } = options;
+		const members = getCollectionDocuments(documents, _.omit(definition, 'limit'));
+		_.forEach(_.groupBy(members, document => document.lang || ''), group => {
+			// Only documents sharing terms are scored: every field term has a weight of the field
+			const termVectors = group.map(document => _.reduce(fields, (vector, weight, field) => {
+				_.uniq(_.compact(_.castArray(document[field] || []).map(slugify))).forEach(slug => {
+					vector[`${field}:${slug}`] = weight;
+				});
+				return vector;
+			}, {}));
+			const termsIndex = getInvertedIndex(termVectors.map(vector => _.mapValues(vector, () => 1)));
+			const vectors = content ? getContentVectors(group) : [];
+			const contentIndex = getInvertedIndex(vectors);
+
+			group.forEach((document, index) => {
+				const excluded = _.castArray(document.relatedExclude || []);
+				const isExcluded = other => excluded.includes(other.url) || excluded.includes(other.sourcePath);
+				const pinned = _.compact(_.castArray(document.relatedPin || []).map(reference => {
+					const pin = findDocument(documents, reference);
+					if (!pin) {
+						reportDiagnostic({
+							severity: 'warning',
+							code: 'related-not-found',
+							message: `Pinned related document ${reference} not found`,
+							file: document.sourcePath,
+						});
+					}
+					return pin;
+				}));
+
+				const termScores = getSharedTermScores(termVectors[index], termsIndex);
+				const contentScores = content ? getSharedTermScores(vectors[index], contentIndex) : new Map();
+				const top = [];
+				const bestLimit = Math.max(limit - pinned.length, 0);
+				new Set([...termScores.keys(), ...contentScores.keys()]).forEach(otherIndex => {
+					const other = group[otherIndex];
+					if (otherIndex === index || pinned.includes(other) || isExcluded(other)) {
+						return;
+					}
+					const score = (termScores.get(otherIndex) || 0) + (content * (contentScores.get(otherIndex) || 0));
+					if (score > 0) {
+						addTopItem(top, { index: otherIndex, score }, bestLimit);
+					}
+				});
+
+				const best = top.map(item => group[item.index]);
+				related.set(document, [...pinned, ...best].slice(0, Math.max(limit, pinned.length)));
+			});
+		});
+	});
+
+	return documents.map(document => {
+		if (!related.has(document)) {
+			return document;
+		}
+		return {
+			...document,
+			related: related.get(document),
+		};
+	});
+}
+
+/**
+ * Create context for page rendering: merges document, config, data, collections, taxonomies and helpers
+ * into one object.
  *
  * @param {object} document
  * @param {object} config
  * @param {object} helpers
+ * @param {object} [$3.data] Data returned by `loadData`: data for a document language is used.
+ * @param {object} [$3.collections] Collections returned by `buildCollections`.
+ * @param {object} [$3.taxonomies] Taxonomy terms returned by `buildTaxonomies`.
  * @return {object}
  */
-export function makeContext(document, config, helpers) {
+export function makeContext(document, config, helpers, { data = {}, collections = {}, taxonomies = {} } = {}) {
 	const context = {
 		config,
+		data: data[document.lang] || data.base || {},
+		collections,
+		taxonomies,
 		...document,
 	};
 
@@ -369,66 +1393,352 @@ export function makeContext(document, config, helpers) {
 	return context;
 }
 
+/**
+ * Return output file path for a document: `pagePath` field (see `applyPermalinks`) or source path with
+ * an extension from the layout (`.html` by default).
+ *
+ * @param {object} document
+ * @return {string}
+ */
+export function getPagePath(document) {
+	if (document.pagePath) {
+		return document.pagePath;
+	}
+	return `${removeExtension(document.sourcePath)}.${getPageExtension(document)}`;
+}
+
+/**
+ * Throw if a document has no source path or layout.
+ *
+ * @param {object} document
+ */
+function validateDocument(document) {
+	if (!document.sourcePath) {
+		throw new Error('Source path not specified. Add "sourcePath" front matter field.');
+	}
+	if (!document.layout) {
+		throw new Error(`Layout not specified for ${document.sourcePath}. Add "layout" front matter field.`);
+	}
+}
+
+/**
+ * Render page contents using a template (or a built-in layout: RSS, Sitemap, SitemapIndex, Redirect
+ * or RedirectMap).
+ *
+ * Renderers and helpers record files they use (templates, assets) to `dependencies` set in the page context,
+ * collections read by templates and helpers are recorded too.
+ * Diagnostics reported while rendering get document’s source path.
+ *
+ * @param {object} document
+ * @param {object} config
+ * @param {object} helpers
+ * @param {object} renderers {extension: renderFunction}
+ * @param {object} [globals] Data available on every page: { data, collections, taxonomies }.
+ * @return {object} { content, dependencies, collections }: `collections` are names of collections read by a page.
+ */
+export function renderPage(document, config, helpers, renderers, globals) {
+	const pageContext = makeContext(document, config, helpers, globals);
+	pageContext.dependencies = new Set();
+	const usedCollections = new Set();
+	if (pageContext.collections) {
+		pageContext.collections = trackCollections(pageContext.collections, usedCollections);
+	}
+
+	const content = withDiagnosticsContext({ file: document.sourcePath }, () => {
+		if (builtInLayouts[document.layout]) {
+			return builtInLayouts[document.layout](pageContext);
+		}
+		const [templateExtension, render] = _.toPairs(renderers).shift();
+		const templateFile = `${document.layout}.${templateExtension}`;
+		return render(templateFile, pageContext);
+	});
+
+	return {
+		content,
+		dependencies: Array.from(pageContext.dependencies),
+		collections: Array.from(usedCollections),
+	};
+}
+
+/**
+ * Return a copy of collections that records names of collections read by a page to a set.
+ *
+ * @param {object} collections {name: [...]}
+ * @param {Set} used
+ * @return {object}
+ */
+function trackCollections(collections, used) {
+	return Object.keys(collections).reduce((tracked, name) => Object.defineProperty(tracked, name, {
+		enumerable: true,
+		get: () => {
+			used.add(name);
+			return collections[name];
+		},
+	}), {});
+}
+
+// Hash of inputs shared by all pages (config, data and taxonomies), computed once per build
+const sharedInputs = new WeakMap();
+
+// Hashes of collections: {name: hash}, computed once per build
+const collectionHashes = new WeakMap();
+
+/**
+ * Return hash of page inputs: document, config, data and taxonomies. Collections are checked separately:
+ * a page depends only on collections it reads (see `hashCollections`).
+ *
+ * @param {object} document
+ * @param {object} config
+ * @param {object} globals { data, collections, taxonomies }
+ * @return {string}
+ */
+function hashPageInputs(document, config, globals) {
+	let shared = sharedInputs.get(config);
+	if (!shared || _.some(globals, (value, key) => shared.globals[key] !== value)) {
+		shared = {
+			globals,
+			hash: hashObject([config, _.omit(globals, 'collections')]),
+		};
+		sharedInputs.set(config, shared);
+	}
+	return hashObject([document, shared.hash]);
+}
+
+/**
+ * Return hashes of all collections: {name: hash}.
+ *
+ * @param {object} [collections] {name: [...]}
+ * @return {object}
+ */
+function hashCollections(collections = {}) {
+	if (!collectionHashes.has(collections)) {
+		collectionHashes.set(collections, _.mapValues(collections, hashObject));
+	}
+	return collectionHashes.get(collections);
+}
+
 /**
  * Generate page.
  *
+ * With a build cache, a page is not rendered again if the document, the config, data, taxonomies, collections
+ * it reads and all files used to render it (templates, assets) are unchanged since the previous build:
+ * `{ pagePath, cached: true }` is returned instead.
+ * Pages rendered with errors are not cached.
+ *
  * @param {object} document
  * @param {object} config
  * @param {object} helpers
  * @param {object} renderers {extension: renderFunction}
+ * @param {object} $4.cache Build cache.
+ * @param {object} $4.data Data returned by `loadData`.
+ * @param {object} $4.collections Collections returned by `buildCollections`.
+ * @param {object} $4.taxonomies Taxonomy terms returned by `buildTaxonomies`.
  * @return {object} { pagePath, content }
  */
-export function generatePage(document, config, helpers, renderers) {
-	if (!document.sourcePath) {
-		throw new Error('Source path not specified. Add "sourcePath" front matter field.');
+export function generatePage(document, config, helpers, renderers, { cache, data, collections, taxonomies } = {}) {
+	const globals = { data, collections, taxonomies };
+	validateDocument(document);
+
+	const pagePath = getPagePath(document);
+	const inputs = cache && hashPageInputs(document, config, globals);
+	const hashes = cache && hashCollections(collections);
+	if (cache && isPageFresh(cache, pagePath, inputs, hashes)) {
+		return {
+			pagePath,
+			cached: true,
+		};
 	}
-	if (!document.layout) {
-		throw new Error(`Layout not specified for ${document.sourcePath}. Add "layout" front matter field.`);
+
+	const errors = getErrorCount();
+	const { content, dependencies, collections: usedCollections } = renderPage(
+		document, config, helpers, renderers, globals
+	);
+
+	if (cache && getErrorCount() === errors) {
+		recordPage(cache, pagePath, inputs, dependencies, _.pick(hashes, usedCollections));
 	}
 
-	const pagePath = removeExtension(document.sourcePath);
-	const pageContext = makeContext(document, config, helpers);
+	return {
+		pagePath,
+		content,
+	};
+}
 
-	if (document.layout === 'RSS') {
+/**
+ * Generate page asynchronously: in a worker pool if it’s specified.
+ *
+ * @param {object} document
+ * @param {object} config
+ * @param {object} helpers
+ * @param {object} renderers {extension: renderFunction}
+ * @param {object} options { cache, data, collections, taxonomies, pool }: see `generatePage`; worker pool
+ * (see `createWorkerPool`), helpers and renderers are ignored if it’s specified.
+ * @return {Promise} { pagePath, content }
+ */
+export async function generatePageAsync(document, config, helpers, renderers, options = {}) {
+	const { cache, data, collections, taxonomies, pool } = options;
+	const globals = { data, collections, taxonomies };
+	validateDocument(document);
+
+	const pagePath = getPagePath(document);
+	const inputs = cache && hashPageInputs(document, config, globals);
+	const hashes = cache && hashCollections(collections);
+	if (cache && isPageFresh(cache, pagePath, inputs, hashes)) {
 		return {
-			pagePath: `${pagePath}.xml`,
-			content: renderRss(pageContext),
+			pagePath,
+			cached: true,
 		};
 	}
 
-	const [templateExtension, render] = _.toPairs(renderers).shift();
-	const templateFile = `${document.layout}.${templateExtension}`;
-	const content = render(templateFile, pageContext);
+	const errors = getErrorCount();
+	const { content, dependencies, collections: usedCollections } = pool
+		? await pool.run('renderPage', [document, config, globals])
+		: renderPage(document, config, helpers, renderers, globals)
+	;
 
-	const pageExtension = getExtension(document.layout) || 'html';
+	if (cache && getErrorCount() === errors) {
+		recordPage(cache, pagePath, inputs, dependencies, _.pick(hashes, usedCollections));
+	}
 
 	return {
-		pagePath: `${pagePath}.${pageExtension}`,
+		pagePath,
 		content,
 	};
 }
 
 /**
- * Generate pages.
+ * Check whether a document should be listed in a sitemap: published HTML pages with a URL and without `sitemap: false`
+ * or `sitemap: { exclude: true }` front matter field.
+ *
+ * @param {object} document
+ * @return {boolean}
+ */
+function isSitemapItem(document) {
+	return !!document.layout &&
+		!!document.url &&
+		!builtInLayouts[document.layout] &&
+		getPageExtension(document) === 'html' &&
+		document.sitemap !== false &&
+		!(document.sitemap && document.sitemap.exclude) &&
+		isListable(document)
+	;
+}
+
+/**
+ * Add all pages to sitemap documents (documents with `layout: Sitemap` and without `items`).
+ *
+ * If there are more pages than a sitemap `limit` (50,000 by default), the sitemap is split into several files
+ * (`sitemap-1.xml`, `sitemap-2.xml`, etc.) and a sitemap index is generated instead.
+ *
+ * @param {Array} documents
+ * @return {Array}
+ */
+export function prepareSitemaps(documents) {
+	if (!documents.some(document => document.layout === 'Sitemap' && !document.items)) {
+		return documents;
+	}
+
+	const items = documents.filter(isSitemapItem);
+	return _.flatMap(documents, document => {
+		if (document.layout !== 'Sitemap' || document.items) {
+			return [document];
+		}
+
+		const limit = document.limit || SITEMAP_LIMIT;
+		if (items.length <= limit) {
+			return [{
+				...document,
+				items,
+			}];
+		}
+
+		const prefix = removeExtension(getPagePath(document));
+		const sitemaps = _.chunk(items, limit).map((chunk, index) => {
+			const pagePath = `${prefix}-${index + 1}.xml`;
+			return {
+				...document,
+				sourcePath: pagePath,
+				url: `/${pagePath}`,
+				pagePath,
+				items: chunk,
+			};
+		});
+		return [
+			{
+				...document,
+				layout: 'SitemapIndex',
+				sitemaps: sitemaps.map(sitemap => sitemap.url),
+			},
+			...sitemaps,
+		];
+	});
+}
+
+/**
+ * Generate pages. Sitemap documents get all pages (see `prepareSitemaps`).
  *
  * @param {Array} documents
  * @param {object} config
  * @param {object} helpers
  * @param {object} renderers {extension: renderFunction}
+ * @param {object} options { cache, data, collections, taxonomies }
  * @return {Array} [{ pagePath, content }, ...]
  */
-export function generatePages(documents, config, helpers, renderers) {
-	return documents.map(document => generatePage(document, config, helpers, renderers));
+export function generatePages(documents, config, helpers, renderers, options) {
+	return prepareSitemaps(documents).map(document => generatePage(document, config, helpers, renderers, options));
+}
+
+/**
+ * Generate pages asynchronously. Pages are returned in the same order as documents, sitemap documents
+ * get all pages (see `prepareSitemaps`).
+ *
+ * @param {Array} documents
+ * @param {object} config
+ * @param {object} helpers
+ * @param {object} renderers {extension: renderFunction}
+ * @param {object} options { cache, data, collections, taxonomies, pool, concurrency }
+ * @return {Promise} [{ pagePath, content }, ...]
+ */
+export function generatePagesAsync(documents, config, helpers, renderers, options = {}) {
+	return mapLimit(prepareSitemaps(documents), getConcurrency(options), document =>
+		generatePageAsync(document, config, helpers, renderers, options)
+	);
 }
 
 /**
- * Saves page to a disk.
+ * Saves page to a disk. Pages restored from a build cache and pages with unchanged contents are not written.
  *
  * @param {object} page
  * @param {string} folder Folder to save files.
+ * @param {object} $2.cache Build cache.
  */
-export function savePage(page, folder) {
-	writeFile(path.join(folder, page.pagePath), page.content);
+export function savePage(page, folder, { cache } = {}) {
+	if (page.cached) {
+		return;
+	}
+	const filepath = path.join(folder, page.pagePath);
+	if (cache && !recordPageOutput(cache, page.pagePath, filepath, page.content)) {
+		return;
+	}
+	writeFile(filepath, page.content);
+}
+
+/**
+ * Saves page to a disk asynchronously.
+ *
+ * @param {object} page
+ * @param {string} folder Folder to save files.
+ * @param {object} $2.cache Build cache.
+ */
+export async function savePageAsync(page, folder, { cache } = {}) {
+	if (page.cached) {
+		return;
+	}
+	const filepath = path.join(folder, page.pagePath);
+	if (cache && !recordPageOutput(cache, page.pagePath, filepath, page.content)) {
+		return;
+	}
+	await writeFileAsync(filepath, page.content);
 }
 
 /**
@@ -436,7 +1746,59 @@ export function savePage(page, folder) {
  *
  * @param {Array} pages
  * @param {string} folder Folder to save files.
+ * @param {object} options { cache }
+ */
+export function savePages(pages, folder, options) {
+	pages.forEach(page => savePage(page, folder, options));
+}
+
+/**
+ * Saves pages to a disk asynchronously.
+ *
+ * @param {Array} pages
+ * @param {string} folder Folder to save files.
+ * @param {object} options { cache, concurrency }
+ * @return {Promise}
  */
-export function savePages(pages, folder) {
-	pages.forEach(page => savePage(page, folder));
+export function savePagesAsync(pages, folder, options = {}) {
+	return mapLimit(pages, getConcurrency(options), page => savePageAsync(page, folder, options));
+}
+
+/**
+ * Return files generated by previous builds that do not belong to any of given pages.
+ *
+ * Only files from the `generated` list (kept in the build cache) are considered, so static files in the public
+ * folder are never returned. Files matching `ignore` glob patterns and files that no longer exist are skipped.
+ *
+ * @param {Array} pages
+ * @param {string} folder Public folder.
+ * @param {Array} $2.generated Files generated by previous builds, relative to the public folder.
+ * @param {Array} $2.ignore Glob patterns of files to keep (relative to the public folder).
+ * @return {Array}
+ */
+export function getStaleFiles(pages, folder, { generated = [], ignore = [] } = {}) {
+	const pagePaths = new Set(pages.map(page => path.normalize(page.pagePath)));
+	return generated
+		.map(filepath => path.normalize(filepath))
+		.filter(filepath => !pagePaths.has(filepath))
+		.filter(filepath => !ignore.some(pattern => minimatch(filepath, pattern)))
+		.filter(filepath => fs.existsSync(path.join(folder, filepath)))
+	;
+}
+
+/**
+ * Remove files generated by previous builds that do not belong to any of given pages from a public folder
+ * (for example, pages of renamed or deleted posts).
+ *
+ * @param {Array} pages
+ * @param {string} folder Public folder.
+ * @param {object} options { generated, ignore, dryRun }: with `dryRun` files are only listed, not removed.
+ * @return {Array} Removed (or to be removed with `dryRun`) files, relative to the public folder.
+ */
+export function cleanPages(pages, folder, options = {}) {
+	const files = getStaleFiles(pages, folder, options);
+	if (!options.dryRun) {
+		files.forEach(filepath => removeFile(path.join(folder, filepath), folder));
+	}
+	return files;
 }
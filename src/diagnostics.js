@@ -0,0 +1,133 @@
+import chalk from 'chalk';
+import _ from 'lodash';
+
+/* eslint-disable no-console */
+
+// Diagnostics reported since the last `clearDiagnostics` call
+let diagnostics = [];
+
+// Stack of contexts: { file, lineOffset }
+const contexts = [];
+
+/**
+ * Format a diagnostic as a string: `file:line: message [code]`.
+ *
+ * @param {object} diagnostic
+ * @return {string}
+ */
+export function formatDiagnostic({ message, file, line, code }) {
+	const location = file ? `${file}${line ? `:${line}` : ''}: ` : '';
+	return `${location}${message}${code ? ` [${code}]` : ''}`;
+}
+
+/**
+ * Report an error or a warning: print it to a console and add to the build diagnostics.
+ *
+ * File and line are taken from the current context (see `withDiagnosticsContext`) if not specified.
+ *
+ * @param {string} $0.severity `error` (default) or `warning`.
+ * @param {string} $0.code Diagnostic code, like `template-error`.
+ * @param {string} $0.message
+ * @param {string} [$0.file] Source file path.
+ * @param {number} [$0.line] Line in a source file.
+ * @param {boolean} [$1.silent] Do not print (for diagnostics already printed in a worker thread).
+ * @return {object} Diagnostic.
+ */
+export function reportDiagnostic({ severity = 'error', code, message, file, line }, { silent } = {}) {
+	const context = _.last(contexts) || {};
+	if (!file && context.file) {
+		file = context.file;
+		if (line) {
+			line += context.lineOffset || 0;
+		}
+	}
+
+	const diagnostic = _.omitBy({ severity, code, message, file, line }, _.isUndefined);
+	diagnostics.push(diagnostic);
+
+	if (!silent) {
+		const text = formatDiagnostic(diagnostic);
+		if (severity === 'error') {
+			console.error(chalk.red.bold(text));
+		}
+		else {
+			console.warn(chalk.yellow(text));
+		}
+	}
+
+	return diagnostic;
+}
+
+/**
+ * Run a function with a diagnostics context: diagnostics reported inside will get this file and line offset.
+ *
+ * @param {object} context { file, lineOffset }
+ * @param {Function} fn
+ * @return {*} Function result.
+ */
+export function withDiagnosticsContext(context, fn) {
+	contexts.push(context);
+	try {
+		return fn();
+	}
+	finally {
+		contexts.pop();
+	}
+}
+
+/**
+ * Return all diagnostics reported since the last `clearDiagnostics` call.
+ *
+ * @return {Array} [{ severity, code, message, file, line }, ...]
+ */
+export function getDiagnostics() {
+	return diagnostics;
+}
+
+/**
+ * Return the number of errors reported since the last `clearDiagnostics` call.
+ *
+ * @return {number}
+ */
+export function getErrorCount() {
+	return diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+}
+
+/**
+ * Remove all diagnostics (call before every build in watch mode).
+ */
+export function clearDiagnostics() {
+	diagnostics = [];
+}
+
+/**
+ * Return diagnostics summary: `2 errors, 1 warning`.
+ *
+ * @param {Array} [list] Diagnostics.
+ * @return {string}
+ */
+export function getDiagnosticsSummary(list = diagnostics) {
+	const errors = list.filter(diagnostic => diagnostic.severity === 'error').length;
+	const warnings = list.length - errors;
+	const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+	return `${plural(errors, 'error')}, ${plural(warnings, 'warning')}`;
+}
+
+/**
+ * Print diagnostics summary at the end of a build. In strict mode sets non-zero process exit code
+ * if there were any errors.
+ *
+ * @param {boolean} $0.strict
+ * @return {boolean} True if there were errors.
+ */
+export function printDiagnosticsSummary({ strict } = {}) {
+	const hasErrors = getErrorCount() > 0;
+	if (diagnostics.length) {
+		const summary = `Build finished with ${getDiagnosticsSummary()}.`;
+		console.log(hasErrors ? chalk.red.bold(summary) : chalk.yellow(summary));
+	}
+	if (strict && hasErrors) {
+		process.exitCode = 1;
+	}
+	return hasErrors;
+}
@@ -2,10 +2,20 @@
  * Context (this):
  * {
  *   config: {base: {}, en: {}, ru: {}},
+ *   data: {...data files for a page language...},
+ *   collections: {posts: [...]},
+ *   taxonomies: {tags: [{slug, name, count, url}, ...]},
  *   sourcePath: 'en/mypost.md',
  *   url: 'en/mypost',
  *   content: '...html...',
  *   title: 'My post',
+ *   wordCount: 850,
+ *   readingTime: 4,
+ *   headings: [{depth, text, id}, ...],
+ *   links: [{url, text}, ...],
+ *   images: [{url, alt, title}, ...],
+ *   toc: [{depth, text, id, children}, ...],
+ *   assets: ['/css/figure.css', ...],
  *   ...frontmatter fields...
  * }
  */
@@ -19,11 +29,14 @@ import vdo from 'vdo';
 import _ from 'lodash';
 import {
 	readFile,
+	memoizeByFile,
+	getExtension,
 	removeExtension,
 	cleanHtml,
 	getMessageFormat,
 	getDateTimeFormat,
 	errorInlineHtml,
+	buildToc,
 	absolutizeUrl as absolutizeUrlBase,
 	absolutizeLinks as absolutizeLinksBase,
 } from './util';
@@ -91,6 +104,101 @@ export function absolutizeLinks(html) {
 	return absolutizeLinksBase(html, this.option('url'));
 }
 
+/**
+ * Alternate links to page translations for a <head> tag (see `linkTranslations`):
+ * <link rel="alternate" hreflang="ru" href="http://example.com/ru/about">
+ *
+ * @return {string}
+ */
+export function hreflangLinks() {
+	const translations = this.translations || {};
+	if (Object.keys(translations).length < 2) {
+		return '';
+	}
+	return vdo.markSafe(_.map(translations, (url, lang) => vdo('link', {
+		rel: 'alternate',
+		hreflang: lang,
+		href: this.absolutizeUrl(url),
+	})).join(''));
+}
+
+// MIME types for feed autodiscovery links
+const FEED_TYPES = {
+	rss: 'application/rss+xml',
+	atom: 'application/atom+xml',
+	json: 'application/feed+json',
+};
+
+/**
+ * Feed autodiscovery link for a <head> tag:
+ * <link rel="alternate" type="application/atom+xml" title="My blog" href="http://example.com/atom.xml">
+ *
+ * @param {string} url Feed URL.
+ * @param {string} [$1.type] Feed type: `rss` (default), `atom` or `json`.
+ * @param {string} [$1.title] Feed title (`title` config option by default).
+ * @return {string}
+ */
+export function feedLink(url, { type = 'rss', title } = {}) {
+	if (!FEED_TYPES[type]) {
+		throw new Error(`Unknown feed type "${type}". Available types: ${Object.keys(FEED_TYPES).join(', ')}.`);
+	}
+	return vdo.markSafe(vdo('link', {
+		rel: 'alternate',
+		type: FEED_TYPES[type],
+		title: title || this.option('title'),
+		href: this.absolutizeUrl(url),
+	}).toString());
+}
+
+/**
+ * Table of contents of a page: nested lists with links to headings. Returns an empty string if the page has
+ * no headings in a given depth range or has `toc: false` front matter field (the `toc` field is otherwise
+ * the table of contents metadata, see `getMarkdownMetadata`).
+ *
+ * Default depth range is taken from the `toc` config option: {minDepth: 2, maxDepth: 3}.
+ *
+ * @param {number} [$1.minDepth] Minimum heading depth.
+ * @param {number} [$1.maxDepth] Maximum heading depth.
+ * @return {string}
+ */
+export function tableOfContents({ minDepth, maxDepth } = {}) {
+	if (this.toc === false || !this.headings) {
+		return '';
+	}
+	const defaults = _.get(this.config[this.lang || 'base'], 'toc') || {};
+	const items = buildToc(this.headings, {
+		minDepth: minDepth || defaults.minDepth || 2,
+		maxDepth: maxDepth || defaults.maxDepth || 3,
+	});
+	if (!items.length) {
+		return '';
+	}
+	const renderList = list => vdo('ul', null, list.map(item => vdo('li', null, [
+		vdo('a', { href: `#${item.id}` }, item.text),
+		item.children.length ? renderList(item.children) : null,
+	])));
+	return vdo.markSafe(vdo('nav', { class: 'toc' }, renderList(items)).toString());
+}
+
+/**
+ * Tags for page assets: CSS and JS files registered by custom tags (see `addAsset`) or listed in the `assets`
+ * front matter field:
+ * <link rel="stylesheet" href="/css/figure.css"><script src="/js/figure.js"></script>
+ *
+ * @param {string} [type] Asset type: `css` or `js` (all assets by default).
+ * @return {string}
+ */
+export function assetTags(type) {
+	const getType = url => getExtension(url.replace(/[?#].*$/, ''));
+	const assets = (this.assets || []).filter(url => !type || getType(url) === type);
+	return vdo.markSafe(assets.map(url => {
+		if (getType(url) === 'css') {
+			return vdo('link', { rel: 'stylesheet', href: url });
+		}
+		return vdo('script', { src: url });
+	}).join(''));
+}
+
 /**
  * Title to use in a <title> tag.
  *
@@ -128,18 +236,29 @@ export function dateToString(date) {
 		return format.format(date);
 	}
 	catch (exception) {
-		return errorInlineHtml(`dateToString: invalid date "${date}" at ${this.sourcePath}`);
+		return errorInlineHtml(`dateToString: invalid date "${date}"`, {
+			code: 'invalid-date',
+			file: this.sourcePath,
+		});
 	}
 }
 
+// Cache by file modification time, so changed files are read again in watch mode
+const getFileHash = memoizeByFile(filepath => md5File.sync(filepath));
+const readFileCached = memoizeByFile(readFile);
+
 /**
- * Path for a static file.
+ * Path for a static file. The file is recorded as a page dependency for incremental builds.
  *
  * @param {string} url
  * @return {string}
  */
 export function assetFilepath(url) {
-	return path.join(this.option('assetsFolder'), url);
+	const filepath = path.join(this.option('assetsFolder'), url);
+	if (this.dependencies) {
+		this.dependencies.add(filepath);
+	}
+	return filepath;
 }
 
 /**
@@ -148,10 +267,10 @@ export function assetFilepath(url) {
  * @param {string} url
  * @return {string}
  */
-export const fingerprint = _.memoize(function(url) {
-	const hash = md5File.sync(this.assetFilepath(url));
+export function fingerprint(url) {
+	const hash = getFileHash(this.assetFilepath(url));
 	return `${url}?${hash}`;
-});
+}
 
 /**
  * Return a static file content.
@@ -159,10 +278,9 @@ export const fingerprint = _.memoize(function(url) {
  * @param {string} url
  * @return {string}
  */
-export const embedFile = _.memoize(function(url) {
-	return readFile(this.assetFilepath(url));
-});
-
+export function embedFile(url) {
+	return readFileCached(this.assetFilepath(url));
+}
 
 /**
  * Return a static file content prefixed with a comment with a file name.
@@ -170,11 +288,11 @@ export const embedFile = _.memoize(function(url) {
  * @param {string} url
  * @return {string}
  */
-export const inlineFile = _.memoize(function(url) {
+export function inlineFile(url) {
 	const name = removeExtension(path.basename(url));
 	const comment = `/*${name}*/`;
-	return comment + readFile(this.assetFilepath(url));
-});
+	return comment + readFileCached(this.assetFilepath(url));
+}
 
 /**
  * Rich typo for body text.
@@ -1,14 +1,47 @@
 // Public API
 export {
 	loadConfig,
+	loadData,
 	loadSourceFiles,
+	loadSourceFilesAsync,
 	generatePages,
+	generatePagesAsync,
 	savePages,
+	savePagesAsync,
+	cleanPages,
 	filterDocuments,
 	orderDocuments,
 	groupDocuments,
 	paginate,
+	setDocumentLanguages,
+	linkTranslations,
+	linkRelated,
+	applyPermalinks,
+	buildCollections,
+	buildTaxonomies,
 } from './core';
+export { buildRedirects } from './redirects';
+export {
+	buildSearchIndex,
+	buildSearchIndexes,
+} from './search';
+export {
+	loadCache,
+	saveCache,
+	recordGeneratedFiles,
+} from './cache';
+
+export { createWorkerPool } from './pool';
+export {
+	reportDiagnostic,
+	getDiagnostics,
+	clearDiagnostics,
+	printDiagnosticsSummary,
+} from './diagnostics';
+
+// Development
+export { watch } from './watch';
+export { serve } from './server';
 
 // Utilities
 export { start } from './util';
@@ -0,0 +1,152 @@
+import os from 'os';
+import path from 'path';
+import _ from 'lodash';
+import { renderByType, renderPageSource, renderPage } from './core';
+import { reportDiagnostic, withDiagnosticsContext } from './diagnostics';
+import * as defaultHelpers from './helpers';
+
+let workerThreads;
+try {
+	workerThreads = require('worker_threads');
+}
+catch (exception) {
+	workerThreads = null;
+}
+
+// Worker entry point: load modules that register require hooks (like babel-register) before the worker itself
+const WORKER_SCRIPT = `
+const { workerData } = require('worker_threads');
+workerData.requires.forEach(name => require(name));
+require(workerData.worker);
+`;
+
+/**
+ * Return task handlers for a site module.
+ *
+ * Site module exports:
+ *
+ * - `renderers`: content renderers for `loadSourceFilesAsync`: {ext: renderFunction};
+ * - `templateRenderers`: template renderers for `generatePagesAsync`: {extension: renderFunction};
+ * - `helpers`: template helpers and helpers for source renderers (default helpers if not exported).
+ *
+ * @param {object} site Site module.
+ * @return {object} { renderSource(body, filepath, context), renderPageSource(body, filepath, context, page),
+ *                    renderPage(document, config, globals) }
+ */
+export function createHandlers(site) {
+	const renderers = site.renderers || {};
+	const templateRenderers = site.templateRenderers || {};
+	const helpers = site.helpers || defaultHelpers;
+	return {
+		renderSource: (body, filepath, context = { file: filepath }) =>
+			withDiagnosticsContext(context, () => renderByType(body, filepath, renderers)),
+		renderPageSource: (body, filepath, context = { file: filepath }, page = {}) =>
+			withDiagnosticsContext(context, () => renderPageSource(body, filepath, renderers, { ...page, helpers })),
+		renderPage: (document, config, globals) => renderPage(document, config, helpers, templateRenderers, globals),
+	};
+}
+
+/**
+ * Create a pool that renders Markdown and templates in worker threads.
+ *
+ * Renderers are functions and cannot be passed to a worker, so every worker loads them from a site module
+ * (see `createHandlers`). Documents and config are copied to workers, so they should not contain functions.
+ *
+ * Falls back to rendering in the main thread if worker threads are not supported or `concurrency` is 1.
+ * Diagnostics reported in workers are added to the main thread diagnostics.
+ *
+ * A failed worker is removed from the pool and its task is rejected. When all workers have failed, queued
+ * and new tasks are rejected with the last error.
+ *
+ * @param {string} module Site module path.
+ * @param {number} $1.concurrency Number of workers (number of CPUs by default).
+ * @param {Array} $1.require Modules to load in every worker before the site module, like `babel-register`.
+ * @return {object} { size, run(type, args), close() }
+ */
+export function createWorkerPool(module, { concurrency = os.cpus().length, require: requires = [] } = {}) {
+	const filepath = path.resolve(module);
+
+	if (!workerThreads || concurrency <= 1) {
+		const handlers = createHandlers(require(filepath));
+		return {
+			size: 1,
+			run: (type, args) => Promise.resolve().then(() => handlers[type](...args)),
+			close: () => Promise.resolve(),
+		};
+	}
+
+	const workerData = {
+		module: filepath,
+		worker: path.join(__dirname, 'worker.js'),
+		requires: requires.map(name => require.resolve(name, { paths: [process.cwd()] })),
+	};
+
+	const queue = [];
+	const idle = [];
+	const workers = [];
+	let failure = null;
+
+	const dispatch = () => {
+		while (idle.length && queue.length) {
+			const worker = idle.shift();
+			worker.task = queue.shift();
+			worker.postMessage(worker.task.message);
+		}
+	};
+
+	const removeWorker = (worker, error) => {
+		if (!workers.includes(worker)) {
+			return;
+		}
+		_.pull(workers, worker);
+		_.pull(idle, worker);
+		if (worker.task) {
+			worker.task.reject(error);
+			worker.task = null;
+		}
+		// Usually the site module cannot be loaded, so all workers fail: reject all queued and future tasks
+		if (!workers.length) {
+			failure = error;
+			queue.splice(0).forEach(task => task.reject(error));
+		}
+	};
+
+	_.range(concurrency).forEach(() => {
+		const worker = new workerThreads.Worker(WORKER_SCRIPT, { eval: true, workerData });
+		worker.on('message', ({ result, error, diagnostics = [] }) => {
+			const task = worker.task;
+			worker.task = null;
+			idle.push(worker);
+			// Already printed by the worker
+			diagnostics.forEach(diagnostic => reportDiagnostic(diagnostic, { silent: true }));
+			if (error) {
+				task.reject(new Error(error));
+			}
+			else {
+				task.resolve(result);
+			}
+			dispatch();
+		});
+		worker.on('error', error => removeWorker(worker, error));
+		worker.on('exit', code => removeWorker(worker, new Error(`Worker stopped with exit code ${code}`)));
+		workers.push(worker);
+		idle.push(worker);
+	});
+
+	return {
+		size: concurrency,
+		run: (type, args) => new Promise((resolve, reject) => {
+			if (failure) {
+				reject(failure);
+				return;
+			}
+			queue.push({
+				message: { type, args },
+				resolve,
+				reject,
+			});
+			dispatch();
+		}),
+		close: () => Promise.all(_.clone(workers).map(worker => worker.terminate())),
+	};
+}
@@ -0,0 +1,70 @@
+import _ from 'lodash';
+import { reportDiagnostic } from './diagnostics';
+import { getPagePath, urlToPagePath } from './core';
+import { getRedirectsFilename } from './renderers/redirect';
+
+/**
+ * Build redirects from `aliases` front matter field (old URLs of a document).
+ *
+ * Every alias gets an HTML page with a redirect (`Redirect` layout). Host configs with all redirects are generated
+ * for given formats (`RedirectMap` layout, see `formatRedirects`). Aliases that collide with other pages or aliases
+ * are reported as errors and skipped.
+ *
+ * @param {Array} documents
+ * @param {Array} $1.formats Host config formats: netlify, nginx, htaccess.
+ * @return {object} { redirects: [{ from, to }, ...], documents: [...redirect pages and host configs] }
+ */
+export function buildRedirects(documents, { formats = [] } = {}) {
+	const urls = new Set(documents.map(document => document.url));
+	const pagePaths = new Set(documents.filter(document => document.layout).map(getPagePath));
+	const sources = {};
+
+	const redirects = [];
+	documents.forEach(document => {
+		_.castArray(document.aliases || []).forEach(from => {
+			const pagePath = urlToPagePath(from);
+			const report = message => reportDiagnostic({
+				code: 'alias-collision',
+				message: `Alias ${from} ${message}`,
+				file: document.sourcePath,
+			});
+			if (urls.has(from) || pagePaths.has(pagePath)) {
+				report('collides with an existing page.');
+			}
+			else if (sources[from]) {
+				report(`is already used by ${sources[from]}.`);
+			}
+			else {
+				sources[from] = document.sourcePath;
+				redirects.push({
+					from,
+					to: document.url,
+				});
+			}
+		});
+	});
+
+	const redirectPages = redirects.map(({ from, to }) => ({
+		sourcePath: from.replace(/^\//, ''),
+		url: from,
+		pagePath: urlToPagePath(from),
+		layout: 'Redirect',
+		redirectTo: to,
+	}));
+	const mapPages = _.castArray(formats).map(format => {
+		const filename = getRedirectsFilename(format);
+		return {
+			sourcePath: filename,
+			url: `/${filename}`,
+			pagePath: filename,
+			layout: 'RedirectMap',
+			format,
+			redirects,
+		};
+	});
+
+	return {
+		redirects,
+		documents: [...redirectPages, ...mapPages],
+	};
+}
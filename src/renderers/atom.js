@@ -0,0 +1,61 @@
+import escapeHtml from 'escape-html';
+import { checkFeedProps, getFeedUrls, getFeedItems, getFeedUpdated } from './feed';
+
+/**
+ * Return XML tag with escaped text contents or an empty string if the value is empty.
+ *
+ * @param {string} name
+ * @param {string} value
+ * @param {string} [attrs] Tag attributes.
+ * @return {string}
+ */
+function tag(name, value, attrs = '') {
+	if (!value) {
+		return '';
+	}
+	return `<${name}${attrs}>${escapeHtml(String(value))}</${name}>`;
+}
+
+/**
+ * Generates Atom feed. Takes the same properties as the RSS layout. Unpublished items (drafts, etc.) are skipped.
+ *
+ * @param {object} props
+ * @return {string}
+ */
+export default function renderAtom(props = {}) {
+	const error = checkFeedProps(props, 'an Atom feed', 'feed-missing-property');
+	if (error) {
+		return error;
+	}
+
+	const { feedUrl, siteUrl, imageUrl } = getFeedUrls(props, 'xml');
+	const items = getFeedItems(props);
+	const updated = getFeedUpdated(items);
+	const entries = items.map(item => [
+		'\t<entry>',
+		`\t\t${tag('title', item.title)}`,
+		`\t\t<link href="${escapeHtml(item.url)}"/>`,
+		`\t\t${tag('id', item.id)}`,
+		`\t\t${tag('updated', (item.updated || updated).toISOString())}`,
+		item.date && `\t\t${tag('published', item.date.toISOString())}`,
+		item.author && `\t\t<author>${tag('name', item.author)}</author>`,
+		item.content && `\t\t${tag('content', item.content, ' type="html"')}`,
+		'\t</entry>',
+	].filter(Boolean).join('\n'));
+
+	const feed = [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		`<feed xmlns="http://www.w3.org/2005/Atom"${props.lang ? ` xml:lang="${escapeHtml(props.lang)}"` : ''}>`,
+		`\t${tag('title', props.title)}`,
+		`\t${tag('subtitle', props.description)}`,
+		`\t<link href="${escapeHtml(feedUrl)}" rel="self" type="application/atom+xml"/>`,
+		`\t<link href="${escapeHtml(siteUrl)}"/>`,
+		`\t${tag('id', feedUrl)}`,
+		`\t${tag('updated', updated.toISOString())}`,
+		imageUrl && `\t${tag('logo', imageUrl)}`,
+		props.author && `\t<author>${tag('name', props.author)}</author>`,
+		...entries,
+		'</feed>',
+	].filter(Boolean).join('\n');
+	return `${feed}\n`;
+}
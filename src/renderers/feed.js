@@ -0,0 +1,84 @@
+import { errorHtml, isListable, toDate } from '../util';
+
+/**
+ * Convert a front matter date to a Date object, return `undefined` for empty or invalid dates.
+ *
+ * @param {*} value
+ * @return {Date}
+ */
+function toValidDate(value) {
+	const date = value ? toDate(value) : undefined;
+	return date && !isNaN(date.getTime()) ? date : undefined;
+}
+
+/**
+ * Check required feed properties (`title`, `description` and `items`).
+ *
+ * @param {object} props
+ * @param {string} feedName Feed name for an error message: `an RSS feed`.
+ * @param {string} code Diagnostic code.
+ * @return {string} Error HTML or `undefined` if all properties are present.
+ */
+export function checkFeedProps(props, feedName, code) {
+	const requiredProps = ['title', 'description', 'items'];
+	for (const prop of requiredProps) {
+		if (!props[prop]) {
+			return errorHtml(`Error while rendering ${feedName} ${props.sourcePath}: ` +
+				`missing required property "${prop}".`, undefined, undefined, code);
+		}
+	}
+	return undefined;
+}
+
+/**
+ * Return absolute feed URLs: `feedUrl` (`feedUrl` property or page URL with a given extension), `siteUrl`
+ * and `imageUrl`.
+ *
+ * @param {object} props
+ * @param {string} extension Feed file extension.
+ * @return {object} { feedUrl, siteUrl, imageUrl }
+ */
+export function getFeedUrls(props, extension) {
+	return {
+		feedUrl: props.absolutizeUrl(props.feedUrl || `${props.url}.${extension}`),
+		siteUrl: props.absolutizeUrl(props.siteUrl || ''),
+		imageUrl: props.imageUrl && props.absolutizeUrl(props.imageUrl),
+	};
+}
+
+/**
+ * Return feed items without unpublished items (drafts, etc.), with absolute URLs, absolutized links in content
+ * and stable IDs: an `id` field or an absolute URL.
+ *
+ * @param {object} props
+ * @return {Array} [{ ...item, id, url, content, date, updated }, ...]
+ */
+export function getFeedItems(props) {
+	return props.items.filter(isListable).map(item => {
+		const url = props.absolutizeUrl(item.url);
+		const date = toValidDate(item.date);
+		const updated = toValidDate(item.updated) || date;
+		return {
+			...item,
+			id: item.id || url,
+			url,
+			content: item.content && props.absolutizeLinks(item.content),
+			date,
+			updated,
+		};
+	});
+}
+
+/**
+ * Return the latest update date of feed items or the current date if items have no dates.
+ *
+ * @param {Array} items Items returned by `getFeedItems`.
+ * @return {Date}
+ */
+export function getFeedUpdated(items) {
+	const dates = items.map(item => item.updated).filter(Boolean);
+	if (!dates.length) {
+		return new Date();
+	}
+	return new Date(Math.max(...dates));
+}
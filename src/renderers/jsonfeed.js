@@ -0,0 +1,41 @@
+import _ from 'lodash';
+import { checkFeedProps, getFeedUrls, getFeedItems } from './feed';
+
+/**
+ * Generates JSON Feed 1.1. Takes the same properties as the RSS layout. Unpublished items (drafts, etc.) are skipped.
+ *
+ * @param {object} props
+ * @return {string}
+ */
+export default function renderJsonFeed(props = {}) {
+	const error = checkFeedProps(props, 'a JSON feed', 'feed-missing-property');
+	if (error) {
+		return error;
+	}
+
+	const { feedUrl, siteUrl, imageUrl } = getFeedUrls(props, 'json');
+	const items = getFeedItems(props).map(item => _.omitBy({
+		id: item.id,
+		url: item.url,
+		title: item.title,
+		content_html: item.content,
+		date_published: item.date && item.date.toISOString(),
+		date_modified: item.updated && item.updated.toISOString(),
+		authors: item.author && [{ name: item.author }],
+		tags: item.tags,
+	}, _.isUndefined));
+
+	const feed = _.omitBy({
+		version: 'https://jsonfeed.org/version/1.1',
+		title: props.title,
+		description: props.description,
+		home_page_url: siteUrl,
+		feed_url: feedUrl,
+		icon: imageUrl,
+		language: props.lang,
+		authors: props.author && [{ name: props.author }],
+		items,
+	}, _.isUndefined);
+
+	return JSON.stringify(feed, null, '\t');
+}
@@ -4,19 +4,28 @@ import visit from 'unist-util-visit';
 import low from 'lowlight';
 import parse5 from 'parse5';
 import _ from 'lodash';
-import { errorInlineHtml } from '../util';
-
-/* eslint-disable no-console */
+import { errorInlineHtml, slugify, getWordCount, getReadingTime, buildToc } from '../util';
+import { reportDiagnostic } from '../diagnostics';
 
 const defaultOptions = {
 	plugins: [],
 	hljs: {
 		aliases: {
-			yaml: 'python',
 			shell: 'bash',
 		},
+		languages: {},
+		autoDetect: true,
+		lineNumbers: false,
 	},
 	customTags: {},
+	containers: {
+		note: 'admonition admonition_note',
+		tip: 'admonition admonition_tip',
+		warning: 'admonition admonition_warning',
+		danger: 'admonition admonition_danger',
+	},
+	headingIds: true,
+	headingAnchors: false,
 };
 
 const remarkHtmlOptions = {
@@ -45,86 +54,698 @@ export function unescapeMarkdown(string) {
 	return string.replace(/\\\/\\\//g, '//');
 }
 
+const FENCE_REGEXP = /^[ \t]*(`{3,}|~{3,})/;
+
+/**
+ * Return index of a line that closes a block (a container or a custom tag) opened at the first line.
+ * Nested blocks and lines inside fenced code blocks are skipped.
+ *
+ * @param {Array} lines
+ * @param {Function} isOpening Checks whether a line opens a nested block.
+ * @param {Function} isClosing Checks whether a line closes a block.
+ * @return {number} Index of the closing line or -1 if the block is not closed.
+ */
+function findClosingLine(lines, isOpening, isClosing) {
+	let depth = 1;
+	let fence;
+	for (let index = 1; index < lines.length; index++) {
+		const line = lines[index];
+		const fenceMatch = line.match(FENCE_REGEXP);
+		if (fence) {
+			if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+				fence = null;
+			}
+		}
+		else if (fenceMatch) {
+			fence = fenceMatch[1];
+		}
+		else if (isOpening(line)) {
+			depth++;
+		}
+		else if (isClosing(line)) {
+			depth--;
+			if (depth === 0) {
+				return index;
+			}
+		}
+	}
+	return -1;
+}
+
+// <x-foo bar="baz" items='[1, 2]' autoplay> or <x-foo/>
+const TAG_OPEN_REGEXP = /^<x-([\w-]+)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/;
+// name, name=value, name="value" or name='value'
+const ATTRIBUTE_REGEXP = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const BARE_VALUE_REGEXP = /^(true|false|null|-?\d+(\.\d+)?([eE][+-]?\d+)?)$/;
+const JSON_VALUE_REGEXP = /^\s*(\{[\s\S]*\}|\[[\s\S]*\])\s*$/;
+
+/**
+ * Parse custom tag attributes. Attributes without a value are `true`, unquoted numbers, booleans and null
+ * are parsed, JSON objects and arrays are parsed, other values (including quoted numbers) are strings.
+ *
+ * @param {string} string Attributes part of a tag.
+ * @return {Object}
+ */
+function parseAttributes(string) {
+	string = unescapeMarkdown(string);
+
+	// Use parse5 to decode entities in values
+	const dom = parse5.parseFragment(`<x-tag ${string}></x-tag>`);
+	const values = dom.childNodes[0].attrs.reduce((attrs, attr) => {
+		attrs[attr.name] = attr.value;
+		return attrs;
+	}, {});
+
+	const attrs = {};
+	for (let match = ATTRIBUTE_REGEXP.exec(string); match; match = ATTRIBUTE_REGEXP.exec(string)) {
+		const [, rawName, doubleQuoted, singleQuoted, bare] = match;
+		const name = rawName.toLowerCase();
+		if (doubleQuoted === undefined && singleQuoted === undefined && bare === undefined) {
+			attrs[name] = true;
+			continue;
+		}
+
+		const value = values[name];
+		attrs[name] = value;
+		const isJson = bare === undefined ? JSON_VALUE_REGEXP.test(value) : BARE_VALUE_REGEXP.test(value);
+		if (isJson) {
+			try {
+				attrs[name] = JSON.parse(value);
+			}
+			catch (exception) {
+				// Not a JSON, keep a string
+			}
+		}
+	}
+	return attrs;
+}
+
+/**
+ * Match a custom tag opening line: a line that contains only a tag.
+ *
+ * @param {string} line
+ * @return {Array} Tag regexp match or `null`.
+ */
+function matchBlockTag(line) {
+	const match = line.match(TAG_OPEN_REGEXP);
+	return match && !line.slice(match[0].length).trim() ? match : null;
+}
+
+/**
+ * Remark block tokenizer for custom tags on separate lines:
+ *
+ * <x-foo bar="baz">
+ * Any *Markdown*
+ * </x-foo>
+ *
+ * A tag without a closing tag has no children.
+ *
+ * @param {Function} eat
+ * @param {string} value Rest of the document.
+ * @param {boolean} silent Only check whether a tag starts here.
+ * @return {Object|boolean}
+ */
+function tokenizeBlockCustomTag(eat, value, silent) {
+	const lines = value.split('\n');
+	const match = matchBlockTag(lines[0]);
+	if (!match) {
+		return false;
+	}
+	if (silent) {
+		return true;
+	}
+
+	const parser = this; // eslint-disable-line no-invalid-this
+	const now = eat.now();
+	const [opening, name, attributes, selfClosing] = match;
+	const closingRegExp = new RegExp(`^</x-${name}>\\s*$`);
+	const closing = selfClosing ? -1 : findClosingLine(
+		lines,
+		line => {
+			const nested = matchBlockTag(line);
+			return nested && nested[1] === name && !nested[3];
+		},
+		line => closingRegExp.test(line)
+	);
+	if (closing === -1) {
+		return eat(lines[0])({
+			type: 'customTag',
+			name,
+			attributes: parseAttributes(attributes),
+			children: [],
+		});
+	}
+
+	const add = eat(lines.slice(0, closing + 1).join('\n'));
+	const source = lines.slice(1, closing).join('\n');
+	const exit = parser.enterBlock();
+	const children = parser.tokenizeBlock(source, {
+		line: now.line + 1,
+		column: 1,
+		offset: now.offset + opening.length + 1,
+	});
+	exit();
+
+	return add({
+		type: 'customTag',
+		name,
+		attributes: parseAttributes(attributes),
+		source,
+		children,
+	});
+}
+
+/**
+ * Return position of a closing tag that matches an opening tag, skipping nested tags with the same name.
+ *
+ * @param {string} value
+ * @param {string} name Tag name.
+ * @param {number} fromIndex Position after the opening tag.
+ * @return {Object} { start, end } or `null` if the tag is not closed.
+ */
+function findClosingTag(value, name, fromIndex) {
+	const regExp = new RegExp(`<x-${name}(?=[\\s/>])[^>]*?(/?)>|</x-${name}>`, 'g');
+	regExp.lastIndex = fromIndex;
+	let depth = 1;
+	for (let match = regExp.exec(value); match; match = regExp.exec(value)) {
+		if (match[0].startsWith('</')) {
+			depth--;
+			if (depth === 0) {
+				return { start: match.index, end: match.index + match[0].length };
+			}
+		}
+		else if (!match[1]) {
+			depth++;
+		}
+	}
+	return null;
+}
+
+/**
+ * Remark inline tokenizer for custom tags inside a paragraph: Press <x-key>Ctrl</x-key>.
+ *
+ * @param {Function} eat
+ * @param {string} value Rest of the paragraph.
+ * @param {boolean} silent Only check whether a tag starts here.
+ * @return {Object|boolean}
+ */
+function tokenizeInlineCustomTag(eat, value, silent) {
+	const match = value.match(TAG_OPEN_REGEXP);
+	if (!match) {
+		return false;
+	}
+	if (silent) {
+		return true;
+	}
+
+	const parser = this; // eslint-disable-line no-invalid-this
+	const now = eat.now();
+	const [opening, name, attributes, selfClosing] = match;
+	const closing = selfClosing ? null : findClosingTag(value, name, opening.length);
+	if (!closing) {
+		return eat(opening)({
+			type: 'customTag',
+			name,
+			attributes: parseAttributes(attributes),
+			inline: true,
+			children: [],
+		});
+	}
+
+	const add = eat(value.slice(0, closing.end));
+	const source = value.slice(opening.length, closing.start);
+	const children = parser.tokenizeInline(source, {
+		line: now.line,
+		column: now.column + opening.length,
+		offset: now.offset + opening.length,
+	});
+
+	return add({
+		type: 'customTag',
+		name,
+		attributes: parseAttributes(attributes),
+		inline: true,
+		source,
+		children,
+	});
+}
+tokenizeInlineCustomTag.locator = (value, fromIndex) => value.indexOf('<x-', fromIndex);
+
+/**
+ * Remark plugin that parses custom tags (see `tokenizeBlockCustomTag` and `tokenizeInlineCustomTag`).
+ *
+ * @param {Object} processor
+ */
+function remarkCustomTagSyntax(processor) {
+	const proto = processor.Parser.prototype;
+	proto.blockTokenizers.customTag = tokenizeBlockCustomTag;
+	proto.blockMethods.splice(proto.blockMethods.indexOf('html'), 0, 'customTag');
+	proto.inlineTokenizers.customTag = tokenizeInlineCustomTag;
+	proto.inlineMethods.splice(proto.inlineMethods.indexOf('html'), 0, 'customTag');
+}
+
+const CONTAINER_OPEN_REGEXP = /^:::[ \t]*([\w-]+)[ \t]*(.*)$/;
+const CONTAINER_CLOSE_REGEXP = /^:::[ \t]*$/;
+
+/**
+ * Remark block tokenizer for containers:
+ *
+ * :::warning Optional *title*
+ * Any Markdown
+ * :::
+ *
+ * Containers could be nested. Container markers inside fenced code blocks are ignored.
+ * An unclosed container ends at the end of the document.
+ *
+ * @param {Function} eat
+ * @param {string} value Rest of the document.
+ * @param {boolean} silent Only check whether a container starts here.
+ * @return {Object|boolean}
+ */
+function tokenizeContainer(eat, value, silent) {
+	const lines = value.split('\n');
+	const match = lines[0].match(CONTAINER_OPEN_REGEXP);
+	if (!match) {
+		return false;
+	}
+	if (silent) {
+		return true;
+	}
+
+	let closing = findClosingLine(
+		lines,
+		line => CONTAINER_OPEN_REGEXP.test(line),
+		line => CONTAINER_CLOSE_REGEXP.test(line)
+	);
+	if (closing === -1) {
+		closing = lines.length;
+	}
+
+	const parser = this; // eslint-disable-line no-invalid-this
+	const now = eat.now();
+	const [opening, name, title] = match;
+	const add = eat(lines.slice(0, closing + 1).join('\n'));
+	const body = lines.slice(1, closing).join('\n');
+
+	const exit = parser.enterBlock();
+	const children = parser.tokenizeBlock(body, {
+		line: now.line + 1,
+		column: 1,
+		offset: now.offset + opening.length + 1,
+	});
+	exit();
+
+	if (title.trim()) {
+		children.unshift({
+			type: 'containerTitle',
+			children: parser.tokenizeInline(title.trim(), {
+				line: now.line,
+				column: now.column + opening.indexOf(title),
+				offset: now.offset + opening.indexOf(title),
+			}),
+		});
+	}
+
+	return add({
+		type: 'container',
+		name,
+		title: title.trim(),
+		children,
+	});
+}
+
 /**
- * Remark plugin for custom tags: <x-foo data-value="42"/>
+ * Remark plugin that parses containers (see `tokenizeContainer`).
  *
  * @param {Object} processor
+ */
+function remarkContainerSyntax(processor) {
+	const proto = processor.Parser.prototype;
+	proto.blockTokenizers.container = tokenizeContainer;
+	proto.blockMethods.splice(proto.blockMethods.indexOf('fencedCode'), 0, 'container');
+}
+
+/**
+ * Render a custom tag using a function from the `customTags` option. Errors are rendered as an error message.
+ *
+ * Tag functions receive a page context as the second argument: front matter fields, `sourcePath`, config
+ * and helpers like `__`, `option` or `fingerprint`, and `addAsset(url)` to add a CSS or JS file to the page
+ * (see `makeSourceContext`).
+ *
  * @param {Object} customTags
+ * @param {string} tagName Tag name without the `x-` prefix.
+ * @param {Object} attrs Tag attributes.
+ * @param {Object} node Markdown AST node.
+ * @param {Object} context Page context.
+ * @return {string}
+ */
+function renderCustomTag(customTags, tagName, attrs, node, context) {
+	// Check tag function
+	const tagFunction = customTags[tagName];
+	if (!tagFunction || !_.isFunction(tagFunction)) {
+		throw new Error(`Custom tag "${tagName}" is not defined or is not a function.`);
+	}
+
+	// Render
+	let result;
+	try {
+		result = tagFunction(attrs, context) || '';
+	}
+	catch (exception) {
+		result = errorInlineHtml(
+			`Error while rendering custom tag <x-${tagName}>: ${exception.message}`,
+			{
+				block: !node.inline || node.standalone,
+				code: 'custom-tag-error',
+				line: node.position && node.position.start.line,
+			}
+		);
+	}
+	return result.toString().trim();
+}
+
+/**
+ * Render Markdown AST nodes to HTML.
+ *
+ * @param {Object} processor
+ * @param {Array} nodes
+ * @param {boolean} inline Phrasing content: render without a wrapping paragraph and line breaks between nodes.
+ * @return {string}
+ */
+function stringifyNodes(processor, nodes, inline) {
+	if (inline) {
+		const html = processor.stringify({ type: 'root', children: [{ type: 'paragraph', children: nodes }] });
+		return html.trim().replace(/^<p>|<\/p>$/g, '');
+	}
+	return processor.stringify({ type: 'root', children: nodes }).trim();
+}
+
+/**
+ * Render a custom tag node. The tag function receives tag attributes, rendered HTML of the tag content
+ * as `children` and Markdown source of the tag content as `source`.
+ *
+ * @param {Object} processor
+ * @param {Object} node
+ * @param {Object} customTags
+ * @param {Object} context Page context.
+ */
+function renderCustomTagNode(processor, node, customTags, context) {
+	const hasContent = node.source !== undefined;
+	const attrs = {
+		...node.attributes,
+		children: hasContent ? stringifyNodes(processor, node.children, node.inline) : null,
+		source: hasContent ? unescapeMarkdown(node.source).trim() : null,
+	};
+	node.type = 'html';
+	node.value = renderCustomTag(customTags, node.name, attrs, node, context);
+	node.children = null;
+}
+
+/**
+ * Render a container node. Container types are defined in the `containers` option:
+ *
+ * - CSS class name: `'admonition admonition_warning'`;
+ * - { className, title }: CSS class name and a default title;
+ * - { tag }: name of a custom tag function (see `customTags` option), the function receives
+ *   { type, title, children } where `children` is a rendered HTML of the container body.
+ *
+ * Types without a definition are rendered by a custom tag with the same name.
+ *
+ * @param {Object} processor
+ * @param {Object} node
+ * @param {Object} options { containers, customTags }
+ * @param {Object} context Page context.
+ */
+function renderContainerNode(processor, node, { containers, customTags }, context) {
+	const definition = _.isString(containers[node.name])
+		? { className: containers[node.name] }
+		: containers[node.name] || {};
+	const titleNode = node.children[0] && node.children[0].type === 'containerTitle' ? node.children[0] : null;
+	const title = node.title || definition.title;
+
+	const tagName = definition.tag || (!definition.className && node.name);
+	if (tagName) {
+		if (!definition.tag && !customTags[tagName]) {
+			throw new Error(`Container type "${node.name}" is not defined.`);
+		}
+		const children = stringifyNodes(processor, titleNode ? node.children.slice(1) : node.children);
+		node.type = 'html';
+		node.value = renderCustomTag(customTags, tagName, { type: node.name, title, children }, node, context);
+		node.children = null;
+		return;
+	}
+
+	const classNames = definition.className.split(/\s+/);
+	if (title) {
+		const titleChildren = titleNode ? titleNode.children : [{ type: 'text', value: title }];
+		const titleElement = {
+			type: 'paragraph',
+			children: titleChildren,
+			data: {
+				hName: 'div',
+				hProperties: { className: [`${classNames[0]}__title`] },
+			},
+		};
+		node.children = [titleElement, ...node.children.filter(child => child !== titleNode)];
+	}
+	node.type = 'blockquote';
+	node.data = {
+		hName: 'div',
+		hProperties: { className: classNames },
+	};
+}
+
+/**
+ * Remark plugin for custom tags and containers.
+ *
+ * @param {Object} processor
+ * @param {Object} options { containers, customTags }
  * @return {Function}
  */
-function remarkCustomTags(processor, customTags) {
-	return ast => visit(ast, 'paragraph', node => {
-		const child = node.children && node.children[0];
-		if (child && child.type === 'text' && child.value.startsWith('<x-')) {
-			// Parse tag’s HTML
-			const dom = parse5.parseFragment(unescapeMarkdown(child.value));
-			const tagNode = dom.childNodes[0];
-			if (!tagNode) {
-				throw new Error('Cannot parse custom tag:', child.value);
-			}
-			let { tagName, attrs } = tagNode;
-			const childNode = tagNode.childNodes[0];
-			attrs.push({
-				name: 'children',
-				value: childNode ? childNode.value.trim() : null,
-			});
-			tagName = tagName.replace(/^x-/, '');
+function remarkCustomTags(processor, options) {
+	remarkCustomTagSyntax(processor);
+	remarkContainerSyntax(processor);
 
-			// Check tag function
-			const tagFunction = customTags[tagName];
-			if (!tagFunction || !_.isFunction(tagFunction)) {
-				throw new Error(`Custom tag "${tagName}" is not defined or is not a function.`);
+	return (ast, file) => {
+		const context = file.data.context || {};
+
+		// A custom tag that is the only content of a paragraph is a block-level tag
+		visit(ast, 'paragraph', (node, index, parent) => {
+			const children = node.children.filter(child => child.type !== 'text' || child.value.trim());
+			if (children.length === 1 && children[0].type === 'customTag') {
+				children[0].standalone = true;
+				parent.children[index] = children[0];
 			}
+		});
 
-			// Unzip attributes
-			attrs = attrs.reduce((attrsObj, attr) => {
-				attrsObj[attr.name] = attr.value;
-				return attrsObj;
-			}, {});
+		// Render nested tags and containers first, so tag functions receive the final HTML
+		const nodes = [];
+		visit(ast, node => {
+			if (node.type === 'customTag' || node.type === 'container') {
+				nodes.push(node);
+			}
+		});
 
-			// Render
-			let result;
-			try {
-				result = tagFunction(attrs) || '';
+		nodes.reverse().forEach(node => {
+			if (node.type === 'customTag') {
+				renderCustomTagNode(processor, node, options.customTags, context);
 			}
-			catch (exception) {
-				result = errorInlineHtml(
-					`Error while rendering custom tag <x-${tagName}>: ${exception.message}`,
-					{ block: true }
-				);
+			else {
+				renderContainerNode(processor, node, options, context);
 			}
-			node.type = 'html';
-			node.value = result.toString().trim();
-			node.children = null;
+		});
+	};
+}
+
+const CODE_INFO_REGEXP = /\{([\d,\s-]*)\}|([^\s=]+)(?:=(?:"([^"]*)"|'([^']*)'|(\S*)))?/g;
+
+/**
+ * Parse code block info string: ```js {3,5-7} title="index.js" showLineNumbers
+ *
+ * @param {string} info
+ * @return {Object} { lang, highlight: [3, 5, 6, 7], title: 'index.js', showLineNumbers: true }
+ */
+export function parseCodeInfo(info) {
+	const result = { highlight: [] };
+	const string = (info || '').trim();
+	for (let match = CODE_INFO_REGEXP.exec(string); match; match = CODE_INFO_REGEXP.exec(string)) {
+		const [token, ranges, name, ...values] = match;
+		if (ranges !== undefined) {
+			ranges.split(',').forEach(range => {
+				const [from, to = from] = range.split('-').map(Number);
+				if (from) {
+					result.highlight.push(..._.range(from, to + 1));
+				}
+			});
 		}
+		else if (match.index === 0 && token === name) {
+			result.lang = name;
+		}
+		else {
+			const value = values.find(_.isString);
+			result[name] = value === undefined ? true : value;
+		}
+	}
+	return result;
+}
+
+/**
+ * Highlight code with lowlight. Returns HAST nodes.
+ *
+ * @param {string} code
+ * @param {string} lang Language name or alias.
+ * @param {Object} options Highlighting options.
+ * @param {Object} node Markdown AST node.
+ * @return {Array}
+ */
+function highlightCode(code, lang, options, node) {
+	if (!lang) {
+		return options.autoDetect ? low.highlightAuto(code).value : [{ type: 'text', value: code }];
+	}
+
+	const name = options.languages[lang] ? lang : options.aliases[lang] || lang;
+	if (!low.getLanguage(name)) {
+		reportDiagnostic({
+			severity: 'warning',
+			code: 'unknown-code-language',
+			message: `Unknown language "${lang}" of a code block: highlighting skipped.`,
+			line: node.position && node.position.start.line,
+		});
+		return [{ type: 'text', value: code }];
+	}
+	return low.highlight(name, code).value;
+}
+
+/**
+ * Split HAST nodes to lines. Elements spanning several lines (like multiline comments) are split too.
+ *
+ * @param {Array} nodes
+ * @return {Array} [[...nodes of the first line], ...]
+ */
+function splitLines(nodes) {
+	const lines = [[]];
+	nodes.forEach(node => {
+		const parts = node.type === 'text'
+			? node.value.split('\n').map(value => (value ? [{ type: 'text', value }] : []))
+			: splitLines(node.children).map(children => (children.length ? [{ ...node, children }] : []))
+		;
+		parts.forEach((part, index) => {
+			if (index > 0) {
+				lines.push([]);
+			}
+			lines[lines.length - 1].push(...part);
+		});
+	});
+	return lines;
+}
+
+/**
+ * Wrap each line of highlighted code: <span class="code-line code-line_highlighted">...</span>.
+ *
+ * @param {Array} nodes HAST nodes.
+ * @param {Array} $1.highlight Numbers of highlighted lines.
+ * @param {boolean} $1.lineNumbers Add line numbers.
+ * @param {Array} $1.markers Diff markers of lines: +, - or a space.
+ * @return {Array}
+ */
+function wrapLines(nodes, { highlight, lineNumbers, markers }) {
+	const diffClasses = {
+		'+': 'code-line_added',
+		'-': 'code-line_removed',
+	};
+	return _.flatMap(splitLines(nodes), (line, index) => {
+		const number = index + 1;
+		const marker = markers && markers[index];
+		const prefix = _.compact([
+			lineNumbers && {
+				type: 'element',
+				tagName: 'span',
+				properties: { className: ['code-line__number'] },
+				children: [{ type: 'text', value: String(number) }],
+			},
+			marker && { type: 'text', value: marker },
+		]);
+		const element = {
+			type: 'element',
+			tagName: 'span',
+			properties: {
+				className: _.compact([
+					'code-line',
+					highlight.includes(number) && 'code-line_highlighted',
+					diffClasses[marker],
+				]),
+			},
+			children: [...prefix, ...line],
+		};
+		return index > 0 ? [{ type: 'text', value: '\n' }, element] : [element];
 	});
 }
 
 /**
  * Remark plugin for Highlight.js.
  *
+ * Code block info string could have options: ```js {3,5-7} title="index.js" showLineNumbers
+ * (see `parseCodeInfo`). Diffs (`diff-js`) are highlighted as the language after `diff-`, lines starting with
+ * `+` and `-` get `code-line_added` and `code-line_removed` classes.
+ *
  * @param {Object} processor
- * @param {Object} options
+ * @param {Object} options { aliases, languages, autoDetect, lineNumbers }
  * @return {Function}
  */
 function remarkHljs(processor, options) {
-	return ast => visit(ast, 'code', node => {
-		if (!node.data) {
-			node.data = {};
-		}
+	_.forEach(options.languages, (grammar, name) => low.registerLanguage(name, grammar));
 
-		const lang = node.lang;
-		const highlighted = lang
-			? low.highlight(options.aliases[lang] || lang, node.value).value
-			: low.highlightAuto(node.value).value
+	return ast => visit(ast, 'code', (node, index, parent) => {
+		const info = parseCodeInfo(node.lang);
+		const { lang, highlight, title } = info;
+		const lineNumbers = info.showLineNumbers === undefined
+			? options.lineNumbers
+			: info.showLineNumbers !== 'false'
 		;
-		node.data.hChildren = highlighted;
-		node.data.hProperties = {
-			className: [
-				'hljs',
-				lang && `language-${lang}`,
-			],
+
+		let code = node.value;
+		let markers;
+		const diff = lang && lang.match(/^diff-(.+)$/);
+		if (diff) {
+			const lines = code.split('\n');
+			markers = lines.map(line => (/^[-+ ]/.test(line) ? line[0] : ''));
+			code = lines.map((line, lineIndex) => line.slice(markers[lineIndex].length)).join('\n');
+		}
+
+		const highlighted = highlightCode(code, diff ? diff[1] : lang, options, node);
+		node.data = {
+			...node.data,
+			hChildren: lineNumbers || highlight.length || diff
+				? wrapLines(highlighted, { highlight, lineNumbers, markers })
+				: highlighted,
+			hProperties: {
+				className: _.compact([
+					'hljs',
+					lang && `language-${lang}`,
+				]),
+			},
 		};
+
+		if (title) {
+			parent.children[index] = {
+				type: 'blockquote',
+				children: [
+					{
+						type: 'paragraph',
+						children: [{ type: 'text', value: title }],
+						data: {
+							hName: 'figcaption',
+							hProperties: { className: ['code-block__title'] },
+						},
+					},
+					node,
+				],
+				data: {
+					hName: 'figure',
+					hProperties: { className: ['code-block'] },
+				},
+			};
+		}
 	});
 }
 
@@ -133,21 +754,217 @@ function remarkHljs(processor, options) {
  *
  * @param {Object} processor Remark processor.
  * @param {string} source Source Markdown.
+ * @param {Object} [context] Page context for plugins: `file.data.context` in transformers.
  * @return {string}
  */
-function render(processor, source) {
+function render(processor, source, context) {
 	try {
-		return processor.process(source).contents;
+		return processor.process({ contents: source, data: { context } }).contents;
 	}
 	catch (exception) {
-		const error = `Error while rendering Markdown: ${exception.message}`;
-		console.error(error);
-		return errorInlineHtml(error);
+		return errorInlineHtml(`Error while rendering Markdown: ${exception.message}`, { code: 'markdown-error' });
+	}
+}
+
+/**
+ * Check whether a Markdown AST node is a heading self-link anchor (see `remarkHeadingIds`).
+ *
+ * @param {Object} node
+ * @return {boolean}
+ */
+function isHeadingAnchor(node) {
+	return Boolean(node.data && node.data.headingAnchor);
+}
+
+/**
+ * Return plain text of a Markdown AST node.
+ *
+ * @param {Object} node
+ * @return {string}
+ */
+function getNodeText(node) {
+	if (node.type === 'text' || node.type === 'inlineCode') {
+		return node.value;
+	}
+	if (node.type === 'image' || node.type === 'imageReference') {
+		return node.alt || '';
+	}
+	if (isHeadingAnchor(node)) {
+		return '';
+	}
+	return (node.children || []).map(getNodeText).join('');
+}
+
+/**
+ * Return an ID that is unique within a document: adds `-1`, `-2`, etc. to repeated IDs, skipping numbers
+ * that are already used (`Example 1` heading followed by two `Example` headings).
+ *
+ * @param {string} id
+ * @param {Object} used {id: number of uses}
+ * @return {string}
+ */
+function getUniqueId(id, used) {
+	let unique = id;
+	while (unique in used) {
+		used[id]++;
+		unique = `${id}-${used[id]}`;
 	}
+	used[unique] = 0;
+	return unique;
+}
+
+/**
+ * Return heading ID (for anchors) generator: a function that returns a unique slug of a heading text.
+ *
+ * @return {Function}
+ */
+export function createHeadingIdGenerator() {
+	const used = {};
+	return text => getUniqueId(slugify(text) || 'section', used);
 }
 
 /**
- * Returns function that renders Markdown using Remark.
+ * Remark plugin that adds IDs to headings (see `createHeadingIdGenerator`) and optional self-link anchors.
+ *
+ * @param {Object} processor
+ * @param {Object} options { anchors: false or { symbol, className, position } }
+ * @return {Function}
+ */
+function remarkHeadingIds(processor, { anchors }) {
+	return ast => {
+		const getHeadingId = createHeadingIdGenerator();
+		visit(ast, 'heading', node => {
+			const id = getHeadingId(getNodeText(node));
+			if (!node.data) {
+				node.data = {};
+			}
+			node.data.hProperties = { ...node.data.hProperties, id };
+
+			if (anchors) {
+				const { symbol = '#', className = 'heading-anchor', position = 'after' } = anchors === true ? {} : anchors;
+				const anchor = {
+					type: 'link',
+					url: `#${id}`,
+					children: [{ type: 'text', value: symbol }],
+					data: {
+						headingAnchor: true,
+						hProperties: {
+							className: [className],
+							ariaHidden: 'true',
+						},
+					},
+				};
+				if (position === 'before') {
+					node.children.unshift(anchor);
+				}
+				else {
+					node.children.push(anchor);
+				}
+			}
+		});
+	};
+}
+
+/**
+ * Collect metadata from Markdown AST: word count, reading time (in minutes), headings, links, images
+ * and a nested table of contents.
+ * Code blocks and custom tag attributes are not counted as words. Heading IDs already added to the AST
+ * (by `remarkHeadingIds` or other plugins) are used as is.
+ *
+ * @param {Object} ast Markdown AST.
+ * @return {object} { wordCount, readingTime, headings: [{ depth, text, id }], links: [{ url, text }],
+ *                    images: [{ url, alt, title }], toc: [{ depth, text, id, children }] }
+ */
+function getAstMetadata(ast) {
+	const definitions = {};
+	visit(ast, 'definition', node => {
+		definitions[node.identifier] = node;
+	});
+
+	const getHeadingId = createHeadingIdGenerator();
+	const texts = [];
+	const headings = [];
+	const links = [];
+	const images = [];
+	visit(ast, node => {
+		const definition = definitions[node.identifier] || {};
+		switch (node.type) {
+			case 'text':
+			case 'inlineCode':
+				texts.push(node.value);
+				break;
+			case 'heading': {
+				const text = getNodeText(node);
+				const id = getHeadingId(text);
+				headings.push({ depth: node.depth, text, id: _.get(node, 'data.hProperties.id', id) });
+				break;
+			}
+			case 'link':
+			case 'linkReference': {
+				const url = node.url || definition.url;
+				if (url && !isHeadingAnchor(node)) {
+					links.push({ url, text: getNodeText(node) });
+				}
+				break;
+			}
+			case 'image':
+			case 'imageReference': {
+				const url = node.url || definition.url;
+				if (url) {
+					images.push(_.omitBy({ url, alt: node.alt, title: node.title || definition.title }, _.isNil));
+				}
+				break;
+			}
+			default:
+		}
+	});
+
+	const text = texts.join(' ');
+	return {
+		wordCount: getWordCount(text),
+		readingTime: getReadingTime(text),
+		headings,
+		links,
+		images,
+		toc: buildToc(headings),
+	};
+}
+
+/**
+ * Remark plugin that collects metadata (see `getAstMetadata`) to the `metadata` field of the page context,
+ * so metadata matches the rendered HTML.
+ *
+ * @return {Function}
+ */
+function remarkMetadata() {
+	return (ast, file) => {
+		const context = file.data.context;
+		if (context) {
+			context.metadata = getAstMetadata(ast);
+		}
+	};
+}
+
+/**
+ * Collect metadata from Markdown source (see `getAstMetadata`). Documents rendered with `createMarkdownRenderer`
+ * get metadata from the render pass instead, so IDs added by remark plugins are taken into account.
+ *
+ * @param {string} source Source Markdown.
+ * @return {object} { wordCount, readingTime, headings: [{ depth, text, id }], links: [{ url, text }],
+ *                    images: [{ url, alt, title }], toc: [{ depth, text, id, children }] }
+ */
+export function getMarkdownMetadata(source) {
+	const ast = remark()
+		.use(remarkCustomTagSyntax)
+		.use(remarkContainerSyntax)
+		.parse(escapeMarkdownInTags(source));
+	return getAstMetadata(ast);
+}
+
+/**
+ * Returns function that renders Markdown using Remark: (source, context) => html, where `context` is a page context
+ * for custom tags (see `renderCustomTag`). Source metadata is added to the context as `metadata`
+ * (see `getAstMetadata`).
  *
  * @param {object} options
  * @return {Function}
@@ -160,15 +977,19 @@ export default function createMarkdownRenderer(options = {}) {
 
 	// Attach plugins
 	const plugins = options.plugins;
-	plugins.push(
-		[remarkCustomTags, options.customTags],
-		[remarkHtml, remarkHtmlOptions]
-	);
+	if (options.headingIds) {
+		plugins.push([remarkHeadingIds, { anchors: options.headingAnchors }]);
+	}
+	// After all plugins that change headings, but before custom tags are rendered
+	plugins.push(remarkMetadata);
+	plugins.push([remarkHtml, remarkHtmlOptions]);
 	if (options.hljs) {
 		plugins.push(
 			[remarkHljs, options.hljs]
 		);
 	}
+	// Custom tags should be the last: their content should be ready for HTML when a tag function is called
+	plugins.push([remarkCustomTags, { containers: options.containers, customTags: options.customTags }]);
 	plugins.forEach(plugin => {
 		if (Array.isArray(plugin)) {
 			processor.use(plugin[0], plugin[1]);
@@ -178,9 +999,9 @@ export default function createMarkdownRenderer(options = {}) {
 		}
 	});
 
-	return source => {
+	return (source, context) => {
 		source = escapeMarkdownInTags(source);
-		return render(processor, source);
+		return render(processor, source, context);
 	};
 }
 
@@ -0,0 +1,137 @@
+import fs from 'fs';
+import path from 'path';
+import _ from 'lodash';
+import { reportDiagnostic } from '../diagnostics';
+
+export const ITUNES_NAMESPACE = 'http://www.itunes.com/dtds/podcast-1.0.dtd';
+
+// Channel fields required by Apple Podcasts and Spotify
+const REQUIRED_FIELDS = ['author', 'owner.email', 'image', 'category', 'explicit'];
+
+/**
+ * Return podcast options of a feed: a `podcast` property of a feed document or the `podcast` config option.
+ *
+ * @param {object} props Feed document.
+ * @return {object}
+ */
+export function getPodcastOptions(props) {
+	if (_.isPlainObject(props.podcast)) {
+		return props.podcast;
+	}
+	const config = props.config || {};
+	return _.get(config[props.lang || 'base'], 'podcast') || _.get(config.base, 'podcast') || {};
+}
+
+/**
+ * Validate podcast channel options. Returns the first missing or invalid field.
+ *
+ * @param {object} podcast Podcast options.
+ * @param {object} props Feed document.
+ * @return {string} Error message or `undefined` if options are valid.
+ */
+export function validatePodcast(podcast, props) {
+	if (!props.lang) {
+		return 'missing required property "lang".';
+	}
+	const missing = REQUIRED_FIELDS.find(field => _.get(podcast, field) === undefined);
+	if (missing) {
+		return `missing required podcast option "${missing}".`;
+	}
+	if (!_.isBoolean(podcast.explicit)) {
+		return `podcast option "explicit" should be true or false but got ${JSON.stringify(podcast.explicit)}.`;
+	}
+	if (podcast.type && !['episodic', 'serial'].includes(podcast.type)) {
+		return `podcast option "type" should be episodic or serial but got ${JSON.stringify(podcast.type)}.`;
+	}
+	return undefined;
+}
+
+/**
+ * Return `itunes:category` element. Subcategories are separated by `>`: `Technology > Tech News`.
+ *
+ * @param {string} category
+ * @return {object}
+ */
+function getCategoryElement(category) {
+	const [name, subcategory] = category.split('>').map(_.trim);
+	const element = { _attr: { text: name } };
+	return {
+		'itunes:category': subcategory ? [element, { 'itunes:category': { _attr: { text: subcategory } } }] : element,
+	};
+}
+
+/**
+ * Return channel-level `itunes:*` elements (in the `xml` package format used by `rss`).
+ *
+ * @param {object} podcast Podcast options: { author, owner: { name, email }, image, category, explicit, type }.
+ * @param {Function} absolutizeUrl
+ * @return {Array}
+ */
+export function getPodcastChannelElements(podcast, absolutizeUrl) {
+	return _.compact([
+		{ 'itunes:author': podcast.author },
+		{
+			'itunes:owner': _.compact([
+				podcast.owner.name && { 'itunes:name': podcast.owner.name },
+				{ 'itunes:email': podcast.owner.email },
+			]),
+		},
+		{ 'itunes:image': { _attr: { href: absolutizeUrl(podcast.image) } } },
+		..._.castArray(podcast.category).map(getCategoryElement),
+		{ 'itunes:explicit': String(podcast.explicit) },
+		podcast.type && { 'itunes:type': podcast.type },
+	]);
+}
+
+/**
+ * Return enclosure for an episode `audio` front matter field: a URL of a file inside `audioFolder`
+ * or { url, length, type } for external files. Length and MIME type of local files are read from the file.
+ *
+ * @param {object} item Feed item.
+ * @param {string} audioFolder Folder with audio files.
+ * @param {Function} absolutizeUrl
+ * @return {object} { url, file, size, type } for the `rss` package, or `null` if there’s no audio URL.
+ */
+export function getEnclosure(item, audioFolder, absolutizeUrl) {
+	const audio = _.isString(item.audio) ? { url: item.audio } : item.audio;
+	if (!audio.url) {
+		reportDiagnostic({
+			code: 'podcast-missing-property',
+			message: `Podcast episode ${item.sourcePath || item.url} skipped: missing "audio.url" front matter field.`,
+			file: item.sourcePath,
+		});
+		return null;
+	}
+
+	const url = absolutizeUrl(audio.url);
+	if (audio.length) {
+		return { url, size: audio.length, type: audio.type };
+	}
+
+	const file = path.join(audioFolder || '', audio.url.replace(/^\//, ''));
+	if (!fs.existsSync(file)) {
+		reportDiagnostic({
+			code: 'podcast-audio',
+			message: `Audio file ${file} not found: can’t read episode length.`,
+			file: item.sourcePath,
+		});
+		return { url, type: audio.type };
+	}
+	return { url, file, type: audio.type };
+}
+
+/**
+ * Return episode `itunes:*` elements: duration, season, episode number, episode type and explicit flag.
+ *
+ * @param {object} item Feed item.
+ * @return {Array}
+ */
+export function getPodcastItemElements(item) {
+	return _.compact([
+		item.duration !== undefined && { 'itunes:duration': item.duration },
+		item.season !== undefined && { 'itunes:season': item.season },
+		item.episode !== undefined && { 'itunes:episode': item.episode },
+		item.episodeType && { 'itunes:episodeType': item.episodeType },
+		_.isBoolean(item.explicit) && { 'itunes:explicit': String(item.explicit) },
+	]);
+}
@@ -0,0 +1,87 @@
+import escapeHtml from 'escape-html';
+
+const formats = {
+	netlify: {
+		filename: '_redirects',
+		format: redirects => redirects.map(({ from, to }) => `${from} ${to} 301\n`).join(''),
+	},
+	nginx: {
+		filename: 'redirects.conf',
+		format: redirects => [
+			'map $uri $redirect_uri {\n',
+			...redirects.map(({ from, to }) => `\t${from} ${to};\n`),
+			'}\n',
+		].join(''),
+	},
+	htaccess: {
+		filename: '.htaccess',
+		format: redirects => redirects.map(({ from, to }) => `Redirect 301 ${from} ${to}\n`).join(''),
+	},
+};
+
+/**
+ * Generates HTML page that redirects to `redirectTo` URL (for aliases, see `buildRedirects`).
+ *
+ * @param {object} props
+ * @return {string}
+ */
+export default function renderRedirect(props = {}) {
+	const url = escapeHtml(props.redirectTo);
+	return [
+		'<!doctype html>',
+		'<html>',
+		'<head>',
+		'<meta charset="utf-8">',
+		'<title>Redirecting…</title>',
+		`<link rel="canonical" href="${url}">`,
+		`<meta http-equiv="refresh" content="0; url=${url}">`,
+		'<meta name="robots" content="noindex">',
+		'</head>',
+		'<body>',
+		`<p>This page has moved to <a href="${url}">${url}</a>.</p>`,
+		'</body>',
+		'</html>',
+		'',
+	].join('\n');
+}
+
+/**
+ * Return host config file name for a redirects format.
+ *
+ * @param {string} format netlify, nginx or htaccess.
+ * @return {string}
+ */
+export function getRedirectsFilename(format) {
+	if (!formats[format]) {
+		throw new Error(`Unknown redirects format "${format}". Available formats: ${Object.keys(formats).join(', ')}.`);
+	}
+	return formats[format].filename;
+}
+
+/**
+ * Format redirects as a host config.
+ *
+ * Formats:
+ *
+ * - `netlify`: Netlify `_redirects` file;
+ * - `nginx`: nginx `map` include, use it with `if ($redirect_uri) { return 301 $redirect_uri; }`;
+ * - `htaccess`: Apache `.htaccess` with `Redirect` directives.
+ *
+ * @param {Array} redirects [{ from, to }, ...]
+ * @param {string} format
+ * @return {string}
+ */
+export function formatRedirects(redirects, format) {
+	getRedirectsFilename(format);
+	return formats[format].format(redirects);
+}
+
+/**
+ * Generates host config with redirects.
+ *
+ * @param {object} props { redirects, format }
+ * @return {string}
+ */
+export function renderRedirectMap(props = {}) {
+	return formatRedirects(props.redirects || [], props.format);
+}
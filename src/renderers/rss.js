@@ -1,41 +1,84 @@
 import RSS from 'rss';
-import { errorHtml } from '../util';
+import _ from 'lodash';
+import { errorHtml, isListable } from '../util';
+import { reportDiagnostic } from '../diagnostics';
+import { checkFeedProps, getFeedUrls } from './feed';
+import {
+	ITUNES_NAMESPACE,
+	getPodcastOptions,
+	validatePodcast,
+	getPodcastChannelElements,
+	getEnclosure,
+	getPodcastItemElements,
+} from './podcast';
 
 /**
- * Generates RSS.
+ * Generates RSS. Unpublished items (drafts, etc.) are skipped.
+ *
+ * Podcast feeds (`podcast` property: `true` to use the `podcast` config option, or podcast options) get
+ * `itunes:*` tags and enclosures from the `audio` front matter field of items.
  *
  * @param {object} props
  * @return {string}
  */
 export default function renderRss(props = {}) {
-	const missingProp = prop => errorHtml(`Error while rendering an RSS feed ${props.sourcePath}: ` +
-		`missing required property "${prop}".`);
+	const error = checkFeedProps(props, 'an RSS feed', 'rss-missing-property');
+	if (error) {
+		return error;
+	}
 
-	const requiredProps = ['title', 'description', 'items'];
-	for (const prop of requiredProps) {
-		if (!props[prop]) {
-			return missingProp(prop);
+	let podcast;
+	if (props.podcast) {
+		podcast = getPodcastOptions(props);
+		const podcastError = validatePodcast(podcast, props);
+		if (podcastError) {
+			return errorHtml(`Error while rendering a podcast feed ${props.sourcePath}: ${podcastError}`,
+				undefined, undefined, 'podcast-missing-property');
 		}
 	}
 
+	const { feedUrl, siteUrl, imageUrl } = getFeedUrls(props, 'xml');
+	const absolutizeUrl = url => props.absolutizeUrl(url);
 	props = {
 		...props,
 		language: props.lang,
-		feed_url: props.absolutizeUrl(props.feedUrl || `${props.url}.xml`),
-		site_url: props.absolutizeUrl(props.siteUrl || ''),
-		image_url: props.imageUrl && props.absolutizeUrl(props.imageUrl),
-		custom_namespaces: props.customNamespaces,
-		custom_elements: props.customElements,
+		feed_url: feedUrl,
+		site_url: siteUrl,
+		image_url: imageUrl,
+		custom_namespaces: podcast ? { itunes: ITUNES_NAMESPACE, ...props.customNamespaces } : props.customNamespaces,
+		custom_elements: podcast
+			? [...getPodcastChannelElements(podcast, absolutizeUrl), ...(props.customElements || [])]
+			: props.customElements,
 	};
 
 	const feed = new RSS(props);
+	const audioFolder = props.audioFolder || _.get(props.config, 'base.publicFolder');
+
+	props.items.filter(isListable).forEach(item => {
+		let enclosure;
+		let customElements = item.customElements;
+		if (podcast) {
+			if (!item.audio) {
+				reportDiagnostic({
+					code: 'podcast-missing-property',
+					message: `Podcast episode ${item.sourcePath || item.url} skipped: missing "audio" front matter field.`,
+					file: item.sourcePath,
+				});
+				return;
+			}
+			enclosure = getEnclosure(item, audioFolder, absolutizeUrl);
+			if (!enclosure) {
+				return;
+			}
+			customElements = [...getPodcastItemElements(item), ...(customElements || [])];
+		}
 
-	props.items.forEach(item => {
 		feed.item({
 			...item,
 			url: props.absolutizeUrl(item.url),
 			description: props.absolutizeLinks(item.content),
-			custom_elements: item.customElements,
+			enclosure,
+			custom_elements: customElements,
 		});
 	});
 
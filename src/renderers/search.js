@@ -0,0 +1,9 @@
+/**
+ * Generates JSON search index (see `buildSearchIndexes`).
+ *
+ * @param {object} props { index }
+ * @return {string}
+ */
+export default function renderSearchIndex(props = {}) {
+	return JSON.stringify(props.index);
+}
@@ -0,0 +1,95 @@
+import fs from 'fs';
+import path from 'path';
+import escapeHtml from 'escape-html';
+import _ from 'lodash';
+import { toDate } from '../util';
+
+/**
+ * Return last modification date of a document in W3C format (YYYY-MM-DD): `lastmod`, `updated` or `date` front matter
+ * field, or source file modification time.
+ *
+ * @param {object} document
+ * @param {string} [sourceFolder]
+ * @return {string}
+ */
+export function getLastmod(document, sourceFolder) {
+	let date = document.lastmod || document.updated || document.date;
+	if (date) {
+		date = toDate(date);
+	}
+	else if (sourceFolder && document.sourcePath) {
+		const filepath = path.join(sourceFolder, document.sourcePath);
+		if (fs.existsSync(filepath)) {
+			date = fs.statSync(filepath).mtime;
+		}
+	}
+	if (!date || isNaN(date.getTime())) {
+		return undefined;
+	}
+	return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Return XML tag with escaped text contents.
+ *
+ * @param {string} name
+ * @param {string} value
+ * @return {string}
+ */
+function tag(name, value) {
+	return `<${name}>${escapeHtml(String(value))}</${name}>`;
+}
+
+/**
+ * Generates XML sitemap. Items could have a `sitemap` field: { priority, changefreq }. Translations
+ * (see `linkTranslations`) are added as `xhtml:link` alternates.
+ *
+ * @param {object} props { items, sourceFolder }
+ * @return {string}
+ */
+export default function renderSitemap(props = {}) {
+	const sourceFolder = props.sourceFolder || _.get(props.config, 'base.sourceFolder');
+	const urls = (props.items || []).map(item => {
+		const options = item.sitemap || {};
+		const lastmod = getLastmod(item, sourceFolder);
+		const translations = _.size(item.translations) > 1 ? item.translations : {};
+		return [
+			'\t<url>',
+			`\t\t${tag('loc', props.absolutizeUrl(item.url))}`,
+			lastmod && `\t\t${tag('lastmod', lastmod)}`,
+			options.changefreq && `\t\t${tag('changefreq', options.changefreq)}`,
+			options.priority !== undefined && `\t\t${tag('priority', options.priority)}`,
+			..._.map(translations, (url, lang) => {
+				const href = escapeHtml(props.absolutizeUrl(url));
+				return `\t\t<xhtml:link rel="alternate" hreflang="${escapeHtml(lang)}" href="${href}"/>`;
+			}),
+			'\t</url>',
+		].filter(Boolean).join('\n');
+	});
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+		...urls,
+		'</urlset>',
+		'',
+	].join('\n');
+}
+
+/**
+ * Generates XML sitemap index.
+ *
+ * @param {object} props { sitemaps: [url, ...] }
+ * @return {string}
+ */
+export function renderSitemapIndex(props = {}) {
+	const sitemaps = (props.sitemaps || []).map(url =>
+		`\t<sitemap>\n\t\t${tag('loc', props.absolutizeUrl(url))}\n\t</sitemap>`
+	);
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+		...sitemaps,
+		'</sitemapindex>',
+		'',
+	].join('\n');
+}
@@ -14,8 +14,28 @@ const defaultOptions = {
 	root: 'templates',
 };
 
+/**
+ * Return file paths of a loaded module and all local modules it requires (excluding node_modules).
+ *
+ * @param {string} filepath
+ * @return {Array}
+ */
+export function getModuleFiles(filepath) {
+	const files = [];
+	const collect = module => {
+		if (!module || files.includes(module.filename) || module.filename.includes(`${path.sep}node_modules${path.sep}`)) {
+			return;
+		}
+		files.push(module.filename);
+		module.children.forEach(collect);
+	};
+	collect(require.cache[require.resolve(filepath)]);
+	return files;
+}
+
 /**
  * Returns function that renders JSX template.
+ * Template files are recorded to `props.dependencies` for incremental builds.
  *
  * @param {object} options
  * @return {Function}
@@ -26,6 +46,9 @@ export default function createTemplateRenderer(options = {}) {
 		const filepath = path.resolve(options.root, template);
 		try {
 			const page = require(filepath).default;
+			if (props.dependencies) {
+				getModuleFiles(filepath).forEach(file => props.dependencies.add(file));
+			}
 			return '<!doctype html>' + vdo.with(props, page);
 		}
 		catch (exception) {
@@ -34,7 +57,7 @@ export default function createTemplateRenderer(options = {}) {
 				`Error while rendering a page ${props.sourcePath} with a template ${template}:`,
 				error,
 				exception.stack,
-			].join('\n'));
+			].join('\n'), undefined, undefined, 'template-error');
 		}
 	};
 }
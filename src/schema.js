@@ -0,0 +1,191 @@
+import path from 'path';
+import fastmatter from 'fastmatter';
+import minimatch from 'minimatch';
+import _ from 'lodash';
+import { codeFragment, toDate } from './util';
+import { reportDiagnostic } from './diagnostics';
+
+/* eslint-disable no-console */
+
+const TYPE_CHECKERS = {
+	string: _.isString,
+	number: _.isNumber,
+	boolean: _.isBoolean,
+	array: Array.isArray,
+	object: _.isPlainObject,
+	date: value => !isNaN(toDate(value).getTime()),
+};
+
+const DATE_FORMAT_TOKENS = {
+	YYYY: '\\d{4}',
+	MM: '\\d{2}',
+	DD: '\\d{2}',
+	HH: '\\d{2}',
+	mm: '\\d{2}',
+	ss: '\\d{2}',
+};
+
+/**
+ * Return schemas that apply to a document.
+ *
+ * Schemas config: `{name: {layout, match, fields}}`. A schema applies to documents with a given `layout`
+ * and source path matching a `match` glob. If neither is specified, the schema name is used as a layout name.
+ *
+ * @param {object} schemas
+ * @param {object} attributes Front matter attributes.
+ * @param {string} filepath Source file path.
+ * @return {Array}
+ */
+export function getSchemas(schemas, attributes, filepath) {
+	return _.filter(schemas, (schema, name) => {
+		if (!schema.layout && !schema.match) {
+			return attributes.layout === name;
+		}
+		if (schema.layout && attributes.layout !== schema.layout) {
+			return false;
+		}
+		if (schema.match && !minimatch(filepath, schema.match)) {
+			return false;
+		}
+		return true;
+	});
+}
+
+/**
+ * Return line number of a front matter field in a source file, or the first line if the field is not found.
+ * Only the front matter block is searched, so lines in a document body never match.
+ *
+ * @param {string} source Source file contents.
+ * @param {string} field
+ * @return {number}
+ */
+export function getFieldLine(source, field) {
+	const lines = source.split('\n');
+	if (lines[0].trim() !== '---') {
+		return 1;
+	}
+	const end = _.findIndex(lines, line => line.trim() === '---', 1);
+	const frontMatter = lines.slice(0, end === -1 ? lines.length : end);
+	const index = _.findIndex(frontMatter, line => line.startsWith(`${field}:`));
+	return index === -1 ? 1 : index + 1;
+}
+
+/**
+ * Return raw value of a front matter field as written in a source file (without quotes).
+ *
+ * @param {string} source Source file contents.
+ * @param {string} field
+ * @return {string}
+ */
+function getRawValue(source, field) {
+	const line = source.split('\n')[getFieldLine(source, field) - 1];
+	const value = line.substring(field.length + 1).trim();
+	return value.replace(/^(['"])(.*)\1$/, '$2');
+}
+
+/**
+ * Convert date format (YYYY-MM-DD, DD.MM.YYYY HH:mm, etc.) to a RegExp.
+ *
+ * @param {string} format
+ * @return {RegExp}
+ */
+export function dateFormatToRegExp(format) {
+	const pattern = _.escapeRegExp(format).replace(/YYYY|MM|DD|HH|mm|ss/g, token => DATE_FORMAT_TOKENS[token]);
+	return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Validate a front matter field value.
+ *
+ * Rules: `required`, `type` (string, number, boolean, date, array or object), `enum` (allowed values, checked
+ * for every item of an array) and `format` (date format like YYYY-MM-DD).
+ *
+ * @param {*} value
+ * @param {object} rule
+ * @param {string} field Field name.
+ * @param {string} source Source file contents.
+ * @return {Array} Error messages.
+ */
+export function validateField(value, rule, field, source) {
+	if (value === undefined || value === null) {
+		return rule.required ? [`Required field "${field}" is missing.`] : [];
+	}
+
+	const errors = [];
+	if (rule.type) {
+		const check = TYPE_CHECKERS[rule.type];
+		if (!check) {
+			throw new Error(`Unknown type "${rule.type}" in a schema for a field "${field}".`);
+		}
+		if (!check(value)) {
+			errors.push(`Field "${field}" should be of type ${rule.type} but got ${JSON.stringify(value)}.`);
+		}
+	}
+	if (rule.enum) {
+		const values = Array.isArray(value) ? value : [value];
+		const invalid = values.filter(item => !rule.enum.includes(item));
+		if (invalid.length) {
+			errors.push(`Field "${field}" has invalid value ${invalid.map(item => JSON.stringify(item)).join(', ')}, ` +
+				`allowed values: ${rule.enum.join(', ')}.`);
+		}
+	}
+	if (rule.format) {
+		const raw = getRawValue(source, field);
+		if (!dateFormatToRegExp(rule.format).test(raw)) {
+			errors.push(`Field "${field}" should be in ${rule.format} format but got "${raw}".`);
+		}
+	}
+	return errors;
+}
+
+/**
+ * Validate source file front matter.
+ *
+ * @param {string} source Source file contents.
+ * @param {string} filepath Source file path.
+ * @param {object} schemas
+ * @return {Array} [{ filepath, line, message }, ...]
+ */
+export function validateSource(source, filepath, schemas) {
+	const { attributes } = fastmatter(source);
+	return getSchemas(schemas, attributes, filepath).reduce((errors, schema) => {
+		_.forEach(schema.fields, (rule, field) => {
+			validateField(attributes[field], rule, field, source).forEach(message => {
+				errors.push({
+					filepath,
+					line: attributes[field] === undefined ? 1 : getFieldLine(source, field),
+					message,
+				});
+			});
+		});
+		return errors;
+	}, []);
+}
+
+/**
+ * Validate front matter of all source files. Reports every error to build diagnostics and prints it with a code
+ * fragment, then throws an error with the number of errors if there are any.
+ *
+ * @param {Array} sources Source files contents.
+ * @param {Array} files Source file paths relative to `folder`.
+ * @param {string} folder Source folder.
+ * @param {object} schemas
+ */
+export function validateSources(sources, files, folder, schemas) {
+	const errors = _.flatMap(files, (filepath, index) => {
+		const source = sources[index];
+		return validateSource(source, filepath, schemas).map(error => {
+			reportDiagnostic({
+				code: 'front-matter-schema',
+				message: error.message,
+				file: path.join(folder, error.filepath),
+				line: error.line,
+			});
+			console.error(`${codeFragment(source, error.line)}\n`);
+			return error;
+		});
+	});
+	if (errors.length) {
+		throw new Error(`Front matter validation failed: ${errors.length} ${errors.length === 1 ? 'error' : 'errors'}.`);
+	}
+}
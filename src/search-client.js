@@ -0,0 +1,206 @@
+/**
+ * Client-side search: query a search index generated by `buildSearchIndexes`.
+ *
+ * This module has no dependencies so it can be bundled for a browser:
+ *
+ * import { search } from 'fledermaus/lib/search-client';
+ * fetch('/search/en.json').then(res => res.json()).then(index => search(index, 'static site'));
+ */
+
+const STOP_WORDS = {
+	en: [
+		'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'is', 'it', 'no', 'not',
+		'of', 'on', 'or', 'such', 'that', 'the', 'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was',
+		'will', 'with',
+	],
+	ru: [
+		'а', 'без', 'в', 'во', 'да', 'для', 'до', 'же', 'за', 'и', 'из', 'или', 'к', 'как', 'ли', 'на', 'над', 'не',
+		'ни', 'но', 'о', 'об', 'от', 'по', 'под', 'при', 'с', 'со', 'то', 'у', 'что', 'это',
+	],
+};
+
+// Russian endings from the Snowball stemmer, sorted longest first
+const RUSSIAN_ENDINGS = [
+	'иями', 'ями', 'ами', 'ими', 'ыми', 'его', 'ого', 'ему', 'ому', 'ией', 'иях', 'ием', 'иям', 'ейте', 'уйте',
+	'ете', 'йте', 'ешь', 'ишь', 'ила', 'ыла', 'ена', 'ите', 'или', 'ыли', 'ило', 'ыло', 'ено', 'ует', 'уют',
+	'ены', 'ить', 'ыть', 'нно',
+	'ее', 'ие', 'ые', 'ое', 'ей', 'ий', 'ый', 'ой', 'ем', 'им', 'ым', 'ом', 'их', 'ых', 'ую', 'юю', 'ая', 'яя',
+	'ою', 'ею', 'ев', 'ов', 'ье', 'еи', 'ии', 'ям', 'ам', 'ах', 'ях', 'ию', 'ью', 'ия', 'ья', 'ла', 'на', 'ли',
+	'ло', 'но', 'ет', 'ют', 'ны', 'ть', 'ил', 'ыл', 'ен', 'ят', 'ит', 'ыт', 'уй',
+	'а', 'е', 'и', 'й', 'о', 'у', 'ы', 'ь', 'ю', 'я', 'л', 'н',
+].sort((a, b) => b.length - a.length);
+
+const VOWELS = {
+	en: /[aeiouy]/,
+	ru: /[аеиоуыэюя]/,
+};
+
+/**
+ * Light English stemmer: removes plural, -ed, -ing, -ly endings and a final `e`.
+ *
+ * @param {string} word
+ * @return {string}
+ */
+function stemEnglish(word) {
+	if (word.length < 4) {
+		return word;
+	}
+
+	word = word.replace(/'s$/, '');
+	if (/ies$/.test(word)) {
+		word = word.replace(/ies$/, 'y');
+	}
+	else if (/sses$/.test(word)) {
+		word = word.replace(/es$/, '');
+	}
+	else if (/[^su]s$/.test(word)) {
+		word = word.replace(/s$/, '');
+	}
+
+	const match = word.match(/^(.+?)(ed|ing|ly)$/);
+	if (match && match[1].length > 2 && VOWELS.en.test(match[1])) {
+		word = match[1];
+		// Doubled consonant: running → run
+		if (/([^aeiouylsz])\1$/.test(word)) {
+			word = word.slice(0, -1);
+		}
+	}
+
+	return word.replace(/(.{3,})e$/, '$1');
+}
+
+/**
+ * Light Russian stemmer: removes a reflexive suffix, the longest known ending leaving at least
+ * two letters with a vowel and a soft sign.
+ *
+ * @param {string} word
+ * @return {string}
+ */
+function stemRussian(word) {
+	word = word.replace(/ё/g, 'е');
+	if (word.length < 4) {
+		return word;
+	}
+
+	word = word.replace(/(.{3,})(ся|сь)$/, '$1');
+	const ending = RUSSIAN_ENDINGS.find(ending => word.endsWith(ending) &&
+		word.length - ending.length >= 2 && VOWELS.ru.test(word.slice(0, -ending.length)));
+	if (ending) {
+		word = word.slice(0, -ending.length);
+	}
+	return word.replace(/(.{2,})ь$/, '$1');
+}
+
+const STEMMERS = {
+	en: stemEnglish,
+	ru: stemRussian,
+};
+
+/**
+ * Split text into lowercase words. HTML entities are ignored, `ё` is replaced with `е`.
+ *
+ * @param {string} text
+ * @return {Array}
+ */
+export function tokenize(text) {
+	return String(text || '')
+		.toLowerCase()
+		.replace(/ё/g, 'е')
+		.replace(/&[#\w]+;/g, ' ')
+		.match(/[a-z0-9\u00df-\u024f\u0430-\u045f]+/g) || [];
+}
+
+/**
+ * Return stem of a word for a language. Words in languages without a stemmer are returned as is.
+ *
+ * @param {string} word
+ * @param {string} lang
+ * @return {string}
+ */
+export function stem(word, lang) {
+	const stemmer = STEMMERS[lang];
+	return stemmer ? stemmer(word) : word;
+}
+
+/**
+ * Split text into stems skipping stop words.
+ *
+ * @param {string} text
+ * @param {string} lang
+ * @return {Array}
+ */
+export function getTerms(text, lang) {
+	const stopWords = STOP_WORDS[lang] || [];
+	return tokenize(text)
+		.filter(word => !stopWords.includes(word))
+		.map(word => stem(word, lang));
+}
+
+/**
+ * Return scores of documents containing a term: { documentId: score }.
+ *
+ * @param {object} index
+ * @param {Array} keys Index terms.
+ * @return {object}
+ */
+function getTermScores(index, keys) {
+	const total = index.documents.length;
+	const scores = {};
+	keys.forEach(key => {
+		const postings = index.terms[key];
+		const idf = Math.log(1 + (total / (postings.length / 2)));
+		for (let position = 0; position < postings.length; position += 2) {
+			const id = postings[position];
+			scores[id] = Math.max(scores[id] || 0, postings[position + 1] * idf);
+		}
+	});
+	return scores;
+}
+
+/**
+ * Search a search index. Returns documents containing all query words, the last word is matched as a prefix
+ * (for search as you type) without stemming. Results are sorted by relevance.
+ *
+ * @param {object} index Search index: { lang, documents, terms }.
+ * @param {string} query
+ * @param {number} [$2.limit] Maximum number of results (10 by default).
+ * @return {Array} [{ ...stored fields, score }, ...]
+ */
+export function search(index, query, { limit = 10 } = {}) {
+	const stopWords = STOP_WORDS[index.lang] || [];
+	const words = tokenize(query).filter(word => !stopWords.includes(word));
+	if (!words.length) {
+		return [];
+	}
+
+	const allKeys = Object.keys(index.terms);
+	let scores;
+	words.forEach((word, position) => {
+		const term = stem(word, index.lang);
+		// The last word could be incomplete, and a stem of a part of a word matches too much (`note` → `not`),
+		// so it’s matched as typed
+		const isLast = position === words.length - 1;
+		const keys = isLast
+			? allKeys.filter(key => key === term || key.startsWith(word))
+			: allKeys.filter(key => key === term)
+		;
+		const termScores = getTermScores(index, keys);
+		if (!scores) {
+			scores = termScores;
+			return;
+		}
+		Object.keys(scores).forEach(id => {
+			if (termScores[id]) {
+				scores[id] += termScores[id];
+			}
+			else {
+				delete scores[id];
+			}
+		});
+	});
+
+	return Object.keys(scores)
+		.map(id => ({ ...index.documents[id], score: scores[id] }))
+		.sort((a, b) => b.score - a.score)
+		.slice(0, limit);
+}
@@ -0,0 +1,103 @@
+import _ from 'lodash';
+import { cleanHtml, isListable } from './util';
+import { reportDiagnostic } from './diagnostics';
+import { getTerms } from './search-client';
+
+// Indexed fields with boosts
+const DEFAULT_FIELDS = {
+	title: 10,
+	tags: 5,
+	content: 1,
+};
+
+// Document fields stored in the index and returned with search results
+const DEFAULT_STORE = ['url', 'title'];
+
+/**
+ * Build an inverted search index for documents in one language.
+ *
+ * Index format: `{ lang, documents: [{ url, title }, ...], terms: { stem: [documentId, weight, ...] } }`.
+ * Field values are stripped of HTML and split into stems (see `getTerms` in `search-client`), a weight is a sum
+ * of field boosts multiplied by a logarithm of the number of occurrences.
+ *
+ * @param {Array} documents
+ * @param {string} $1.lang Documents language (for stemming and stop words).
+ * @param {object} $1.fields Indexed fields with boosts: {title: 10, tags: 5, content: 1}.
+ * @param {Array} $1.store Fields stored in the index: ['url', 'title'].
+ * @return {object}
+ */
+export function buildSearchIndex(documents, { lang, fields = DEFAULT_FIELDS, store = DEFAULT_STORE } = {}) {
+	const terms = Object.create(null);
+	documents.forEach((document, id) => {
+		const weights = Object.create(null);
+		_.forEach(fields, (boost, field) => {
+			const value = document[field];
+			if (!value) {
+				return;
+			}
+			const text = cleanHtml(_.castArray(value).join(' '));
+			_.forEach(_.countBy(getTerms(text, lang)), (count, term) => {
+				weights[term] = (weights[term] || 0) + (boost * (1 + Math.log(count)));
+			});
+		});
+		_.forEach(weights, (weight, term) => {
+			if (!terms[term]) {
+				terms[term] = [];
+			}
+			terms[term].push(id, _.round(weight, 2));
+		});
+	});
+
+	return {
+		lang,
+		documents: documents.map(document => _.pick(document, store)),
+		terms,
+	};
+}
+
+/**
+ * Build search index pages (`SearchIndex` layout): one JSON file per language at `{urlPrefix}/{lang}.json`.
+ *
+ * Includes all published documents with content, or documents of given collections. Documents with
+ * `search: false` front matter field are skipped.
+ *
+ * @param {Array} documents
+ * @param {object} options { collections, fields, store, urlPrefix }
+ * @param {object} $2.collections Collections (see `buildCollections`).
+ * @param {string} $2.lang Default language.
+ * @return {object} { documents: [...search index pages] }
+ */
+export function buildSearchIndexes(documents, options = {}, { collections = {}, lang } = {}) {
+	const { fields, store, urlPrefix = '/search' } = options;
+	if (options.collections) {
+		documents = _.uniq(_.flatMap(options.collections, name => {
+			if (!collections[name]) {
+				reportDiagnostic({
+					code: 'search-collection',
+					message: `Unknown collection "${name}" in search options.`,
+				});
+				return [];
+			}
+			return collections[name];
+		}));
+	}
+	else {
+		documents = documents.filter(document => isListable(document) && document.url && document.content);
+	}
+	documents = documents.filter(document => document.search !== false);
+
+	const groups = _.groupBy(documents, document => document.lang || lang || '');
+	return {
+		documents: _.map(groups, (items, groupLang) => {
+			const pagePath = `${urlPrefix.replace(/^\//, '')}/${groupLang || 'index'}.json`;
+			return {
+				sourcePath: pagePath,
+				url: `/${pagePath}`,
+				pagePath,
+				layout: 'SearchIndex',
+				lang: groupLang || undefined,
+				index: buildSearchIndex(items, { lang: groupLang, fields, store }),
+			};
+		}),
+	};
+}
@@ -0,0 +1,162 @@
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import url from 'url';
+import chalk from 'chalk';
+
+/* eslint-disable no-console */
+
+const EVENTS_URL = '/__fledermaus/events';
+
+const CONTENT_TYPES = {
+	html: 'text/html; charset=utf-8',
+	css: 'text/css; charset=utf-8',
+	js: 'application/javascript; charset=utf-8',
+	json: 'application/json; charset=utf-8',
+	xml: 'application/xml; charset=utf-8',
+	txt: 'text/plain; charset=utf-8',
+	svg: 'image/svg+xml',
+	png: 'image/png',
+	jpg: 'image/jpeg',
+	jpeg: 'image/jpeg',
+	gif: 'image/gif',
+	ico: 'image/x-icon',
+	woff: 'font/woff',
+	woff2: 'font/woff2',
+	mp3: 'audio/mpeg',
+};
+
+// Reloads the page on rebuild and shows an error document in an overlay
+const LIVE_RELOAD_SCRIPT = `<script>
+(function() {
+	var source = new EventSource('${EVENTS_URL}');
+	source.addEventListener('reload', function() {
+		location.reload();
+	});
+	source.addEventListener('build-error', function(event) {
+		var overlay = document.getElementById('fledermaus-error') || document.createElement('iframe');
+		overlay.id = 'fledermaus-error';
+		overlay.style.cssText = 'position:fixed; top:0; left:0; width:100%; height:100%; border:0; z-index:2147483647';
+		overlay.srcdoc = JSON.parse(event.data);
+		document.body.appendChild(overlay);
+	});
+}());
+</script>`;
+
+/**
+ * Return path of a file to serve for a given URL path: `/foo` → `foo`, `foo.html` or `foo/index.html`.
+ * Returns `null` if there’s no such file or the path is outside of the folder. Throws `URIError` if the path
+ * cannot be decoded.
+ *
+ * @param {string} folder Folder to serve.
+ * @param {string} pathname URL path.
+ * @return {string}
+ */
+export function getFilepathForUrl(folder, pathname) {
+	const root = path.resolve(folder);
+	const filepath = path.join(root, decodeURIComponent(pathname));
+	if (filepath !== root && !filepath.startsWith(root + path.sep)) {
+		return null;
+	}
+
+	const candidates = [
+		filepath,
+		`${filepath}.html`,
+		path.join(filepath, 'index.html'),
+	];
+	for (const candidate of candidates) {
+		if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+			return candidate;
+		}
+	}
+	return null;
+}
+
+/**
+ * Add live reload script to an HTML document.
+ *
+ * @param {string} html
+ * @return {string}
+ */
+export function injectLiveReload(html) {
+	const index = html.lastIndexOf('</body>');
+	if (index === -1) {
+		return html + LIVE_RELOAD_SCRIPT;
+	}
+	return html.slice(0, index) + LIVE_RELOAD_SCRIPT + html.slice(index);
+}
+
+/**
+ * Serve a folder over HTTP with live reload.
+ *
+ * @param {string} folder Folder to serve (usually `publicFolder`).
+ * @param {number} $1.port Port (4242 by default).
+ * @param {string} $1.host Host (localhost by default).
+ * @return {object} { server, reload(), showError(html), close(callback) }
+ */
+export function serve(folder, { port = 4242, host = 'localhost' } = {}) {
+	const clients = new Set();
+	const send = (event, data = '') => {
+		clients.forEach(res => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+	};
+
+	const server = http.createServer((req, res) => {
+		const { pathname } = url.parse(req.url);
+
+		if (pathname === EVENTS_URL) {
+			res.writeHead(200, {
+				'Content-Type': 'text/event-stream',
+				'Cache-Control': 'no-cache',
+				Connection: 'keep-alive',
+			});
+			res.write('\n');
+			clients.add(res);
+			req.on('close', () => clients.delete(res));
+			return;
+		}
+
+		let filepath;
+		try {
+			filepath = getFilepathForUrl(folder, pathname);
+		}
+		catch (exception) {
+			if (!(exception instanceof URIError)) {
+				throw exception;
+			}
+			res.writeHead(400, { 'Content-Type': CONTENT_TYPES.txt });
+			res.end(`Bad request: ${pathname}`);
+			return;
+		}
+		if (!filepath) {
+			res.writeHead(404, { 'Content-Type': CONTENT_TYPES.txt });
+			res.end(`Not found: ${pathname}`);
+			return;
+		}
+
+		const extension = path.extname(filepath).substring(1);
+		let content = fs.readFileSync(filepath);
+		if (extension === 'html') {
+			content = injectLiveReload(content.toString());
+		}
+		res.writeHead(200, {
+			'Content-Type': CONTENT_TYPES[extension] || 'application/octet-stream',
+			'Cache-Control': 'no-cache',
+		});
+		res.end(content);
+	});
+
+	server.listen(port, host, () => {
+		console.log(chalk.green(`Serving ${folder} at http://${host}:${server.address().port}`));
+	});
+
+	return {
+		server,
+		reload: () => send('reload'),
+		showError: html => send('build-error', html),
+		close: callback => {
+			clients.forEach(res => res.end());
+			clients.clear();
+			server.close(callback);
+		},
+	};
+}
@@ -12,12 +12,14 @@ import { DateTimeFormat } from 'intl';
 import createFormatCache from 'intl-format-cache';
 import _ from 'lodash';
 import { createSimpleMarkdownRenderer } from './renderers/markdown';
+import { reportDiagnostic } from './diagnostics';
 
 const getMarkdownRenderer = _.memoize(createSimpleMarkdownRenderer);
 
 /* eslint-disable no-console */
 
 const ERROR_COLOR = '#c00';
+const ERROR_TITLE = '<h1>Fledermaus error</h1>';
 
 /**
  * Remove extension from file name.
@@ -39,6 +41,22 @@ export function getExtension(filename) {
 	return path.extname(filename).substring(1);
 }
 
+/**
+ * Convert a string to a URL slug: lowercase, words separated by dashes, no punctuation.
+ * Latin diacritics are removed, other scripts (Cyrillic, CJK, etc.) are kept as is.
+ *
+ * @param {string} string
+ * @return {string}
+ */
+export function slugify(string) {
+	return _.deburr(String(string).toLowerCase())
+		.replace(/[\s_]+/g, '-')
+		.replace(/[^\w\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u1FFF\u2070-\u2FFF\u3040-\uFEFF-]+/g, '')
+		.replace(/-+/g, '-')
+		.replace(/^-|-$/g, '')
+	;
+}
+
 /**
  * Read text file.
  *
@@ -61,6 +79,110 @@ export function writeFile(filepath, content) {
 	return fs.writeFileSync(filepath, content, { encoding: 'utf8' });
 }
 
+/**
+ * Read text file asynchronously.
+ *
+ * @param {string} filepath
+ * @return {Promise}
+ */
+export function readFileAsync(filepath) {
+	return new Promise((resolve, reject) => {
+		fs.readFile(filepath, { encoding: 'utf8' }, (error, content) => (error ? reject(error) : resolve(content)));
+	});
+}
+
+/**
+ * Save text to a file asynchronously (create all folders if necessary).
+ *
+ * @param {string} filepath
+ * @param {string} content
+ * @return {Promise}
+ */
+export function writeFileAsync(filepath, content) {
+	return new Promise((resolve, reject) => {
+		mkdirp(path.dirname(filepath), error => {
+			if (error) {
+				reject(error);
+				return;
+			}
+			fs.writeFile(filepath, content, { encoding: 'utf8' }, writeError => {
+				if (writeError) {
+					reject(writeError);
+					return;
+				}
+				resolve();
+			});
+		});
+	});
+}
+
+/**
+ * Map array items using an async function, running at most `limit` calls at once.
+ * Results are in the same order as items.
+ *
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} iteratee Returns a promise.
+ * @return {Promise}
+ */
+export function mapLimit(items, limit, iteratee) {
+	const results = new Array(items.length);
+	let next = 0;
+	const runNext = () => {
+		if (next >= items.length) {
+			return Promise.resolve();
+		}
+		const index = next++;
+		return Promise.resolve()
+			.then(() => iteratee(items[index], index))
+			.then(result => {
+				results[index] = result;
+				return runNext();
+			})
+		;
+	};
+	const runners = _.range(Math.min(Math.max(limit, 1), items.length)).map(runNext);
+	return Promise.all(runners).then(() => results);
+}
+
+/**
+ * Remove a file and all parent folders that become empty (up to a given root folder).
+ *
+ * @param {string} filepath
+ * @param {string} root Root folder, never removed.
+ */
+export function removeFile(filepath, root) {
+	fs.unlinkSync(filepath);
+	const rootFolder = path.resolve(root);
+	let folder = path.resolve(path.dirname(filepath));
+	while (folder.startsWith(rootFolder + path.sep) && !fs.readdirSync(folder).length) {
+		fs.rmdirSync(folder);
+		folder = path.dirname(folder);
+	}
+}
+
+/**
+ * Memoize a function of a file path. A result is recomputed when the file modification time changes,
+ * and only the latest result is kept for every file.
+ *
+ * @param {Function} func
+ * @return {Function} Memoized function, its `cache` property is a Map: {filepath: { mtime, value }}.
+ */
+export function memoizeByFile(func) {
+	const memoized = filepath => {
+		const mtime = fs.statSync(filepath).mtime.getTime();
+		const entry = memoized.cache.get(filepath);
+		if (entry && entry.mtime === mtime) {
+			return entry.value;
+		}
+		const value = func(filepath);
+		memoized.cache.set(filepath, { mtime, value });
+		return value;
+	};
+	memoized.cache = new Map();
+	return memoized;
+}
+
 /**
  * Read YAML file.
  *
@@ -72,11 +194,96 @@ export function readYamlFile(filepath) {
 		return yaml.safeLoad(readFile(filepath));
 	}
 	catch (exception) {
-		console.log(`Cannot read YAML file ${filepath}:`, exception);
+		reportDiagnostic({
+			code: 'yaml-parse',
+			message: `Cannot read YAML file: ${exception.message}`,
+			file: filepath,
+			line: exception.mark && exception.mark.line + 1,
+		});
 		return '';
 	}
 }
 
+/**
+ * Read JSON file.
+ *
+ * @param {string} filepath
+ * @return {object}
+ */
+export function readJsonFile(filepath) {
+	try {
+		return JSON.parse(readFile(filepath));
+	}
+	catch (exception) {
+		reportDiagnostic({
+			code: 'json-parse',
+			message: `Cannot read JSON file: ${exception.message}`,
+			file: filepath,
+		});
+		return null;
+	}
+}
+
+/**
+ * Parse CSV: the first row is a header with field names. Quoted values could contain commas, line breaks
+ * and escaped quotes ("").
+ *
+ * @param {string} string
+ * @return {Array} [{ field: value }, ...]
+ */
+export function parseCsv(string) {
+	const rows = [];
+	let row = [];
+	let value = '';
+	let quoted = false;
+	for (let index = 0; index < string.length; index++) {
+		const char = string[index];
+		if (quoted) {
+			if (char === '"' && string[index + 1] === '"') {
+				value += char;
+				index++;
+			}
+			else if (char === '"') {
+				quoted = false;
+			}
+			else {
+				value += char;
+			}
+		}
+		else if (char === '"') {
+			quoted = true;
+		}
+		else if (char === ',') {
+			row.push(value);
+			value = '';
+		}
+		else if (char === '\n') {
+			rows.push([...row, value.replace(/\r$/, '')]);
+			row = [];
+			value = '';
+		}
+		else {
+			value += char;
+		}
+	}
+	if (row.length || value) {
+		rows.push([...row, value]);
+	}
+
+	const [header = [], ...items] = rows.filter(cells => cells.some(Boolean));
+	return items.map(cells => _.zipObject(header, cells));
+}
+
+/**
+ * Read CSV file.
+ *
+ * @param {string} filepath
+ * @return {Array}
+ */
+export function readCsvFile(filepath) {
+	return parseCsv(readFile(filepath));
+}
+
 /**
  * Prepare fields list in short format to _.orderBy()
  * @param {Array} shortFields ['foo', '-bar']
@@ -223,6 +430,138 @@ export function cleanHtml(text) {
 	return escapeHtml(striptags(text)).trim();
 }
 
+// Reading speed: words per minute for Latin and Cyrillic scripts, characters per minute for Chinese and Japanese
+const READING_SPEED = {
+	latin: 230,
+	cyrillic: 180,
+	cjk: 500,
+};
+
+const CJK_REGEXP = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/g;
+const WORD_REGEXP = /[\w\u00c0-\u024f\u0400-\u04ff]+(?:['’-][\w\u00c0-\u024f\u0400-\u04ff]+)*/g;
+
+/**
+ * Count words in a plain text by script. Chinese and Japanese don’t separate words with spaces, so every
+ * character is counted as a word.
+ *
+ * @param {string} text
+ * @return {object} { latin, cyrillic, cjk }
+ */
+export function countWords(text) {
+	const cjk = (text.match(CJK_REGEXP) || []).length;
+	const words = text.replace(CJK_REGEXP, ' ').match(WORD_REGEXP) || [];
+	const cyrillic = words.filter(word => /[\u0400-\u04ff]/.test(word)).length;
+	return {
+		latin: words.length - cyrillic,
+		cyrillic,
+		cjk,
+	};
+}
+
+/**
+ * Return the number of words in a plain text.
+ *
+ * @param {string} text
+ * @return {number}
+ */
+export function getWordCount(text) {
+	return _.sum(_.values(countWords(text)));
+}
+
+/**
+ * Return reading time of a plain text in minutes (rounded up), reading speed depends on a script.
+ *
+ * @param {string} text
+ * @return {number}
+ */
+export function getReadingTime(text) {
+	const counts = countWords(text);
+	const minutes = _.sum(_.map(counts, (count, script) => count / READING_SPEED[script]));
+	return Math.ceil(minutes);
+}
+
+/**
+ * Build a nested table of contents from a flat list of headings (see `getMarkdownMetadata`).
+ *
+ * @param {Array} headings [{ depth, text, id }, ...]
+ * @param {number} [$1.minDepth] Minimum heading depth (1 by default).
+ * @param {number} [$1.maxDepth] Maximum heading depth (6 by default).
+ * @return {Array} [{ depth, text, id, children: [...] }, ...]
+ */
+export function buildToc(headings, { minDepth = 1, maxDepth = 6 } = {}) {
+	const root = { depth: 0, children: [] };
+	const stack = [root];
+	headings
+		.filter(heading => heading.depth >= minDepth && heading.depth <= maxDepth)
+		.forEach(heading => {
+			const item = { ...heading, children: [] };
+			while (stack.length > 1 && _.last(stack).depth >= heading.depth) {
+				stack.pop();
+			}
+			_.last(stack).children.push(item);
+			stack.push(item);
+		});
+	return root.children;
+}
+
+/**
+ * Convert a front matter date (Date object, timestamp or string) to a Date object.
+ *
+ * @param {Date|number|string} value
+ * @return {Date}
+ */
+export function toDate(value) {
+	if (value instanceof Date) {
+		return value;
+	}
+	if (_.isNumber(value)) {
+		return new Date(value);
+	}
+	return new Date(Date.parse(value));
+}
+
+/**
+ * Return publishing status of a document: `draft` (`draft: true` front matter field), `scheduled` (`publishDate`
+ * in the future), `expired` (`expiryDate` in the past) or `undefined` if the document is published.
+ *
+ * @param {object} document
+ * @param {Date} [now]
+ * @return {string}
+ */
+export function getPublishStatus(document, now = new Date()) {
+	if (document.draft) {
+		return 'draft';
+	}
+	if (document.publishDate && toDate(document.publishDate) > now) {
+		return 'scheduled';
+	}
+	if (document.expiryDate && toDate(document.expiryDate) <= now) {
+		return 'expired';
+	}
+	return undefined;
+}
+
+/**
+ * Check whether a document could be listed on index pages, tag pages or feeds: it should be published
+ * or explicitly included to a development build by `loadSourceFiles` (has `publishStatus` field).
+ *
+ * @param {object} document
+ * @return {boolean}
+ */
+export function isListable(document) {
+	return !!document.publishStatus || !getPublishStatus(document);
+}
+
+/**
+ * Return HTML marker for unpublished documents in development builds.
+ *
+ * @param {string} status Publishing status: draft, scheduled or expired.
+ * @return {string}
+ */
+export function unpublishedHtml(status) {
+	return `<p style="color:${ERROR_COLOR}; font-family:Helvetica"><b>${_.capitalize(status)}</b></p>`;
+}
+
 /**
  * Print an error message to console.
  *
@@ -243,37 +582,52 @@ export function formatErrorHtml(message) {
 }
 
 /**
- * Print an error message to a console and return formatted HTML document.
+ * Report an error to build diagnostics and return formatted HTML document.
  *
  * @param {string} message
  * @param {string} [file] Source file path.
  * @param {number} [line] Line to highlight in a source file.
+ * @param {string} [code] Diagnostic code.
  * @return {string}
  */
-export function errorHtml(message, file, line) {
-	printError(message);
-	let code = '';
+export function errorHtml(message, file, line, code = 'build-error') {
+	reportDiagnostic({ code, message, file, line: line ? Number(line) : undefined });
+	let fragment = '';
 	if (file && line) {
-		code = codeFragment(readFile(file), Number(line));
+		fragment = codeFragment(readFile(file), Number(line));
 	}
 	return `
 		<title>Error</title>
 		<body style="background:${ERROR_COLOR}; color:#fff; font-family:Helvetica">
-			<h1>Fledermaus error</h1>
+			${ERROR_TITLE}
 			<pre>${formatErrorHtml(message)}</pre>
-			<pre>${_.escape(code)}</pre>
+			<pre>${_.escape(fragment)}</pre>
 		</body>
 	`;
 }
 
 /**
- * Print an error message to a console and return formatted HTML string.
+ * Check whether an HTML document was generated by `errorHtml`.
+ *
+ * @param {string} html
+ * @return {boolean}
+ */
+export function isErrorHtml(html) {
+	return typeof html === 'string' && html.includes(ERROR_TITLE);
+}
+
+/**
+ * Report an error to build diagnostics and return formatted HTML string.
  *
  * @param {string} message
+ * @param {boolean} [$1.block] Wrap into a paragraph.
+ * @param {string} [$1.code] Diagnostic code.
+ * @param {string} [$1.file] Source file path (current diagnostics context file by default).
+ * @param {number} [$1.line] Line in a source file.
  * @return {string}
  */
-export function errorInlineHtml(message, { block } = {}) {
-	printError(message);
+export function errorInlineHtml(message, { block, code = 'build-error', file, line } = {}) {
+	reportDiagnostic({ code, message, file, line });
 	let html = `<b style="color:${ERROR_COLOR}; font-family:Helvetica">${formatErrorHtml(message)}</b>`;
 	if (block) {
 		html = `<p>${html}</p>`;
@@ -0,0 +1,90 @@
+import path from 'path';
+import chokidar from 'chokidar';
+import _ from 'lodash';
+import { errorHtml, isErrorHtml } from './util';
+import { clearDiagnostics } from './diagnostics';
+
+/**
+ * Remove modules from given folders from the `require` cache, so templates are loaded again on the next render.
+ *
+ * @param {Array} folders
+ */
+export function clearRequireCache(folders) {
+	const prefixes = folders.map(folder => path.resolve(folder) + path.sep);
+	Object.keys(require.cache).forEach(filepath => {
+		if (prefixes.some(prefix => filepath.startsWith(prefix))) {
+			delete require.cache[filepath];
+		}
+	});
+}
+
+/**
+ * Run build function and notify a dev server: reload browsers or show the first error document in an overlay.
+ * Diagnostics are cleared before every build.
+ *
+ * @param {Function} build Build function, returns pages (or a promise of pages).
+ * @param {object} [server] Dev server returned by `serve()`.
+ * @return {Promise}
+ */
+export function runBuild(build, server) {
+	clearDiagnostics();
+	return Promise.resolve()
+		.then(build)
+		.then(pages => {
+			if (!server) {
+				return;
+			}
+			const errorPage = _.find(pages, page => isErrorHtml(page.content));
+			if (errorPage) {
+				server.showError(errorPage.content);
+			}
+			else {
+				server.reload();
+			}
+		}, exception => {
+			const html = errorHtml(`Error while building the site:\n${exception.stack}`);
+			if (server) {
+				server.showError(html);
+			}
+		})
+	;
+}
+
+/**
+ * Run build function and run it again every time files in given folders change.
+ *
+ * Use a build cache (see `loadCache`) inside the build function to rebuild only affected pages.
+ *
+ * @param {Array} folders Folders to watch: sources, configs, templates.
+ * @param {Function} build Build function, returns pages (or a promise of pages).
+ * @param {object} $2.server Dev server returned by `serve()`.
+ * @param {number} $2.delay Debounce delay in milliseconds.
+ * @return {object} Chokidar watcher.
+ */
+export function watch(folders, build, { server, delay = 100 } = {}) {
+	let running = false;
+	let pending = false;
+
+	const rebuild = () => {
+		if (running) {
+			pending = true;
+			return;
+		}
+		running = true;
+		clearRequireCache(folders);
+		runBuild(build, server).then(() => {
+			running = false;
+			if (pending) {
+				pending = false;
+				rebuild();
+			}
+		});
+	};
+
+	const watcher = chokidar.watch(folders, { ignoreInitial: true });
+	watcher.on('all', _.debounce(rebuild, delay));
+
+	rebuild();
+
+	return watcher;
+}
@@ -0,0 +1,16 @@
+import { parentPort, workerData } from 'worker_threads';
+import { createHandlers } from './pool';
+import { getDiagnostics, clearDiagnostics } from './diagnostics';
+
+const handlers = createHandlers(require(workerData.module));
+
+parentPort.on('message', ({ type, args }) => {
+	clearDiagnostics();
+	try {
+		const result = handlers[type](...args);
+		parentPort.postMessage({ result, diagnostics: getDiagnostics() });
+	}
+	catch (exception) {
+		parentPort.postMessage({ error: exception.stack, diagnostics: getDiagnostics() });
+	}
+});
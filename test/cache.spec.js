@@ -0,0 +1,141 @@
+import fs from 'fs';
+import path from 'path';
+import { expect } from 'chai';
+import rimraf from 'rimraf';
+
+import * as cache from '../src/cache';
+import { writeFile } from '../src/util';
+
+describe('cache', () => {
+	beforeEach(done => rimraf('test/tmp', done));
+
+	describe('hashObject', () => {
+		it('should return the same hash for equal objects', () => {
+			const result1 = cache.hashObject({ foo: 42, bar: [1, 2] });
+			const result2 = cache.hashObject({ foo: 42, bar: [1, 2] });
+			expect(result1).to.match(/^[0-9a-f]{32}$/);
+			expect(result1).to.eql(result2);
+		});
+		it('should return different hashes for different objects', () => {
+			const result1 = cache.hashObject({ foo: 42 });
+			const result2 = cache.hashObject({ foo: 43 });
+			expect(result1).not.to.eql(result2);
+		});
+	});
+
+	describe('loadCache', () => {
+		it('should return an empty cache if manifest does not exist', () => {
+			const result = cache.loadCache('test/tmp/cache.json');
+			expect(result.sources).to.eql({});
+			expect(result.pages).to.eql({});
+		});
+		it('should discard a manifest saved with a different key', () => {
+			const saved = cache.loadCache('test/tmp/cache.json', { key: 'v1' });
+			cache.cachedRender(saved, 'post.md', 'Hello', () => '<p>Hello</p>');
+			cache.saveCache(saved);
+
+			expect(cache.loadCache('test/tmp/cache.json', { key: 'v1' }).sources).to.have.property('post.md');
+			expect(cache.loadCache('test/tmp/cache.json', { key: 'v2' }).sources).to.eql({});
+		});
+		it('should keep the list of generated files from a manifest saved with a different key', () => {
+			const saved = cache.loadCache('test/tmp/cache.json', { key: 'v1' });
+			saved.generated = ['index.html'];
+			cache.saveCache(saved);
+
+			expect(cache.loadCache('test/tmp/cache.json', { key: 'v2' }).generated).to.eql(['index.html']);
+		});
+	});
+
+	describe('recordGeneratedFiles', () => {
+		it('should add generated files and keep previously generated files that still exist', () => {
+			writeFile('test/tmp/public/old.html', 'Old');
+			const saved = cache.loadCache('test/tmp/cache.json');
+			saved.generated = ['old.html', 'removed.html', 'index.html'];
+			cache.recordGeneratedFiles(saved, 'test/tmp/public', ['index.html', 'blog/post.html']);
+			expect(saved.generated).to.eql(['index.html', path.normalize('blog/post.html'), 'old.html']);
+		});
+	});
+
+	describe('saveCache', () => {
+		it('should keep only sources and pages used in the current build', () => {
+			const saved = cache.loadCache('test/tmp/cache.json');
+			cache.cachedRender(saved, 'post.md', 'Hello', () => '<p>Hello</p>');
+			cache.cachedRender(saved, 'removed.md', 'Bye', () => '<p>Bye</p>');
+			cache.saveCache(saved);
+
+			const next = cache.loadCache('test/tmp/cache.json');
+			cache.cachedRender(next, 'post.md', 'Hello', () => '<p>Hello</p>');
+			cache.saveCache(next);
+
+			const result = cache.loadCache('test/tmp/cache.json');
+			expect(Object.keys(result.sources)).to.eql(['post.md']);
+		});
+	});
+
+	describe('cachedRender', () => {
+		it('should not render the same body twice', () => {
+			const result = cache.loadCache('test/tmp/cache.json');
+			let calls = 0;
+			const render = () => {
+				calls++;
+				return '<p>Hello</p>';
+			};
+			expect(cache.cachedRender(result, 'post.md', 'Hello', render)).to.eql('<p>Hello</p>');
+			expect(cache.cachedRender(result, 'post.md', 'Hello', render)).to.eql('<p>Hello</p>');
+			expect(calls).to.eql(1);
+		});
+		it('should render again when the body changes', () => {
+			const result = cache.loadCache('test/tmp/cache.json');
+			cache.cachedRender(result, 'post.md', 'Hello', () => '<p>Hello</p>');
+			const content = cache.cachedRender(result, 'post.md', 'Bye', () => '<p>Bye</p>');
+			expect(content).to.eql('<p>Bye</p>');
+		});
+	});
+
+	describe('isPageFresh', () => {
+		it('should return true if inputs, files and output are unchanged', () => {
+			writeFile('test/tmp/asset.css', 'a{}');
+			writeFile('test/tmp/public/index.html', '<h1>Hi</h1>');
+			const result = cache.loadCache('test/tmp/cache.json');
+			cache.recordPage(result, 'index.html', 'inputs', ['test/tmp/asset.css']);
+			cache.recordPageOutput(result, 'index.html', 'test/tmp/public/index.html', '<h1>Hi</h1>');
+			expect(cache.isPageFresh(result, 'index.html', 'inputs')).to.be.true;
+		});
+		it('should return false if inputs changed', () => {
+			writeFile('test/tmp/public/index.html', '<h1>Hi</h1>');
+			const result = cache.loadCache('test/tmp/cache.json');
+			cache.recordPage(result, 'index.html', 'inputs', []);
+			cache.recordPageOutput(result, 'index.html', 'test/tmp/public/index.html', '<h1>Hi</h1>');
+			expect(cache.isPageFresh(result, 'index.html', 'other')).to.be.false;
+		});
+		it('should return false if a dependency changed', () => {
+			writeFile('test/tmp/asset.css', 'a{}');
+			writeFile('test/tmp/public/index.html', '<h1>Hi</h1>');
+			const saved = cache.loadCache('test/tmp/cache.json');
+			cache.recordPage(saved, 'index.html', 'inputs', ['test/tmp/asset.css']);
+			cache.recordPageOutput(saved, 'index.html', 'test/tmp/public/index.html', '<h1>Hi</h1>');
+			cache.saveCache(saved);
+
+			writeFile('test/tmp/asset.css', 'b{}');
+			const result = cache.loadCache('test/tmp/cache.json');
+			expect(cache.isPageFresh(result, 'index.html', 'inputs')).to.be.false;
+		});
+		it('should return false if the output file was removed', () => {
+			const result = cache.loadCache('test/tmp/cache.json');
+			cache.recordPage(result, 'index.html', 'inputs', []);
+			cache.recordPageOutput(result, 'index.html', 'test/tmp/public/index.html', '<h1>Hi</h1>');
+			expect(fs.existsSync('test/tmp/public/index.html')).to.be.false;
+			expect(cache.isPageFresh(result, 'index.html', 'inputs')).to.be.false;
+		});
+	});
+
+	describe('recordPageOutput', () => {
+		it('should return false if the same content was already saved', () => {
+			writeFile('test/tmp/public/index.html', '<h1>Hi</h1>');
+			const result = cache.loadCache('test/tmp/cache.json');
+			expect(cache.recordPageOutput(result, 'index.html', 'test/tmp/public/index.html', '<h1>Hi</h1>')).to.be.true;
+			expect(cache.recordPageOutput(result, 'index.html', 'test/tmp/public/index.html', '<h1>Hi</h1>')).to.be.false;
+			expect(cache.recordPageOutput(result, 'index.html', 'test/tmp/public/index.html', '<h1>Bye</h1>')).to.be.true;
+		});
+	});
+});
@@ -0,0 +1,165 @@
+import fs from 'fs';
+import { expect } from 'chai';
+import rimraf from 'rimraf';
+import mkdirp from 'mkdirp';
+
+import * as cli from '../src/cli';
+import { readFile } from '../src/util';
+
+describe('cli', () => {
+	beforeEach(done => rimraf('test/tmp', done));
+
+	describe('parseArgs', () => {
+		it('should parse positional arguments and options', () => {
+			const result = cli.parseArgs(['new', 'post', 'Hello', '--port=8080', '--incremental', '--dry-run']);
+			expect(result).to.eql({
+				_: ['new', 'post', 'Hello'],
+				port: '8080',
+				incremental: true,
+				dryRun: true,
+			});
+		});
+	});
+
+	describe('getSiteOptions', () => {
+		it('should merge base config with defaults', () => {
+			const result = cli.getSiteOptions({ base: { sourceFolder: 'content' } });
+			expect(result.sourceFolder).to.eql('content');
+			expect(result.templatesFolder).to.eql('templates');
+			expect(result.publicFolder).to.eql('public');
+		});
+	});
+
+	describe('getPermalinkPatterns', () => {
+		it('should merge permalinks option with collection permalinks', () => {
+			const result = cli.getPermalinkPatterns({
+				permalinks: {
+					'blog/drafts/**': '/drafts/:slug',
+				},
+				collections: {
+					posts: { match: 'blog/**', permalink: '/:year/:slug' },
+					latest: { order: ['-date'] },
+				},
+			});
+			expect(result).to.eql({
+				'blog/drafts/**': '/drafts/:slug',
+				'blog/**': '/:year/:slug',
+			});
+			expect(Object.keys(result)).to.eql(['blog/drafts/**', 'blog/**']);
+		});
+	});
+
+	describe('getCacheKey', () => {
+		const options = { hooks: 'fledermaus.js' };
+		beforeEach(() => {
+			mkdirp.sync('test/tmp/hooks');
+			fs.writeFileSync('test/tmp/hooks/fledermaus.js', "exports.helpers = require('./helpers');\n");
+			fs.writeFileSync('test/tmp/hooks/helpers.js', 'exports.shout = text => text.toUpperCase();\n');
+		});
+		it('should change when a local module required by hooks changes', () => {
+			const hooks = cli.loadHooks('test/tmp/hooks', options);
+			const key = cli.getCacheKey('test/tmp/hooks', options);
+			expect(hooks.helpers.shout('Hi')).to.eql('HI');
+			expect(cli.getCacheKey('test/tmp/hooks', options)).to.eql(key);
+
+			fs.writeFileSync('test/tmp/hooks/helpers.js', 'exports.shout = text => text.toLowerCase();\n');
+			const changed = cli.loadHooks('test/tmp/hooks', options);
+			expect(changed.helpers.shout('Hi')).to.eql('hi');
+			expect(cli.getCacheKey('test/tmp/hooks', options)).not.to.eql(key);
+		});
+		it('should not fail without a hooks file', () => {
+			expect(cli.getCacheKey('test/tmp/hooks', { hooks: 'nope.js' })).to.be.a('string');
+		});
+	});
+
+	describe('build', () => {
+		const options = { folder: 'test/samples/site', cacheFile: 'test/tmp/cache/cache.json' };
+		afterEach(done => rimraf('test/tmp/cache', done));
+		it('should build a site using config and hooks', () => {
+			const pages = cli.build(options);
+			expect(pages.map(page => page.pagePath)).to.eql([
+				'blog/first-post.html',
+				'index.html',
+				'blog/index.html',
+				'tags/css/index.html',
+				'tags/css/feed.xml',
+				'tags/javascript/index.html',
+				'tags/javascript/feed.xml',
+				'about.html',
+				'old-post.html',
+				'_redirects',
+				'search/en.json',
+				'sitemap.xml',
+			]);
+			expect(readFile('test/tmp/site/index.html')).to.eql('<!doctype html><div><h1>HELLO</h1><p>Hello <em>world</em>!</p></div>');
+			expect(readFile('test/tmp/site/about.html')).to.eql('<!doctype html><div><h1>ABOUT</h1><p>About</p></div>');
+		});
+		it('should save the build cache to a given file', () => {
+			cli.build(options);
+			expect(JSON.parse(readFile('test/tmp/cache/cache.json')).generated).to.include('index.html');
+			expect(fs.existsSync('test/samples/site/node_modules')).to.be.false;
+		});
+		it('should generate collection listing pages', () => {
+			cli.build(options);
+			expect(readFile('test/tmp/site/blog/index.html')).to.eql('<!doctype html><ul><li>First post</li></ul>');
+		});
+		it('should generate a search index', () => {
+			cli.build(options);
+			const index = JSON.parse(readFile('test/tmp/site/search/en.json'));
+			expect(index.documents).to.eql([{ url: '/blog/first-post', title: 'First post' }]);
+			expect(index.terms).to.have.property('javascript');
+		});
+		it('should generate a sitemap', () => {
+			cli.build(options);
+			const sitemap = readFile('test/tmp/site/sitemap.xml');
+			expect(sitemap).to.contain('<loc>http://example.com/blog/first-post</loc>');
+			expect(sitemap).to.contain('<loc>http://example.com/tags/javascript</loc>');
+			expect(sitemap).not.to.contain('old-post');
+			expect(sitemap).not.to.contain('feed');
+		});
+		it('should generate redirects for aliases', () => {
+			cli.build(options);
+			expect(readFile('test/tmp/site/old-post.html')).to.contain('url=/blog/first-post');
+			expect(readFile('test/tmp/site/_redirects')).to.eql('/old-post /blog/first-post 301\n');
+		});
+		it('should generate taxonomy term pages and feeds', () => {
+			cli.build(options);
+			expect(readFile('test/tmp/site/tags/javascript/index.html'))
+				.to.eql('<!doctype html><div><h1>JavaScript (1)</h1><ul><li>First post</li></ul></div>');
+			const feed = readFile('test/tmp/site/tags/javascript/feed.xml');
+			expect(feed).to.contain('<title><![CDATA[My Site — JavaScript]]></title>');
+			expect(feed).to.contain('<link>http://example.com/tags/javascript</link>');
+		});
+	});
+
+	describe('createSite', () => {
+		it('should create a new site', () => {
+			const result = cli.createSite('test/tmp/newsite');
+			expect(result).to.include('test/tmp/newsite/config/base.yml');
+			expect(fs.existsSync('test/tmp/newsite/templates/page.jsx')).to.be.true;
+			expect(fs.existsSync('test/tmp/newsite/source/index.md')).to.be.true;
+		});
+		it('should throw if the folder is not empty', () => {
+			mkdirp.sync('test/tmp/newsite');
+			fs.writeFileSync('test/tmp/newsite/file.txt', 'Hello.');
+			expect(() => cli.createSite('test/tmp/newsite')).to.throw(Error);
+		});
+	});
+
+	describe('createPost', () => {
+		it('should create a new post in the posts folder', () => {
+			cli.createSite('test/tmp/newsite');
+			const result = cli.createPost('Hello, World!', {
+				folder: 'test/tmp/newsite',
+				date: new Date(Date.UTC(2017, 1, 3)),
+			});
+			expect(result).to.eql('test/tmp/newsite/source/hello-world.md');
+			expect(readFile(result)).to.eql('---\nlayout: post\ntitle: "Hello, World!"\ndate: 2017-02-03\n---\n\n');
+		});
+		it('should throw if the post already exists', () => {
+			cli.createSite('test/tmp/newsite');
+			cli.createPost('Hello', { folder: 'test/tmp/newsite' });
+			expect(() => cli.createPost('Hello', { folder: 'test/tmp/newsite' })).to.throw(Error);
+		});
+	});
+});
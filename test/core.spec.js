@@ -3,8 +3,11 @@ import path from 'path';
 import rimraf from 'rimraf';
 import _ from 'lodash';
 
+import fs from 'fs';
 import * as core from '../src/core';
-import { readFile } from '../src/util';
+import { loadCache } from '../src/cache';
+import { getDiagnostics, clearDiagnostics } from '../src/diagnostics';
+import { readFile, writeFile } from '../src/util';
 import * as helpers from '../src/helpers';
 import createTemplateRenderer from '../src/renderers/template';
 import createMarkdownRenderer from '../src/renderers/markdown';
@@ -66,6 +69,90 @@ describe('core', () => {
 		});
 	});
 
+	describe('urlToPagePath', () => {
+		it('should convert URL to an output file path', () => {
+			expect(core.urlToPagePath('/blog/post')).to.eql('blog/post.html');
+			expect(core.urlToPagePath('/blog/post/')).to.eql('blog/post/index.html');
+			expect(core.urlToPagePath('/')).to.eql('index.html');
+			expect(core.urlToPagePath('/feed.xml', 'xml')).to.eql('feed.xml');
+			expect(core.urlToPagePath('/feed', 'xml')).to.eql('feed.xml');
+		});
+	});
+
+	describe('createDocument', () => {
+		it('should use url front matter field and set page path', () => {
+			const result = core.createDocument({ url: '/about-me/', layout: 'page' }, '', 'pages/about.md');
+			expect(result.url).to.eql('/about-me/');
+			expect(result.pagePath).to.eql('about-me/index.html');
+			expect(core.getPagePath(result)).to.eql('about-me/index.html');
+		});
+		it('should make URL from a file path', () => {
+			const result = core.createDocument({ layout: 'page' }, '', 'pages/about.md');
+			expect(result.url).to.eql('/pages/about');
+			expect(result.pagePath).to.be.undefined;
+			expect(core.getPagePath(result)).to.eql('pages/about.html');
+		});
+	});
+
+	describe('expandPermalink', () => {
+		/* eslint-disable no-console */
+		let error;
+		beforeEach(() => {
+			clearDiagnostics();
+			error = console.error;
+			console.error = () => {};
+		});
+		afterEach(() => {
+			console.error = error;
+			clearDiagnostics();
+		});
+		/* eslint-enable no-console */
+
+		const document = {
+			sourcePath: 'blog/2017/hello-world.md',
+			lang: 'en',
+			date: new Date(Date.UTC(2017, 0, 5)),
+			category: 'Front End',
+		};
+		it('should replace tokens with document fields and path segments', () => {
+			expect(core.expandPermalink('/:lang/:year/:month/:day/:slug', document)).to.eql('/en/2017/01/05/hello-world');
+			expect(core.expandPermalink('/:category/:slug/', document)).to.eql('/front-end/hello-world/');
+			expect(core.expandPermalink('/:dir/:filename', document)).to.eql('/blog/2017/hello-world');
+			expect(core.expandPermalink('/archive/:path', document)).to.eql('/archive/blog/2017/hello-world');
+		});
+		it('should use slug field or a folder name for index files', () => {
+			expect(core.expandPermalink('/:slug', { ...document, slug: 'hi' })).to.eql('/hi');
+			expect(core.expandPermalink('/:slug', { sourcePath: 'blog/hello/index.md' })).to.eql('/hello');
+		});
+		it('should report missing tokens', () => {
+			const result = core.expandPermalink('/:year/:author/:slug', { sourcePath: 'blog/hello.md' });
+			expect(result).to.be.undefined;
+			expect(getDiagnostics()).to.have.length(1);
+			expect(getDiagnostics()[0]).to.include({
+				code: 'permalink-token',
+				file: 'blog/hello.md',
+			});
+			expect(getDiagnostics()[0].message).to.contain(':year, :author');
+		});
+	});
+
+	describe('applyPermalinks', () => {
+		it('should change URLs and page paths of matching documents', () => {
+			const result = core.applyPermalinks([
+				{ sourcePath: 'blog/hello.md', url: '/blog/hello', layout: 'post', date: '2017-02-03' },
+				{ sourcePath: 'blog/about.md', url: '/about-me', pagePath: 'about-me.html', layout: 'page' },
+				{ sourcePath: 'index.md', url: '/', layout: 'page' },
+			], {
+				'blog/**': '/:year/:month/:slug',
+			});
+			expect(result.map(document => [document.url, core.getPagePath(document)])).to.eql([
+				['/2017/02/hello', '2017/02/hello.html'],
+				['/about-me', 'about-me.html'],
+				['/', 'index.html'],
+			]);
+		});
+	});
+
 	describe('parsePage', () => {
 		const renderers = { md: renderMarkdown };
 		it('should parse Markdown source with frontmatter to an object', () => {
@@ -95,6 +182,22 @@ describe('core', () => {
 			});
 			expect(result).to.eql(require('./expected/markdown-with-cut.md.js'));
 		});
+		it('should not override front matter fields with metadata', () => {
+			const result = core.parsePage('---\nreadingTime: 42\n---\n\n# Hello\n', 'hello.md', { renderers });
+			expect(result.readingTime).to.eql(42);
+			expect(result.wordCount).to.eql(1);
+			expect(result.headings).to.eql([{ depth: 1, text: 'Hello', id: 'hello' }]);
+		});
+		it('should take metadata from the Markdown render pass', () => {
+			const customIds = () => ast => {
+				ast.children[0].data = { hProperties: { id: 'intro' } };
+			};
+			const result = core.parsePage('# Hello\n', 'hello.md', {
+				renderers: { md: createMarkdownRenderer({ headingIds: false, plugins: [customIds] }) },
+			});
+			expect(result.content).to.eql('<h1 id="intro">Hello</h1>');
+			expect(result.headings).to.eql([{ depth: 1, text: 'Hello', id: 'intro' }]);
+		});
 		it('should parse HTML source with frontmatter to an object', () => {
 			const folder = 'test/samples';
 			const filepath = 'markdown-with-frontmatter.html';
@@ -103,6 +206,67 @@ describe('core', () => {
 		});
 	});
 
+	describe('parsePage with page context', () => {
+		beforeEach(done => rimraf('test/tmp', done));
+		const config = {
+			base: {
+				lang: 'en',
+				figure: 'Figure {num}',
+			},
+		};
+		const renderers = {
+			md: createMarkdownRenderer({
+				customTags: {
+					figure: ({ num, src }, $) => {
+						$.addAsset('/css/figure.css');
+						return `<figure><img src="${src}"><figcaption>${$.__('figure', { num })}</figcaption></figure>`;
+					},
+					title: (attrs, $) => `<h1>${$.title} (${$.sourcePath})</h1>`,
+					include: ({ file }, $) => {
+						$.dependencies.add(file);
+						return readFile(file);
+					},
+				},
+			}),
+		};
+		it('should pass front matter, config and helpers to custom tags', () => {
+			const source = '---\ntitle: Hello\n---\n\n<x-title/>\n\n<x-figure num="1" src="/1.jpg"/>\n';
+			const result = core.parsePage(source, 'hello.md', { renderers, config, helpers });
+			expect(result.content).to.eql(
+				'<h1>Hello (hello.md)</h1>\n<figure><img src="/1.jpg"><figcaption>Figure 1</figcaption></figure>'
+			);
+		});
+		it('should add assets registered by custom tags to the document', () => {
+			const source = '---\nassets: [/js/app.js]\n---\n\n<x-figure num="1" src="/1.jpg"/>\n<x-figure num="2" src="/2.jpg"/>\n';
+			const result = core.parsePage(source, 'hello.md', { renderers, config, helpers });
+			expect(result.assets).to.eql(['/js/app.js', '/css/figure.css']);
+			expect(core.parsePage('Hello', 'hello.md', { renderers, config, helpers })).not.to.have.property('assets');
+		});
+		it('should keep assets in the build cache', () => {
+			const cache = loadCache('test/tmp/cache.json');
+			const source = '<x-figure num="1" src="/1.jpg"/>\n';
+			core.parsePage(source, 'hello.md', { renderers, config, helpers, cache });
+			const result = core.parsePage(source, 'hello.md', { renderers: {}, config, helpers, cache });
+			expect(result.content).to.contain('Figure 1');
+			expect(result.assets).to.eql(['/css/figure.css']);
+		});
+		it('should render again if front matter or files used by renderers change', () => {
+			writeFile('test/tmp/include.txt', 'Foo');
+			const cache = loadCache('test/tmp/cache.json');
+			const source = '<x-include file="test/tmp/include.txt"/>\n';
+			core.parsePage(source, 'hello.md', { renderers, config, helpers, cache });
+
+			writeFile('test/tmp/include.txt', 'Bar');
+			const next = loadCache('test/tmp/cache.json');
+			next.sources = cache.sources;
+			const result = core.parsePage(source, 'hello.md', { renderers, config, helpers, cache: next });
+			expect(result.content).to.eql('Bar');
+
+			const changed = core.parsePage(`---\ntitle: Hi\n---\n${source}`, 'hello.md', { renderers: {}, cache: next });
+			expect(changed.content).to.eql(source.trim());
+		});
+	});
+
 	describe('getSourceFilesList', () => {
 		it('should return a list of source files', () => {
 			const result = core.getSourceFilesList('test/source', ['md', 'html']);
@@ -125,6 +289,128 @@ describe('core', () => {
 		});
 	});
 
+	describe('loadSourceFilesAsync', () => {
+		it('should return a promise of parsed source files in a stable order', () => {
+			return core.loadSourceFilesAsync('test/source', ['md', 'html'], {
+				renderers: { md: renderMarkdown },
+				concurrency: 2,
+			}).then(result => {
+				expect(result).to.eql(require('./expected/files.js'));
+			});
+		});
+		it('should render files using a pool', () => {
+			const pool = {
+				run: (type, args) => Promise.resolve({ content: `${type}:${args[1]}`, assets: [] }),
+			};
+			return core.loadSourceFilesAsync('test/source', ['md'], { pool }).then(result => {
+				expect(result.map(document => document.content)).to.eql([
+					'renderPageSource:en/plugins-requirejs.md',
+					'renderPageSource:en/read-less-tech-books.md',
+					'renderPageSource:ru/debug-mode.md',
+				]);
+			});
+		});
+	});
+
+	describe('linkTranslations', () => {
+		/* eslint-disable no-console */
+		let warn;
+		beforeEach(() => {
+			clearDiagnostics();
+			warn = console.warn;
+			console.warn = () => {};
+		});
+		afterEach(() => {
+			console.warn = warn;
+			clearDiagnostics();
+		});
+		/* eslint-enable no-console */
+
+		it('should link documents with the same path in language folders', () => {
+			const result = core.linkTranslations([
+				{ sourcePath: 'en/blog/post.md', url: '/en/blog/post' },
+				{ sourcePath: 'ru/blog/post.md', url: '/ru/blog/post' },
+				{ sourcePath: 'index.md', url: '/' },
+			], { langs: ['en', 'ru'] });
+			expect(result[0].lang).to.eql('en');
+			expect(result[0].translations).to.eql({ en: '/en/blog/post', ru: '/ru/blog/post' });
+			expect(result[1].lang).to.eql('ru');
+			expect(result[1].translations).to.eql({ en: '/en/blog/post', ru: '/ru/blog/post' });
+			expect(result[2]).to.eql({ sourcePath: 'index.md', url: '/' });
+		});
+		it('should link documents with the same translation key', () => {
+			const result = core.linkTranslations([
+				{ sourcePath: 'about.md', url: '/about', lang: 'en', translationKey: 'about' },
+				{ sourcePath: 'obo-mne.md', url: '/obo-mne', lang: 'ru', translationKey: 'about' },
+			]);
+			expect(result[0].translations).to.eql({ en: '/about', ru: '/obo-mne' });
+			expect(result[1].translations).to.eql({ en: '/about', ru: '/obo-mne' });
+		});
+		it('should report missing translations', () => {
+			core.linkTranslations([
+				{ sourcePath: 'en/blog/post.md', url: '/en/blog/post' },
+				{ sourcePath: 'en/about.md', url: '/en/about' },
+				{ sourcePath: 'ru/about.md', url: '/ru/about' },
+			], { langs: ['en', 'ru'] });
+			expect(getDiagnostics()).to.eql([
+				{
+					severity: 'warning',
+					code: 'missing-translation',
+					message: 'Missing translation to ru',
+					file: 'en/blog/post.md',
+				},
+			]);
+		});
+	});
+
+	describe('setDocumentLanguages', () => {
+		it('should add a language from a folder name', () => {
+			const result = core.setDocumentLanguages([
+				{ sourcePath: 'en/blog/post.md' },
+				{ sourcePath: 'blog/post.md', lang: 'ru' },
+				{ sourcePath: 'index.md' },
+			], { langs: ['en', 'ru'] });
+			expect(result).to.eql([
+				{ sourcePath: 'en/blog/post.md', lang: 'en', translationKey: 'blog/post' },
+				{ sourcePath: 'blog/post.md', lang: 'ru', translationKey: 'blog/post' },
+				{ sourcePath: 'index.md' },
+			]);
+		});
+		it('should allow :lang permalinks for documents with a language from a folder name', () => {
+			let documents = [
+				{ sourcePath: 'en/blog/post.md', url: '/en/blog/post' },
+				{ sourcePath: 'ru/blog/post.md', url: '/ru/blog/post' },
+			];
+			documents = core.setDocumentLanguages(documents, { langs: ['en', 'ru'] });
+			documents = core.applyPermalinks(documents, { '*/blog/**': '/:lang/posts/:slug' });
+			documents = core.linkTranslations(documents, { langs: ['en', 'ru'] });
+			expect(_.map(documents, 'url')).to.eql(['/en/posts/post', '/ru/posts/post']);
+			expect(documents[0].translations).to.eql({ en: '/en/posts/post', ru: '/ru/posts/post' });
+		});
+	});
+
+	describe('filterUnpublished', () => {
+		const now = new Date(Date.UTC(2017, 0, 15));
+		const documents = [
+			{ title: 'Post 1', content: '<p>1</p>' },
+			{ title: 'Post 2', content: '<p>2</p>', draft: true },
+			{ title: 'Post 3', content: '<p>3</p>', excerpt: '<p>3</p>', publishDate: 'Feb 1, 2017' },
+			{ title: 'Post 4', content: '<p>4</p>', expiryDate: 'Jan 1, 2017' },
+		];
+		it('should remove unpublished documents in production builds', () => {
+			const result = core.filterUnpublished(documents, { now });
+			expect(_.map(result, 'title')).to.eql(['Post 1']);
+		});
+		it('should mark unpublished documents in development builds', () => {
+			const result = core.filterUnpublished(documents, { now, drafts: true });
+			expect(_.map(result, 'title')).to.eql(['Post 1', 'Post 2', 'Post 3', 'Post 4']);
+			expect(_.map(result, 'publishStatus')).to.eql([undefined, 'draft', 'scheduled', 'expired']);
+			expect(result[0].content).to.eql('<p>1</p>');
+			expect(result[1].content).to.match(/<b>Draft<\/b><\/p><p>2<\/p>$/);
+			expect(result[2].excerpt).to.match(/<b>Scheduled<\/b><\/p><p>3<\/p>$/);
+		});
+	});
+
 	describe('getConfigFilesList', () => {
 		it('should return a list of config files', () => {
 			const result = core.getConfigFilesList('test/config');
@@ -174,6 +460,320 @@ describe('core', () => {
 		});
 	});
 
+	describe('loadData', () => {
+		it('should load YAML, JSON and CSV files with per-language variants', () => {
+			const result = core.loadData('test/samples/data');
+			const base = {
+				friends: {
+					blogs: [{ name: 'Sara', url: 'http://example.com' }],
+				},
+				projects: [
+					{ name: 'fledermaus', description: 'Static site generator, batman style' },
+					{ name: 'mrm', description: 'Codemods for "dotfiles"' },
+				],
+				talks: [
+					{ title: 'Styleguides', year: 2016 },
+					{ title: 'Static sites', year: 2017 },
+				],
+			};
+			expect(result).to.eql({
+				base,
+				ru: {
+					...base,
+					talks: [
+						{ title: 'Стайлгайды', year: 2016 },
+					],
+				},
+			});
+		});
+		it('should return empty data if the folder does not exist', () => {
+			const result = core.loadData('test/samples/nodata');
+			expect(result).to.eql({ base: {} });
+		});
+	});
+
+	describe('getCollectionDocuments', () => {
+		const documents = [
+			{ sourcePath: 'blog/a.md', date: 1, lang: 'en' },
+			{ sourcePath: 'blog/b.md', date: 3, lang: 'ru' },
+			{ sourcePath: 'blog/c.md', date: 2, lang: 'en' },
+			{ sourcePath: 'blog/d.md', date: 4, lang: 'en', draft: true },
+			{ sourcePath: 'about.md', lang: 'en' },
+		];
+		it('should filter and order documents', () => {
+			const result = core.getCollectionDocuments(documents, {
+				match: 'blog/**',
+				filter: { lang: 'en' },
+				order: ['-date'],
+			});
+			expect(result.map(document => document.sourcePath)).to.eql(['blog/c.md', 'blog/a.md']);
+		});
+		it('should limit number of documents', () => {
+			const result = core.getCollectionDocuments(documents, { match: 'blog/**', order: ['date'], limit: 2 });
+			expect(result.map(document => document.sourcePath)).to.eql(['blog/a.md', 'blog/c.md']);
+		});
+	});
+
+	describe('buildCollections', () => {
+		const documents = _.range(5).map(index => ({
+			sourcePath: `blog/${index}.md`,
+			title: `Post ${index}`,
+			date: index,
+		}));
+		it('should return collections and listing pages', () => {
+			const result = core.buildCollections(documents, {
+				posts: {
+					match: 'blog/**',
+					order: ['-date'],
+					perPage: 2,
+					layout: 'index',
+					urlPrefix: '/blog',
+				},
+				latest: {
+					order: ['-date'],
+					limit: 1,
+				},
+			});
+			expect(result.collections.posts.map(document => document.title))
+				.to.eql(['Post 4', 'Post 3', 'Post 2', 'Post 1', 'Post 0']);
+			expect(result.collections.latest.map(document => document.title)).to.eql(['Post 4']);
+			expect(result.documents.map(document => [document.sourcePath, document.url, document.collection]))
+				.to.eql([
+					['blog/index', '/blog', 'posts'],
+					['blog/page/2', '/blog/page/2', 'posts'],
+					['blog/page/3', '/blog/page/3', 'posts'],
+				]);
+			expect(result.documents[1].documents.map(document => document.title)).to.eql(['Post 2', 'Post 1']);
+			expect(result.documents[0].layout).to.eql('index');
+		});
+	});
+
+	describe('getTerms', () => {
+		/* eslint-disable no-console */
+		let warn;
+		beforeEach(() => {
+			clearDiagnostics();
+			warn = console.warn;
+			console.warn = () => {};
+		});
+		afterEach(() => {
+			console.warn = warn;
+			clearDiagnostics();
+		});
+		/* eslint-enable no-console */
+		it('should group documents by normalized terms', () => {
+			const documents = [
+				{ title: 'a', tags: ['JavaScript', 'CSS'] },
+				{ title: 'b', tags: ['javascript'] },
+				{ title: 'c', tags: 'html' },
+				{ title: 'd' },
+			];
+			const result = core.getTerms(documents, 'tags', { html: 'HTML' });
+			expect(result.map(term => [term.slug, term.name, term.count])).to.eql([
+				['css', 'CSS', 1],
+				['html', 'HTML', 1],
+				['javascript', 'JavaScript', 2],
+			]);
+			expect(result[2].documents.map(document => document.title)).to.eql(['a', 'b']);
+		});
+		it('should merge only case and diacritic variants of a term', () => {
+			const documents = [
+				{ title: 'a', tags: ['Café', 'C++'] },
+				{ title: 'b', tags: ['cafe', 'C#'] },
+				{ title: 'c', tags: ['C', 'c++'] },
+			];
+			const result = core.getTerms(documents, 'tags');
+			expect(result.map(term => [term.slug, term.name, term.count])).to.eql([
+				['c-2', 'C', 1],
+				['c-1', 'C#', 1],
+				['c', 'C++', 2],
+				['cafe', 'Café', 2],
+			]);
+		});
+		it('should report a warning when different terms have the same slug', () => {
+			core.getTerms([{ sourcePath: 'a.md', tags: ['C++', 'C#'] }], 'tags');
+			expect(getDiagnostics()).to.eql([
+				{
+					severity: 'warning',
+					code: 'taxonomy-slug-conflict',
+					message: 'Term C# in tags has the same slug as C++, using c-1',
+					file: 'a.md',
+				},
+			]);
+		});
+	});
+
+	describe('buildTaxonomies', () => {
+		const documents = [
+			{ sourcePath: 'en/a.md', title: 'a', lang: 'en', date: 1, tags: ['JavaScript', 'css'] },
+			{ sourcePath: 'en/b.md', title: 'b', lang: 'en', date: 2, tags: ['javascript'] },
+			{ sourcePath: 'en/c.md', title: 'c', lang: 'en', date: 3, tags: ['javascript'], draft: true },
+			{ sourcePath: 'ru/a.md', title: 'а', lang: 'ru', date: 1, tags: ['javascript'] },
+		];
+		const config = {
+			base: { title: 'Blog' },
+			en: { title: 'Blog', description: 'My blog', tagNames: { javascript: 'JS' } },
+		};
+		it('should return terms and generate term pages, index page and feeds', () => {
+			const result = core.buildTaxonomies(documents, {
+				tags: {
+					lang: 'en',
+					order: ['-date'],
+					names: 'tagNames',
+					urlPrefix: '/en/tags',
+					layout: 'tag',
+					perPage: 1,
+					indexLayout: 'tags',
+					feed: { limit: 10 },
+				},
+			}, config);
+			const terms = [
+				{ slug: 'css', name: 'css', count: 1, url: '/en/tags/css', feedUrl: '/en/tags/css/feed.xml' },
+				{ slug: 'javascript', name: 'JS', count: 2, url: '/en/tags/javascript', feedUrl: '/en/tags/javascript/feed.xml' },
+			];
+			expect(result.taxonomies).to.eql({ tags: terms });
+			expect(result.documents.map(document => [document.sourcePath, document.url, document.layout])).to.eql([
+				['en/tags/css/index', '/en/tags/css', 'tag'],
+				['en/tags/css/feed', '/en/tags/css/feed', 'RSS'],
+				['en/tags/javascript/index', '/en/tags/javascript', 'tag'],
+				['en/tags/javascript/page/2', '/en/tags/javascript/page/2', 'tag'],
+				['en/tags/javascript/feed', '/en/tags/javascript/feed', 'RSS'],
+				['en/tags/index', '/en/tags', 'tags'],
+			]);
+			const [, , termPage, , feed, index] = result.documents;
+			expect(termPage.lang).to.eql('en');
+			expect(termPage.taxonomy).to.eql('tags');
+			expect(termPage.term).to.eql(terms[1]);
+			expect(termPage.documents.map(document => document.title)).to.eql(['b']);
+			expect(feed.title).to.eql('Blog — JS');
+			expect(feed.description).to.eql('My blog');
+			expect(feed.items.map(document => document.title)).to.eql(['b', 'a']);
+			expect(index.terms).to.eql(terms);
+		});
+		it('should only return terms if no layouts are specified', () => {
+			const result = core.buildTaxonomies(documents, { tags: {} }, config);
+			expect(result.taxonomies.tags.map(term => [term.slug, term.count])).to.eql([['css', 1], ['javascript', 3]]);
+			expect(result.documents).to.eql([]);
+		});
+	});
+
+	describe('linkRelated', () => {
+		/* eslint-disable no-console */
+		let warn;
+		beforeEach(() => {
+			clearDiagnostics();
+			warn = console.warn;
+			console.warn = () => {};
+		});
+		afterEach(() => {
+			console.warn = warn;
+			clearDiagnostics();
+		});
+		/* eslint-enable no-console */
+
+		const documents = [
+			{
+				sourcePath: 'blog/react.md',
+				url: '/blog/react',
+				tags: ['javascript', 'react'],
+				content: '<p>Components and props in React.</p>',
+			},
+			{
+				sourcePath: 'blog/redux.md',
+				url: '/blog/redux',
+				tags: ['JavaScript', 'React'],
+				content: '<p>State management.</p>',
+			},
+			{
+				sourcePath: 'blog/node.md',
+				url: '/blog/node',
+				tags: ['javascript'],
+				content: '<p>Servers.</p>',
+			},
+			{
+				sourcePath: 'blog/css.md',
+				url: '/blog/css',
+				tags: ['css'],
+				content: '<p>Styling components with props.</p>',
+			},
+			{
+				sourcePath: 'blog/cooking.md',
+				url: '/blog/cooking',
+				tags: ['food'],
+				content: '<p>Soup.</p>',
+			},
+			{
+				sourcePath: 'blog/react-ru.md',
+				url: '/blog/react-ru',
+				lang: 'ru',
+				tags: ['javascript', 'react'],
+				content: '<p>Компоненты.</p>',
+			},
+			{
+				sourcePath: 'about.md',
+				url: '/about',
+				tags: ['javascript'],
+			},
+		];
+		const collections = {
+			posts: {
+				match: 'blog/**',
+				related: 3,
+			},
+		};
+		const urls = document => document.related.map(related => related.url);
+
+		it('should add the most similar documents from the same collection and language', () => {
+			const result = core.linkRelated(documents, collections);
+			expect(urls(result[0])).to.eql(['/blog/redux', '/blog/node', '/blog/css']);
+			expect(urls(result[4])).to.eql([]);
+			expect(urls(result[5])).to.eql([]);
+			expect(result[6]).to.equal(documents[6]);
+		});
+		it('should use fields of taxonomies and weights', () => {
+			const result = core.linkRelated(documents, {
+				posts: {
+					match: 'blog/**',
+					related: { limit: 1, fields: { tags: 1 }, content: 10 },
+				},
+			});
+			expect(urls(result[0])).to.eql(['/blog/css']);
+		});
+		it('should compare only documents sharing terms', () => {
+			const many = _.range(300).map(index => ({
+				sourcePath: `blog/${index}.md`,
+				url: `/blog/${index}`,
+				tags: [`pair${Math.floor(index / 2)}`, 'common'],
+				content: `<p>Post ${Math.floor(index / 2)}</p>`,
+			}));
+			const result = core.linkRelated(many, { posts: { match: 'blog/**', related: 2 } });
+			expect(urls(result[0])).to.eql(['/blog/1', '/blog/2']);
+			expect(urls(result[299])).to.eql(['/blog/298', '/blog/0']);
+		});
+		it('should use fields of taxonomies', () => {
+			const result = core.linkRelated([
+				{ sourcePath: 'a.md', url: '/a', categories: ['x'] },
+				{ sourcePath: 'b.md', url: '/b', categories: ['x'] },
+			], { all: { related: 5 } }, { categories: { layout: 'category' } });
+			expect(urls(result[0])).to.eql(['/b']);
+		});
+		it('should pin and exclude documents', () => {
+			const result = core.linkRelated([
+				{ ...documents[0], relatedPin: ['blog/cooking.md', '/nope'], relatedExclude: ['/blog/redux'] },
+				...documents.slice(1),
+			], collections);
+			expect(urls(result[0])).to.eql(['/blog/cooking', '/blog/node', '/blog/css']);
+			expect(getDiagnostics()).to.eql([
+				{
+					severity: 'warning',
+					code: 'related-not-found',
+					message: 'Pinned related document /nope not found',
+					file: 'blog/react.md',
+				},
+			]);
+		});
+	});
+
 	describe('makeContext', () => {
 		it('should return merged config object', () => {
 			const result = core.makeContext({
@@ -197,6 +797,23 @@ describe('core', () => {
 			expect(result.siteTitle()).to.eql('Blog');
 			expect(result.heading(2)).to.eql('<h2>Hello</h2>');
 		});
+		it('should add data for a document language', () => {
+			const data = {
+				base: { talks: ['en'] },
+				ru: { talks: ['ru'] },
+			};
+			expect(core.makeContext({}, {}, {}, { data }).data).to.eql({ talks: ['en'] });
+			expect(core.makeContext({ lang: 'ru' }, {}, {}, { data }).data).to.eql({ talks: ['ru'] });
+			expect(core.makeContext({ lang: 'en' }, {}, {}, { data }).data).to.eql({ talks: ['en'] });
+			expect(core.makeContext({}, {}, {}).data).to.eql({});
+		});
+		it('should add collections and taxonomies', () => {
+			const taxonomies = { tags: [{ slug: 'css', name: 'CSS', count: 1, url: '/tags/css' }] };
+			expect(core.makeContext({}, {}, {}, { taxonomies }).taxonomies).to.eql(taxonomies);
+
+			const collections = { posts: [{ title: 'Hello' }] };
+			expect(core.makeContext({}, {}, {}, { collections }).collections).to.eql(collections);
+		});
 	});
 
 	describe('filterDocuments', () => {
@@ -409,6 +1026,14 @@ describe('core', () => {
 				],
 			});
 		});
+		it('should skip unpublished documents', () => {
+			const result = core.groupDocuments([
+				{ title: 'Post 1', tags: ['foo'] },
+				{ title: 'Post 2', tags: ['foo'], draft: true },
+				{ title: 'Post 3', tags: ['foo'], draft: true, publishStatus: 'draft' },
+			], 'tags');
+			expect(_.map(result.foo, 'title')).to.eql(['Post 1', 'Post 3']);
+		});
 		it('should group documents by the result of function call', () => {
 			const result = core.groupDocuments([
 				{
@@ -514,6 +1139,114 @@ describe('core', () => {
 		});
 	});
 
+	describe('getPagePath', () => {
+		it('should return a path with an extension for built-in feed layouts', () => {
+			expect(core.getPagePath({ sourcePath: 'feed', layout: 'RSS' })).to.eql('feed.xml');
+			expect(core.getPagePath({ sourcePath: 'atom', layout: 'Atom' })).to.eql('atom.xml');
+			expect(core.getPagePath({ sourcePath: 'feed', layout: 'JSONFeed' })).to.eql('feed.json');
+			expect(core.getPagePath({ sourcePath: 'about.md', layout: 'page' })).to.eql('about.html');
+		});
+	});
+
+	describe('prepareSitemaps', () => {
+		const documents = [
+			{ sourcePath: 'index.md', url: '/', layout: 'page' },
+			{ sourcePath: 'about.md', url: '/about', layout: 'page', sitemap: { priority: 0.5 } },
+			{ sourcePath: 'secret.md', url: '/secret', layout: 'page', sitemap: { exclude: true } },
+			{ sourcePath: 'hidden.md', url: '/hidden', layout: 'page', sitemap: false },
+			{ sourcePath: 'draft.md', url: '/draft', layout: 'page', draft: true },
+			{ sourcePath: 'feed.xml', url: '/feed', layout: 'RSS' },
+			{ sourcePath: 'old.html', url: '/old', layout: 'Redirect' },
+			{ sourcePath: 'sitemap.xml', url: '/sitemap.xml', layout: 'Sitemap' },
+		];
+		it('should add all pages to a sitemap', () => {
+			const result = core.prepareSitemaps(documents);
+			expect(result).to.have.length(documents.length);
+			expect(result[7].items.map(document => document.url)).to.eql(['/', '/about']);
+			expect(core.getPagePath(result[7])).to.eql('sitemap.xml');
+		});
+		it('should split a sitemap and add a sitemap index', () => {
+			const result = core.prepareSitemaps([
+				...documents.slice(0, -1),
+				{ sourcePath: 'sitemap.xml', url: '/sitemap.xml', layout: 'Sitemap', limit: 1 },
+			]);
+			const sitemaps = result.slice(7);
+			expect(sitemaps.map(document => [document.layout, core.getPagePath(document)])).to.eql([
+				['SitemapIndex', 'sitemap.xml'],
+				['Sitemap', 'sitemap-1.xml'],
+				['Sitemap', 'sitemap-2.xml'],
+			]);
+			expect(sitemaps[0].sitemaps).to.eql(['/sitemap-1.xml', '/sitemap-2.xml']);
+			expect(sitemaps[2].items.map(document => document.url)).to.eql(['/about']);
+		});
+		it('should not change documents without sitemaps', () => {
+			const result = core.prepareSitemaps(documents.slice(0, -1));
+			expect(result).to.eql(documents.slice(0, -1));
+		});
+	});
+
+	describe('generatePage with cache', () => {
+		beforeEach(done => rimraf('test/tmp', done));
+		const document = {
+			title: 'Hello',
+			layout: 'layout',
+			sourcePath: 'all/post.md',
+			content: '<b>Test</b>',
+		};
+		it('should record template files as page dependencies', () => {
+			const cache = loadCache('test/tmp/cache.json');
+			core.generatePage(document, { base: {} }, {}, { jsx: renderTemplate }, { cache });
+			expect(Object.keys(cache.pages['all/post.html'].files)).to.eql([
+				path.resolve('test/samples/layout.jsx'),
+			]);
+		});
+		it('should not render a page again if nothing changed', () => {
+			const cache = loadCache('test/tmp/cache.json');
+			const options = { cache };
+			const page = core.generatePage(document, { base: {} }, {}, { jsx: renderTemplate }, options);
+			core.savePage(page, 'test/tmp', options);
+			const result = core.generatePage(document, { base: {} }, {}, { jsx: renderTemplate }, options);
+			expect(result).to.eql({ pagePath: 'all/post.html', cached: true });
+		});
+		it('should render a page again if the document changed', () => {
+			const cache = loadCache('test/tmp/cache.json');
+			const options = { cache };
+			const page = core.generatePage(document, { base: {} }, {}, { jsx: renderTemplate }, options);
+			core.savePage(page, 'test/tmp', options);
+			const result = core.generatePage({ ...document, title: 'Bye' }, { base: {} }, {}, { jsx: renderTemplate }, options);
+			expect(result.content).to.eql('<!doctype html><div><h1>Bye</h1><b>Test</b></div>');
+		});
+		it('should render a page again if the config changed', () => {
+			const cache = loadCache('test/tmp/cache.json');
+			const options = { cache };
+			const page = core.generatePage(document, { base: {} }, {}, { jsx: renderTemplate }, options);
+			core.savePage(page, 'test/tmp', options);
+			const result = core.generatePage(document, { base: { foo: 42 } }, {}, { jsx: renderTemplate }, options);
+			expect(result.cached).to.be.undefined;
+		});
+		it('should render a page again if any field of a collection document it uses changed', () => {
+			const cache = loadCache('test/tmp/cache.json');
+			const options = { cache };
+			const config = { base: {} };
+			const post = { title: 'Post', url: '/blog/post', sourcePath: 'blog/post.md', content: '<p>Foo</p>' };
+			const globals = collections => ({ ...options, collections, data: {}, taxonomies: {} });
+			const listing = { ...document, layout: 'collection-layout', sourcePath: 'all/listing.md' };
+
+			const pages = [document, listing].map(item =>
+				core.generatePage(item, config, {}, { jsx: renderTemplate }, globals({ posts: [post] }))
+			);
+			pages.forEach(page => core.savePage(page, 'test/tmp', options));
+			expect(pages[1].content).to.eql('<!doctype html><div><h1>Hello</h1><ul><li><p>Foo</p></li></ul></div>');
+
+			const edited = { posts: [{ ...post, content: '<p>Bar</p>' }] };
+			const unrelated = core.generatePage(document, config, {}, { jsx: renderTemplate }, globals(edited));
+			expect(unrelated).to.eql({ pagePath: 'all/post.html', cached: true });
+			const changed = core.generatePage(listing, config, {}, { jsx: renderTemplate }, globals(edited));
+			expect(changed.cached).to.be.undefined;
+			expect(changed.content).to.eql('<!doctype html><div><h1>Hello</h1><ul><li><p>Bar</p></li></ul></div>');
+		});
+	});
+
 	describe('generatePages', () => {
 		it('should render array of pages', () => {
 			const result = core.generatePages([
@@ -541,6 +1274,48 @@ describe('core', () => {
 		});
 	});
 
+	describe('generatePagesAsync', () => {
+		it('should return a promise of rendered pages in the same order as documents', () => {
+			return core.generatePagesAsync([
+				{
+					title: 'Hello',
+					layout: 'layout',
+					sourcePath: 'all/post.md',
+					content: '<b>Test</b>',
+				},
+				{
+					title: 'Bye',
+					layout: 'layout',
+					sourcePath: 'all/post2.md',
+					content: '<b>Foobarbaz</b>',
+				},
+			], {
+				base: {},
+			}, {
+			}, { jsx: renderTemplate }, { concurrency: 2 }).then(result => {
+				expect(result).to.eql([
+					{
+						pagePath: 'all/post.html',
+						content: '<!doctype html><div><h1>Hello</h1><b>Test</b></div>',
+					},
+					{
+						pagePath: 'all/post2.html',
+						content: '<!doctype html><div><h1>Bye</h1><b>Foobarbaz</b></div>',
+					},
+				]);
+			});
+		});
+		it('should reject if layout is not specified', () => {
+			return core.generatePagesAsync([{ sourcePath: 'all/post.md' }], { base: {} }, {}, { jsx: renderTemplate })
+				.then(() => {
+					throw new Error('Should reject');
+				}, error => {
+					expect(error.message).to.contain('Layout not specified');
+				})
+			;
+		});
+	});
+
 	describe('getPageNumberUrl', () => {
 		it('should return pagination page number', () => {
 			const result = core.getPageNumberUrl('all', 5);
@@ -592,6 +1367,24 @@ describe('core', () => {
 			);
 			expect(result).to.eql(require('./expected/pagination.json'));
 		});
+		it('should skip unpublished documents', () => {
+			const result = core.paginate(
+				[
+					{ title: 'Post 1', layout: 'post', sourcePath: 'all/post1.md' },
+					{ title: 'Post 2', layout: 'post', sourcePath: 'all/post2.md', draft: true },
+					{ title: 'Post 3', layout: 'post', sourcePath: 'all/post3.md' },
+				],
+				{
+					sourcePathPrefix: 'all',
+					urlPrefix: '/all',
+					documentsPerPage: 1,
+					layout: 'pagination',
+				}
+			);
+			expect(result.length).to.eql(2);
+			expect(result[1].documents[0].title).to.eql('Post 3');
+			expect(result[1].documentsTotal).to.eql(2);
+		});
 		it('should add extra options to every generated document', () => {
 			const result = core.paginate(
 				[
@@ -642,4 +1435,86 @@ describe('core', () => {
 			expect(readFile('test/tmp/all/post2.html')).to.eql('<h1>Bye</h1>\n<b>Foobarbaz</b>');
 		});
 	});
+
+	describe('savePagesAsync', () => {
+		beforeEach(done => rimraf('test/tmp', done));
+		it('should save array of page to HTML files', () => {
+			return core.savePagesAsync([
+				{
+					pagePath: 'all/post.html',
+					content: '<h1>Hello</h1>\n<b>Test</b>',
+				},
+				{
+					pagePath: 'all/post2.html',
+					content: '<h1>Bye</h1>\n<b>Foobarbaz</b>',
+				},
+			], 'test/tmp').then(() => {
+				expect(readFile('test/tmp/all/post.html')).to.eql('<h1>Hello</h1>\n<b>Test</b>');
+				expect(readFile('test/tmp/all/post2.html')).to.eql('<h1>Bye</h1>\n<b>Foobarbaz</b>');
+			});
+		});
+	});
+
+	describe('cleanPages', () => {
+		const pages = [
+			{ pagePath: 'index.html' },
+			{ pagePath: 'blog/post.html' },
+			{ pagePath: 'feed.xml' },
+		];
+		const generated = [
+			'index.html',
+			'feed.xml',
+			'blog/post.html',
+			'blog/old.html',
+			'old/post.html',
+			'keep/page.html',
+			'deleted.html',
+		];
+		beforeEach(done => rimraf('test/tmp', () => {
+			[
+				'index.html',
+				'feed.xml',
+				'blog/post.html',
+				'blog/old.html',
+				'old/post.html',
+				'keep/page.html',
+				'google1234.html',
+				'browserconfig.xml',
+				'styles.css',
+			].forEach(file => writeFile(`test/tmp/${file}`, 'Hello.'));
+			done();
+		}));
+		it('should remove previously generated files that do not belong to any page', () => {
+			const result = core.cleanPages(pages, 'test/tmp', { generated });
+			expect(result.sort()).to.eql(['blog/old.html', 'keep/page.html', 'old/post.html']);
+			expect(fs.existsSync('test/tmp/blog/old.html')).to.be.false;
+			expect(fs.existsSync('test/tmp/blog/post.html')).to.be.true;
+			expect(fs.existsSync('test/tmp/old')).to.be.false;
+		});
+		it('should keep static files when the assets folder is the public folder', () => {
+			const result = core.cleanPages(pages, 'test/tmp', { generated });
+			expect(result).not.to.include('google1234.html');
+			expect(fs.existsSync('test/tmp/google1234.html')).to.be.true;
+			expect(fs.existsSync('test/tmp/browserconfig.xml')).to.be.true;
+			expect(fs.existsSync('test/tmp/styles.css')).to.be.true;
+		});
+		it('should not remove anything without a list of generated files', () => {
+			const result = core.cleanPages(pages, 'test/tmp');
+			expect(result).to.eql([]);
+			expect(fs.existsSync('test/tmp/blog/old.html')).to.be.true;
+		});
+		it('should keep files matching ignore patterns', () => {
+			const result = core.cleanPages(pages, 'test/tmp', {
+				generated,
+				ignore: ['keep/**'],
+			});
+			expect(result.sort()).to.eql(['blog/old.html', 'old/post.html']);
+			expect(fs.existsSync('test/tmp/keep/page.html')).to.be.true;
+		});
+		it('should not remove anything in dry run mode', () => {
+			const result = core.cleanPages(pages, 'test/tmp', { generated, dryRun: true });
+			expect(result.length).to.eql(3);
+			expect(fs.existsSync('test/tmp/blog/old.html')).to.be.true;
+		});
+	});
 });
@@ -0,0 +1,154 @@
+import { expect } from 'chai';
+
+import * as diagnostics from '../src/diagnostics';
+import { parsePage, generatePage } from '../src/core';
+import { loadCache } from '../src/cache';
+import createMarkdownRenderer from '../src/renderers/markdown';
+
+/* eslint-disable no-console */
+
+describe('diagnostics', () => {
+	let error;
+	let warn;
+	let log;
+	beforeEach(() => {
+		diagnostics.clearDiagnostics();
+		error = console.error;
+		warn = console.warn;
+		log = console.log;
+		console.error = () => {};
+		console.warn = () => {};
+		console.log = () => {};
+	});
+	afterEach(() => {
+		console.error = error;
+		console.warn = warn;
+		console.log = log;
+		diagnostics.clearDiagnostics();
+	});
+
+	describe('reportDiagnostic', () => {
+		it('should add a diagnostic to the list', () => {
+			diagnostics.reportDiagnostic({ code: 'foo', message: 'Foo', file: 'foo.md', line: 3 });
+			diagnostics.reportDiagnostic({ severity: 'warning', code: 'bar', message: 'Bar' });
+			expect(diagnostics.getDiagnostics()).to.eql([
+				{ severity: 'error', code: 'foo', message: 'Foo', file: 'foo.md', line: 3 },
+				{ severity: 'warning', code: 'bar', message: 'Bar' },
+			]);
+		});
+		it('should print errors and warnings', () => {
+			const printed = [];
+			console.error = message => printed.push(message);
+			console.warn = message => printed.push(message);
+			diagnostics.reportDiagnostic({ code: 'foo', message: 'Foo', file: 'foo.md', line: 3 });
+			diagnostics.reportDiagnostic({ severity: 'warning', code: 'bar', message: 'Bar' });
+			diagnostics.reportDiagnostic({ code: 'baz', message: 'Baz' }, { silent: true });
+			expect(printed).to.have.length(2);
+			expect(printed[0]).to.contain('foo.md:3: Foo [foo]');
+			expect(printed[1]).to.contain('Bar [bar]');
+		});
+		it('should take file and line offset from a context', () => {
+			diagnostics.withDiagnosticsContext({ file: 'foo.md', lineOffset: 4 }, () => {
+				diagnostics.reportDiagnostic({ code: 'foo', message: 'Foo', line: 2 });
+				diagnostics.reportDiagnostic({ code: 'bar', message: 'Bar', file: 'bar.md', line: 2 });
+			});
+			diagnostics.reportDiagnostic({ code: 'baz', message: 'Baz', line: 2 });
+			expect(diagnostics.getDiagnostics()).to.eql([
+				{ severity: 'error', code: 'foo', message: 'Foo', file: 'foo.md', line: 6 },
+				{ severity: 'error', code: 'bar', message: 'Bar', file: 'bar.md', line: 2 },
+				{ severity: 'error', code: 'baz', message: 'Baz', line: 2 },
+			]);
+		});
+	});
+
+	describe('formatDiagnostic', () => {
+		it('should format a diagnostic', () => {
+			expect(diagnostics.formatDiagnostic({ message: 'Foo', file: 'foo.md', line: 3, code: 'foo' }))
+				.to.eql('foo.md:3: Foo [foo]');
+			expect(diagnostics.formatDiagnostic({ message: 'Foo', file: 'foo.md' })).to.eql('foo.md: Foo');
+			expect(diagnostics.formatDiagnostic({ message: 'Foo' })).to.eql('Foo');
+		});
+	});
+
+	describe('getDiagnosticsSummary', () => {
+		it('should return number of errors and warnings', () => {
+			diagnostics.reportDiagnostic({ code: 'foo', message: 'Foo' });
+			diagnostics.reportDiagnostic({ severity: 'warning', code: 'bar', message: 'Bar' });
+			diagnostics.reportDiagnostic({ severity: 'warning', code: 'bar', message: 'Bar' });
+			expect(diagnostics.getDiagnosticsSummary()).to.eql('1 error, 2 warnings');
+			expect(diagnostics.getErrorCount()).to.eql(1);
+		});
+	});
+
+	describe('printDiagnosticsSummary', () => {
+		let exitCode;
+		beforeEach(() => {
+			exitCode = process.exitCode;
+		});
+		afterEach(() => {
+			process.exitCode = exitCode;
+		});
+
+		it('should set exit code in strict mode if there were errors', () => {
+			diagnostics.reportDiagnostic({ code: 'foo', message: 'Foo' });
+			const result = diagnostics.printDiagnosticsSummary({ strict: true });
+			expect(result).to.be.true;
+			expect(process.exitCode).to.eql(1);
+		});
+		it('should not set exit code without strict mode', () => {
+			diagnostics.reportDiagnostic({ code: 'foo', message: 'Foo' });
+			const result = diagnostics.printDiagnosticsSummary();
+			expect(result).to.be.true;
+			expect(process.exitCode).to.eql(exitCode);
+		});
+		it('should not set exit code if there were only warnings', () => {
+			diagnostics.reportDiagnostic({ severity: 'warning', code: 'foo', message: 'Foo' });
+			const result = diagnostics.printDiagnosticsSummary({ strict: true });
+			expect(result).to.be.false;
+			expect(process.exitCode).to.eql(exitCode);
+		});
+	});
+
+	describe('integration', () => {
+		const source = '---\nlayout: page\ntitle: Hello\n---\n\nHello\n\n<x-foo bar="1"></x-foo>\n';
+		const renderers = {
+			md: createMarkdownRenderer({
+				customTags: {
+					foo: () => {
+						throw new Error('noooo');
+					},
+				},
+			}),
+		};
+
+		it('should report custom tag errors with a source file line', () => {
+			parsePage(source, 'blog/hello.md', { renderers });
+			expect(diagnostics.getDiagnostics()).to.eql([
+				{
+					severity: 'error',
+					code: 'custom-tag-error',
+					message: 'Error while rendering custom tag <x-foo>: noooo',
+					file: 'blog/hello.md',
+					line: 8,
+				},
+			]);
+		});
+		it('should not cache content rendered with errors', () => {
+			const cache = loadCache('test/tmp/cache.json');
+			parsePage(source, 'blog/hello.md', { renderers, cache });
+			parsePage(source, 'blog/hello.md', { renderers, cache });
+			expect(diagnostics.getErrorCount()).to.eql(2);
+			expect(cache.sources).not.to.have.property('blog/hello.md');
+		});
+		it('should report missing RSS properties with a document path', () => {
+			const cache = loadCache('test/tmp/cache.json');
+			generatePage({ sourcePath: 'feed.xml', layout: 'RSS' }, {}, {}, {}, { cache });
+			expect(diagnostics.getDiagnostics()).to.have.length(1);
+			expect(diagnostics.getDiagnostics()[0]).to.include({
+				code: 'rss-missing-property',
+				file: 'feed.xml',
+			});
+			expect(cache.pages).to.eql({});
+		});
+	});
+});
@@ -7,7 +7,102 @@ module.exports = [{
 	"excerpt": undefined,
 	"tags": ["javascript"],
 	"sourcePath": "en/plugins-requirejs.md",
-	"content": "<p>In big project, you often use framework extensions or plugins: things that extend your framework’s namespace but do not export any modules themselves. For example I use Backbone and React with <a href=\"https://github.com/jeromegn/Backbone.localStorage\">Backbone.localStorage</a>, <a href=\"https://github.com/clayallsopp/react.backbone\">react.backbone</a> and <a href=\"https://github.com/sapegin/kurush/blob/6f3ac4a38bada39a59cce0fce33d97f8b12c812c/web/app/util/react-extras.js\">my own React mixins</a>.</p>\n<p>I’m trying to find the best way to include such modules with RequireJS. Most of them can be used for polyfills too.</p>\n<h2>Almighty copypasta</h2>\n<p>Just require everything in all modules.</p>\n<pre><code class=\"hljs language-js\"><span class=\"hljs-comment\">// mymodule.js</span>\ndefine([<span class=\"hljs-string\">'backbone'</span>, <span class=\"hljs-string\">'react'</span>, <span class=\"hljs-string\">'backboneLocalStorage'</span>, <span class=\"hljs-string\">'reactBackbone'</span>, <span class=\"hljs-string\">'util/react-extras'</span>], <span class=\"hljs-function\"><span class=\"hljs-keyword\">function</span>(<span class=\"hljs-params\">Backbone, React</span>) </span>{\n    …\n});</code></pre>\n<p>Pros:</p>\n<ul>\n<li>None.</li>\n</ul>\n<p>Cons:</p>\n<ul>\n<li>Code repetition.</li>\n<li>Very hard to maintain.</li>\n</ul>\n<h2>Main module</h2>\n<p>Require everything in the main module.</p>\n<pre><code class=\"hljs language-js\"><span class=\"hljs-comment\">// main.js</span>\n<span class=\"hljs-built_in\">require</span>([<span class=\"hljs-string\">'router'</span>, <span class=\"hljs-string\">'backbone'</span>, <span class=\"hljs-string\">'backboneLocalStorage'</span>, <span class=\"hljs-string\">'reactBackbone'</span>, <span class=\"hljs-string\">'util/react-extras'</span>], <span class=\"hljs-function\"><span class=\"hljs-keyword\">function</span>(<span class=\"hljs-params\">Router, Backbone</span>) </span>{\n    …\n});</code></pre>\n<p>Pros:</p>\n<ul>\n<li>Clean modules.</li>\n<li>All extensions in (almost) one place.</li>\n</ul>\n<p>Cons:</p>\n<ul>\n<li>Difficult to test (tests don’t include main.js), so you need to require these modules for tests differently.</li>\n</ul>\n<h2>Bootstrap module</h2>\n<p>Put all the extensions in a separate module and require it from your main module and from tests.</p>\n<pre><code class=\"hljs language-js\"><span class=\"hljs-comment\">// main.js</span>\n<span class=\"hljs-built_in\">require</span>([<span class=\"hljs-string\">'bootstrap'</span>, <span class=\"hljs-string\">'router'</span>, <span class=\"hljs-string\">'backbone'</span>], <span class=\"hljs-function\"><span class=\"hljs-keyword\">function</span>(<span class=\"hljs-params\">_, Router, Backbone</span>) </span>{\n    …\n});\n\n<span class=\"hljs-comment\">// bootstrap.js</span>\ndefine([\n    <span class=\"hljs-string\">'backbone'</span>,\n    <span class=\"hljs-string\">'react'</span>,\n    <span class=\"hljs-string\">'backboneLocalStorage'</span>,\n    <span class=\"hljs-string\">'reactBackbone'</span>,\n    <span class=\"hljs-string\">'util/react-extras'</span>\n]);</code></pre>\n<p>Pros:</p>\n<ul>\n<li>All extensions in one place.</li>\n<li>Clean modules.</li>\n</ul>\n<p>Cons:</p>\n<ul>\n<li>You need to require bootstrap from your main module and from every test.</li>\n</ul>\n<h2>RequireJS bundles</h2>\n<p>Bundle is a special module, which you create with <a href=\"http://requirejs.org/docs/optimization.html\">the RequieJS optimizer</a>. Any time you require one of the modules inside the bundle RequireJS will load the bundle instead.</p>\n<pre><code class=\"hljs language-js\"><span class=\"hljs-comment\">// config.js</span>\n<span class=\"hljs-built_in\">require</span>.config({\n    <span class=\"hljs-attr\">bundles</span>: {\n        <span class=\"hljs-string\">'backbone-bundle'</span>: [<span class=\"hljs-string\">'backbone'</span>, <span class=\"hljs-string\">'backboneLocalStorage'</span>],\n        <span class=\"hljs-string\">'react-bundle'</span>: [<span class=\"hljs-string\">'react'</span>, <span class=\"hljs-string\">'reactBackbone'</span>, <span class=\"hljs-string\">'util/react-extras'</span>]\n    }\n    …\n});</code></pre>\n<p>(I haven’t try this method myself because I think it’s overcomplicated but here’s a <a href=\"http://webroo.org/articles/2014-03-30/using-the-new-require-js-bundles-feature/\">good article</a> on how to make and use bundles.)</p>\n<p>Pros:</p>\n<ul>\n<li>Clean modules.</li>\n<li>No need to do anything special for tests.</li>\n</ul>\n<p>Cons:</p>\n<ul>\n<li>You need to create and maintain bundles.</li>\n</ul>\n<h2>Wrappers</h2>\n<p>Create a separate module that requires an original framework with all needed extensions and returns framework back. Do it for all your frameworks that you want to extend.</p>\n<pre><code class=\"hljs language-js\"><span class=\"hljs-comment\">// config.js</span>\n<span class=\"hljs-built_in\">require</span>.config({\n    <span class=\"hljs-attr\">paths</span>: {\n        <span class=\"hljs-comment\">// Rename original framework</span>\n        reactOriginal: <span class=\"hljs-string\">'bower_components/react…'</span>,\n        <span class=\"hljs-comment\">// require('react') will load our wrapper module</span>\n        react: <span class=\"hljs-string\">'react-with-extras'</span>\n    }\n    …\n});\n\n<span class=\"hljs-comment\">// react-with-extras.js</span>\ndefine([<span class=\"hljs-string\">'reactOriginal'</span>, <span class=\"hljs-string\">'util/react-extras'</span>], <span class=\"hljs-function\"><span class=\"hljs-keyword\">function</span>(<span class=\"hljs-params\">React</span>) </span>{\n    <span class=\"hljs-keyword\">return</span> React;\n});</code></pre>\n<p>Pros:</p>\n<ul>\n<li>Clean modules.</li>\n<li>No need to do anything special for tests.</li>\n</ul>\n<p>Cons:</p>\n<ul>\n<li>A bit complicated.</li>\n</ul>\n<h2>Conclusion</h2>\n<p>I don’t like any of these techniques very much and I hope I’ve just missed the best one. Tell me if you know it.</p>",
+	"wordCount": 299,
+	"readingTime": 2,
+	"headings": [
+		{
+			"depth": 2,
+			"text": "Almighty copypasta",
+			"id": "almighty-copypasta"
+		},
+		{
+			"depth": 2,
+			"text": "Main module",
+			"id": "main-module"
+		},
+		{
+			"depth": 2,
+			"text": "Bootstrap module",
+			"id": "bootstrap-module"
+		},
+		{
+			"depth": 2,
+			"text": "RequireJS bundles",
+			"id": "requirejs-bundles"
+		},
+		{
+			"depth": 2,
+			"text": "Wrappers",
+			"id": "wrappers"
+		},
+		{
+			"depth": 2,
+			"text": "Conclusion",
+			"id": "conclusion"
+		}
+	],
+	"links": [
+		{
+			"url": "https://github.com/jeromegn/Backbone.localStorage",
+			"text": "Backbone.localStorage"
+		},
+		{
+			"url": "https://github.com/clayallsopp/react.backbone",
+			"text": "react.backbone"
+		},
+		{
+			"url": "https://github.com/sapegin/kurush/blob/6f3ac4a38bada39a59cce0fce33d97f8b12c812c/web/app/util/react-extras.js",
+			"text": "my own React mixins"
+		},
+		{
+			"url": "http://requirejs.org/docs/optimization.html",
+			"text": "the RequieJS optimizer"
+		},
+		{
+			"url": "http://webroo.org/articles/2014-03-30/using-the-new-require-js-bundles-feature/",
+			"text": "good article"
+		}
+	],
+	"images": [],
+	"toc": [
+		{
+			"depth": 2,
+			"text": "Almighty copypasta",
+			"id": "almighty-copypasta",
+			"children": []
+		},
+		{
+			"depth": 2,
+			"text": "Main module",
+			"id": "main-module",
+			"children": []
+		},
+		{
+			"depth": 2,
+			"text": "Bootstrap module",
+			"id": "bootstrap-module",
+			"children": []
+		},
+		{
+			"depth": 2,
+			"text": "RequireJS bundles",
+			"id": "requirejs-bundles",
+			"children": []
+		},
+		{
+			"depth": 2,
+			"text": "Wrappers",
+			"id": "wrappers",
+			"children": []
+		},
+		{
+			"depth": 2,
+			"text": "Conclusion",
+			"id": "conclusion",
+			"children": []
+		}
+	],
+	"content": "<p>In big project, you often use framework extensions or plugins: things that extend your framework’s namespace but do not export any modules themselves. For example I use Backbone and React with <a href=\"https://github.com/jeromegn/Backbone.localStorage\">Backbone.localStorage</a>, <a href=\"https://github.com/clayallsopp/react.backbone\">react.backbone</a> and <a href=\"https://github.com/sapegin/kurush/blob/6f3ac4a38bada39a59cce0fce33d97f8b12c812c/web/app/util/react-extras.js\">my own React mixins</a>.</p>\n<p>I’m trying to find the best way to include such modules with RequireJS. Most of them can be used for polyfills too.</p>\n<h2 id=\"almighty-copypasta\">Almighty copypasta</h2>\n<p>Just require everything in all modules.</p>\n<pre><code class=\"hljs language-js\"><span class=\"hljs-comment\">// mymodule.js</span>\ndefine([<span class=\"hljs-string\">'backbone'</span>, <span class=\"hljs-string\">'react'</span>, <span class=\"hljs-string\">'backboneLocalStorage'</span>, <span class=\"hljs-string\">'reactBackbone'</span>, <span class=\"hljs-string\">'util/react-extras'</span>], <span class=\"hljs-function\"><span class=\"hljs-keyword\">function</span>(<span class=\"hljs-params\">Backbone, React</span>) </span>{\n    …\n});</code></pre>\n<p>Pros:</p>\n<ul>\n<li>None.</li>\n</ul>\n<p>Cons:</p>\n<ul>\n<li>Code repetition.</li>\n<li>Very hard to maintain.</li>\n</ul>\n<h2 id=\"main-module\">Main module</h2>\n<p>Require everything in the main module.</p>\n<pre><code class=\"hljs language-js\"><span class=\"hljs-comment\">// main.js</span>\n<span class=\"hljs-built_in\">require</span>([<span class=\"hljs-string\">'router'</span>, <span class=\"hljs-string\">'backbone'</span>, <span class=\"hljs-string\">'backboneLocalStorage'</span>, <span class=\"hljs-string\">'reactBackbone'</span>, <span class=\"hljs-string\">'util/react-extras'</span>], <span class=\"hljs-function\"><span class=\"hljs-keyword\">function</span>(<span class=\"hljs-params\">Router, Backbone</span>) </span>{\n    …\n});</code></pre>\n<p>Pros:</p>\n<ul>\n<li>Clean modules.</li>\n<li>All extensions in (almost) one place.</li>\n</ul>\n<p>Cons:</p>\n<ul>\n<li>Difficult to test (tests don’t include main.js), so you need to require these modules for tests differently.</li>\n</ul>\n<h2 id=\"bootstrap-module\">Bootstrap module</h2>\n<p>Put all the extensions in a separate module and require it from your main module and from tests.</p>\n<pre><code class=\"hljs language-js\"><span class=\"hljs-comment\">// main.js</span>\n<span class=\"hljs-built_in\">require</span>([<span class=\"hljs-string\">'bootstrap'</span>, <span class=\"hljs-string\">'router'</span>, <span class=\"hljs-string\">'backbone'</span>], <span class=\"hljs-function\"><span class=\"hljs-keyword\">function</span>(<span class=\"hljs-params\">_, Router, Backbone</span>) </span>{\n    …\n});\n\n<span class=\"hljs-comment\">// bootstrap.js</span>\ndefine([\n    <span class=\"hljs-string\">'backbone'</span>,\n    <span class=\"hljs-string\">'react'</span>,\n    <span class=\"hljs-string\">'backboneLocalStorage'</span>,\n    <span class=\"hljs-string\">'reactBackbone'</span>,\n    <span class=\"hljs-string\">'util/react-extras'</span>\n]);</code></pre>\n<p>Pros:</p>\n<ul>\n<li>All extensions in one place.</li>\n<li>Clean modules.</li>\n</ul>\n<p>Cons:</p>\n<ul>\n<li>You need to require bootstrap from your main module and from every test.</li>\n</ul>\n<h2 id=\"requirejs-bundles\">RequireJS bundles</h2>\n<p>Bundle is a special module, which you create with <a href=\"http://requirejs.org/docs/optimization.html\">the RequieJS optimizer</a>. Any time you require one of the modules inside the bundle RequireJS will load the bundle instead.</p>\n<pre><code class=\"hljs language-js\"><span class=\"hljs-comment\">// config.js</span>\n<span class=\"hljs-built_in\">require</span>.config({\n    <span class=\"hljs-attr\">bundles</span>: {\n        <span class=\"hljs-string\">'backbone-bundle'</span>: [<span class=\"hljs-string\">'backbone'</span>, <span class=\"hljs-string\">'backboneLocalStorage'</span>],\n        <span class=\"hljs-string\">'react-bundle'</span>: [<span class=\"hljs-string\">'react'</span>, <span class=\"hljs-string\">'reactBackbone'</span>, <span class=\"hljs-string\">'util/react-extras'</span>]\n    }\n    …\n});</code></pre>\n<p>(I haven’t try this method myself because I think it’s overcomplicated but here’s a <a href=\"http://webroo.org/articles/2014-03-30/using-the-new-require-js-bundles-feature/\">good article</a> on how to make and use bundles.)</p>\n<p>Pros:</p>\n<ul>\n<li>Clean modules.</li>\n<li>No need to do anything special for tests.</li>\n</ul>\n<p>Cons:</p>\n<ul>\n<li>You need to create and maintain bundles.</li>\n</ul>\n<h2 id=\"wrappers\">Wrappers</h2>\n<p>Create a separate module that requires an original framework with all needed extensions and returns framework back. Do it for all your frameworks that you want to extend.</p>\n<pre><code class=\"hljs language-js\"><span class=\"hljs-comment\">// config.js</span>\n<span class=\"hljs-built_in\">require</span>.config({\n    <span class=\"hljs-attr\">paths</span>: {\n        <span class=\"hljs-comment\">// Rename original framework</span>\n        reactOriginal: <span class=\"hljs-string\">'bower_components/react…'</span>,\n        <span class=\"hljs-comment\">// require('react') will load our wrapper module</span>\n        react: <span class=\"hljs-string\">'react-with-extras'</span>\n    }\n    …\n});\n\n<span class=\"hljs-comment\">// react-with-extras.js</span>\ndefine([<span class=\"hljs-string\">'reactOriginal'</span>, <span class=\"hljs-string\">'util/react-extras'</span>], <span class=\"hljs-function\"><span class=\"hljs-keyword\">function</span>(<span class=\"hljs-params\">React</span>) </span>{\n    <span class=\"hljs-keyword\">return</span> React;\n});</code></pre>\n<p>Pros:</p>\n<ul>\n<li>Clean modules.</li>\n<li>No need to do anything special for tests.</li>\n</ul>\n<p>Cons:</p>\n<ul>\n<li>A bit complicated.</li>\n</ul>\n<h2 id=\"conclusion\">Conclusion</h2>\n<p>I don’t like any of these techniques very much and I hope I’ve just missed the best one. Tell me if you know it.</p>",
 	"url": "/en/plugins-requirejs"
 }, {
 	"layout": "post",
@@ -18,6 +113,21 @@ module.exports = [{
 	"excerpt": undefined,
 	"tags": ["thoughts"],
 	"sourcePath": "en/read-less-tech-books.md",
+	"wordCount": 144,
+	"readingTime": 1,
+	"headings": [],
+	"links": [
+		{
+			"url": "http://vstarkov.com/monthbook/",
+			"text": "suggests"
+		},
+		{
+			"url": "http://bibla.ru/sapegin/read/",
+			"text": "read"
+		}
+	],
+	"images": [],
+	"toc": [],
 	"content": "<p>Vladimir Starkov <a href=\"http://vstarkov.com/monthbook/\">suggests</a> to read at least two technical books a month.</p>\n<p>It’s very important to be up-to-date with latest trends, especially in so fast changing industry as front-end development. But there are so many interesting subjects besides  programming languages and new frameworks.</p>\n<p>I love to <a href=\"http://bibla.ru/sapegin/read/\">read</a> about design, typography, photography (more about philosophy than technique), languages, writing, people and other subjects.</p>\n<p>Reading for me isn’t merely source of a new information but by and large it’s a pleasure of a good language. People who write about tech stuff usually aren’t the best writers and their books often are just boring.</p>\n<p>Unfortunately I don’t always follow my very own advice: most of the books I read are tech books. And I read fiction not as often as I should.</p>\n<p>P. S. And of course don’t forget to go outside with a good non-tech book.</p>",
 	"url": "/en/read-less-tech-books"
 }, {
@@ -30,6 +140,45 @@ module.exports = [{
 	"disqus_identifier": "debug-mode",
 	"tags": ["javascript", "stylus", "html", "tools"],
 	"sourcePath": "ru/debug-mode.md",
-	"content": "<p>Почти в любом проекте есть какой-то код, который используется только для отладки, и было бы удобно, если бы такой код автоматически удалялся при публикации.</p>\n<p>Отладочный режим будет включаться при запуске <a href=\"http://nano.sapegin.ru/all/grunt-0-4\">Гранта</a> с параметром <code>--debug</code>. Определить его из грантфайла можно так:</p>\n<pre><code class=\"hljs language-javascript\"><span class=\"hljs-keyword\">var</span> debug = !!grunt.option(<span class=\"hljs-string\">'debug'</span>);</code></pre>\n<p>Эта переменная нам скоро понадобится.</p>\n<h2>JavaScript</h2>\n<p>В Углифае есть возможность задавать глобальные переменные — что-то вроде препроцессора: переменная в коде заменяется значением, а образовавшийся мёртвый код (<code>if (false) { /* Например, такой */ }</code>) удаляется. </p>\n<p>Переменные можно задавать из <a href=\"https://github.com/mishoo/UglifyJS#usage\">командной строки</a> или через грантфайл:</p>\n<pre><code class=\"hljs language-javascript\">uglify: {\n\t<span class=\"hljs-attr\">options</span>: {\n\t\t<span class=\"hljs-attr\">compress</span>: {\n\t\t\t<span class=\"hljs-attr\">global_defs</span>: {\n\t\t\t\t<span class=\"hljs-attr\">DEBUG</span>: debug  <span class=\"hljs-comment\">// Та самая переменная</span>\n\t\t\t}\n\t\t}\n\t},\n\t<span class=\"hljs-attr\">main</span>: {\n\t\t<span class=\"hljs-attr\">files</span>: {\n\t\t\t<span class=\"hljs-string\">\"build/scripts.js\"</span>: <span class=\"hljs-string\">\"build/scripts.js\"</span>\n\t\t}\n\t}\n}</code></pre>\n<p>Пример использования переменной в Яваскрипте:</p>\n<pre><code class=\"hljs language-javascript\"><span class=\"hljs-comment\">/*global DE<span class=\"hljs-doctag\">BUG:</span>true*/</span>\n<span class=\"hljs-comment\">// Отладочный режим по умолчанию (можно сделать и наоборот)</span>\n<span class=\"hljs-keyword\">if</span> (<span class=\"hljs-keyword\">typeof</span> DEBUG === <span class=\"hljs-string\">'undefined'</span>) DEBUG = <span class=\"hljs-literal\">true</span>;\n\n;(<span class=\"hljs-function\"><span class=\"hljs-keyword\">function</span>(<span class=\"hljs-params\"></span>) </span>{\n<span class=\"hljs-meta\">\t'use strict'</span>;\n\n\t<span class=\"hljs-comment\">// …</span>\n\t<span class=\"hljs-keyword\">if</span> (DEBUG) {\n\t\talert(<span class=\"hljs-string\">'Это сообщение появится только в отладочном режиме'</span>);\n\t}\n\t<span class=\"hljs-comment\">// …</span>\n\n}());</code></pre>\n<h2>Stylus</h2>\n<p>В Стилусе всё ещё проще. Грантфайл:</p>\n<pre><code class=\"hljs language-javascript\">stylus: {\n\t<span class=\"hljs-attr\">options</span>: {\n\t\t<span class=\"hljs-attr\">define</span>: {\n\t\t\t<span class=\"hljs-attr\">DEBUG</span>: debug\n\t\t}\n\t},\n\t<span class=\"hljs-attr\">compile</span>: {\n\t\t<span class=\"hljs-attr\">files</span>: {\n\t\t\t<span class=\"hljs-string\">\"build/styles.css\"</span>: <span class=\"hljs-string\">\"styles/index.styl\"</span>\n\t\t}\n\t}\n}</code></pre>\n<p>И пример использования:</p>\n<pre><code class=\"hljs language-css\"><span class=\"hljs-selector-tag\">DEBUG</span> ?= <span class=\"hljs-selector-tag\">true</span>\n\n<span class=\"hljs-selector-tag\">div</span>\n\t<span class=\"hljs-selector-tag\">outline</span>: 1<span class=\"hljs-selector-tag\">px</span> <span class=\"hljs-selector-tag\">solid</span> <span class=\"hljs-selector-id\">#c0ffee</span> <span class=\"hljs-selector-tag\">if</span> <span class=\"hljs-selector-tag\">DEBUG</span></code></pre>",
+	"wordCount": 94,
+	"readingTime": 1,
+	"headings": [
+		{
+			"depth": 2,
+			"text": "JavaScript",
+			"id": "javascript"
+		},
+		{
+			"depth": 2,
+			"text": "Stylus",
+			"id": "stylus"
+		}
+	],
+	"links": [
+		{
+			"url": "http://nano.sapegin.ru/all/grunt-0-4",
+			"text": "Гранта"
+		},
+		{
+			"url": "https://github.com/mishoo/UglifyJS#usage",
+			"text": "командной строки"
+		}
+	],
+	"images": [],
+	"toc": [
+		{
+			"depth": 2,
+			"text": "JavaScript",
+			"id": "javascript",
+			"children": []
+		},
+		{
+			"depth": 2,
+			"text": "Stylus",
+			"id": "stylus",
+			"children": []
+		}
+	],
+	"content": "<p>Почти в любом проекте есть какой-то код, который используется только для отладки, и было бы удобно, если бы такой код автоматически удалялся при публикации.</p>\n<p>Отладочный режим будет включаться при запуске <a href=\"http://nano.sapegin.ru/all/grunt-0-4\">Гранта</a> с параметром <code>--debug</code>. Определить его из грантфайла можно так:</p>\n<pre><code class=\"hljs language-javascript\"><span class=\"hljs-keyword\">var</span> debug = !!grunt.option(<span class=\"hljs-string\">'debug'</span>);</code></pre>\n<p>Эта переменная нам скоро понадобится.</p>\n<h2 id=\"javascript\">JavaScript</h2>\n<p>В Углифае есть возможность задавать глобальные переменные — что-то вроде препроцессора: переменная в коде заменяется значением, а образовавшийся мёртвый код (<code>if (false) { /* Например, такой */ }</code>) удаляется. </p>\n<p>Переменные можно задавать из <a href=\"https://github.com/mishoo/UglifyJS#usage\">командной строки</a> или через грантфайл:</p>\n<pre><code class=\"hljs language-javascript\">uglify: {\n\t<span class=\"hljs-attr\">options</span>: {\n\t\t<span class=\"hljs-attr\">compress</span>: {\n\t\t\t<span class=\"hljs-attr\">global_defs</span>: {\n\t\t\t\t<span class=\"hljs-attr\">DEBUG</span>: debug  <span class=\"hljs-comment\">// Та самая переменная</span>\n\t\t\t}\n\t\t}\n\t},\n\t<span class=\"hljs-attr\">main</span>: {\n\t\t<span class=\"hljs-attr\">files</span>: {\n\t\t\t<span class=\"hljs-string\">\"build/scripts.js\"</span>: <span class=\"hljs-string\">\"build/scripts.js\"</span>\n\t\t}\n\t}\n}</code></pre>\n<p>Пример использования переменной в Яваскрипте:</p>\n<pre><code class=\"hljs language-javascript\"><span class=\"hljs-comment\">/*global DE<span class=\"hljs-doctag\">BUG:</span>true*/</span>\n<span class=\"hljs-comment\">// Отладочный режим по умолчанию (можно сделать и наоборот)</span>\n<span class=\"hljs-keyword\">if</span> (<span class=\"hljs-keyword\">typeof</span> DEBUG === <span class=\"hljs-string\">'undefined'</span>) DEBUG = <span class=\"hljs-literal\">true</span>;\n\n;(<span class=\"hljs-function\"><span class=\"hljs-keyword\">function</span>(<span class=\"hljs-params\"></span>) </span>{\n<span class=\"hljs-meta\">\t'use strict'</span>;\n\n\t<span class=\"hljs-comment\">// …</span>\n\t<span class=\"hljs-keyword\">if</span> (DEBUG) {\n\t\talert(<span class=\"hljs-string\">'Это сообщение появится только в отладочном режиме'</span>);\n\t}\n\t<span class=\"hljs-comment\">// …</span>\n\n}());</code></pre>\n<h2 id=\"stylus\">Stylus</h2>\n<p>В Стилусе всё ещё проще. Грантфайл:</p>\n<pre><code class=\"hljs language-javascript\">stylus: {\n\t<span class=\"hljs-attr\">options</span>: {\n\t\t<span class=\"hljs-attr\">define</span>: {\n\t\t\t<span class=\"hljs-attr\">DEBUG</span>: debug\n\t\t}\n\t},\n\t<span class=\"hljs-attr\">compile</span>: {\n\t\t<span class=\"hljs-attr\">files</span>: {\n\t\t\t<span class=\"hljs-string\">\"build/styles.css\"</span>: <span class=\"hljs-string\">\"styles/index.styl\"</span>\n\t\t}\n\t}\n}</code></pre>\n<p>И пример использования:</p>\n<pre><code class=\"hljs language-css\"><span class=\"hljs-selector-tag\">DEBUG</span> ?= <span class=\"hljs-selector-tag\">true</span>\n\n<span class=\"hljs-selector-tag\">div</span>\n\t<span class=\"hljs-selector-tag\">outline</span>: 1<span class=\"hljs-selector-tag\">px</span> <span class=\"hljs-selector-tag\">solid</span> <span class=\"hljs-selector-id\">#c0ffee</span> <span class=\"hljs-selector-tag\">if</span> <span class=\"hljs-selector-tag\">DEBUG</span></code></pre>",
 	"url": "/ru/debug-mode"
 }];
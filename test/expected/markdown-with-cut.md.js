@@ -1,5 +1,16 @@
 module.exports = {
 	'sourcePath': 'markdown-with-cut.md',
+	'wordCount': 43,
+	'readingTime': 1,
+	'headings': [],
+	'links': [
+		{
+			'url': 'http://vstarkov.com/monthbook/',
+			'text': 'suggests'
+		}
+	],
+	'images': [],
+	'toc': [],
 	'content': '<p>Vladimir Starkov <a href="http://vstarkov.com/monthbook/">suggests</a> to read at least two technical books a month.</p>\n<!-- cut -->\n<p>It’s very important to be up-to-date with latest trends, especially in so fast changing industry as front-end development. But there are so many interesting subjects besides  programming languages and new frameworks.</p>',
 	'excerpt': '<p>Vladimir Starkov <a href="http://vstarkov.com/monthbook/">suggests</a> to read at least two technical books a month.</p>',
 	'more': '<p>It’s very important to be up-to-date with latest trends, especially in so fast changing industry as front-end development. But there are so many interesting subjects besides  programming languages and new frameworks.</p>',
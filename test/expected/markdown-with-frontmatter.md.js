@@ -7,6 +7,17 @@ module.exports = {
 	'excerpt': undefined,
 	'tags': ['thoughts', 'something'],
 	'sourcePath': 'markdown-with-frontmatter.md',
+	'wordCount': 43,
+	'readingTime': 1,
+	'headings': [],
+	'links': [
+		{
+			'url': 'http://vstarkov.com/monthbook/',
+			'text': 'suggests'
+		}
+	],
+	'images': [],
+	'toc': [],
 	'url': '/markdown-with-frontmatter',
 	'content': '<p>Vladimir Starkov <a href="http://vstarkov.com/monthbook/">suggests</a> to read at least two technical books a month.</p>\n<p>It’s very important to be up-to-date with latest trends, especially in so fast changing industry as front-end development. But there are so many interesting subjects besides  programming languages and new frameworks.</p>'
 };
@@ -1,6 +1,7 @@
 import { expect } from 'chai';
 
 import * as helpers from '../src/helpers';
+import { makeContext as makePageContext } from '../src/core';
 
 describe('helpers', () => {
 	describe('option', () => {
@@ -165,6 +166,125 @@ describe('helpers', () => {
 		});
 	});
 
+	describe('hreflangLinks', () => {
+		const makeContext = translations => {
+			const context = {
+				config: {
+					base: {
+						url: 'http://example.com',
+					},
+				},
+				translations,
+			};
+			context.option = helpers.option.bind(context);
+			context.absolutizeUrl = helpers.absolutizeUrl.bind(context);
+			return context;
+		};
+		it('should return alternate links for all translations', () => {
+			const result = helpers.hreflangLinks.call(makeContext({ en: '/en/about', ru: '/ru/about' }));
+			expect(String(result)).to.eql(
+				'<link rel="alternate" hreflang="en" href="http://example.com/en/about">' +
+				'<link rel="alternate" hreflang="ru" href="http://example.com/ru/about">'
+			);
+		});
+		it('should return an empty string if there are no translations', () => {
+			expect(helpers.hreflangLinks.call(makeContext({ en: '/en/about' }))).to.eql('');
+			expect(helpers.hreflangLinks.call(makeContext())).to.eql('');
+		});
+	});
+
+	describe('assetTags', () => {
+		const context = {
+			assets: ['/css/figure.css?123', '/js/figure.js'],
+		};
+		it('should render tags for all page assets', () => {
+			const result = helpers.assetTags.call(context);
+			expect(String(result)).to.eql(
+				'<link rel="stylesheet" href="/css/figure.css?123"><script src="/js/figure.js"></script>'
+			);
+		});
+		it('should render tags for assets of a given type', () => {
+			expect(String(helpers.assetTags.call(context, 'js'))).to.eql('<script src="/js/figure.js"></script>');
+			expect(String(helpers.assetTags.call({}))).to.eql('');
+		});
+	});
+
+	describe('tableOfContents', () => {
+		const headings = [
+			{ depth: 1, text: 'Title', id: 'title' },
+			{ depth: 2, text: 'Install', id: 'install' },
+			{ depth: 3, text: 'npm & yarn', id: 'npm-yarn' },
+			{ depth: 4, text: 'Deep', id: 'deep' },
+			{ depth: 2, text: 'Usage', id: 'usage' },
+		];
+		const makeContext = (fields = {}, config = {}) => ({
+			config: { base: config },
+			headings,
+			...fields,
+		});
+		it('should render a nested table of contents', () => {
+			const result = helpers.tableOfContents.call(makeContext());
+			expect(String(result)).to.eql(
+				'<nav class="toc"><ul>' +
+				'<li><a href="#install">Install</a><ul><li><a href="#npm-yarn">npm &amp; yarn</a></li></ul></li>' +
+				'<li><a href="#usage">Usage</a></li>' +
+				'</ul></nav>'
+			);
+		});
+		it('should use a depth range from options or config', () => {
+			const result = helpers.tableOfContents.call(makeContext(), { minDepth: 3, maxDepth: 4 });
+			expect(String(result)).to.eql(
+				'<nav class="toc"><ul><li><a href="#npm-yarn">npm &amp; yarn</a><ul>' +
+				'<li><a href="#deep">Deep</a></li></ul></li></ul></nav>'
+			);
+			const configResult = helpers.tableOfContents.call(makeContext({}, { toc: { maxDepth: 2 } }));
+			expect(String(configResult)).to.eql(
+				'<nav class="toc"><ul><li><a href="#install">Install</a></li><li><a href="#usage">Usage</a></li></ul></nav>'
+			);
+		});
+		it('should work in a page context and respect toc: false front matter field', () => {
+			const document = { headings, toc: [] };
+			const context = makePageContext(document, { base: {} }, helpers);
+			expect(context.toc).to.eql([]);
+			expect(String(context.tableOfContents())).to.contain('<nav class="toc">');
+			const disabled = makePageContext({ ...document, toc: false }, { base: {} }, helpers);
+			expect(disabled.tableOfContents()).to.eql('');
+		});
+		it('should return an empty string if there are no headings or toc is disabled', () => {
+			expect(helpers.tableOfContents.call(makeContext({ toc: false }))).to.eql('');
+			expect(helpers.tableOfContents.call(makeContext({ headings: [] }))).to.eql('');
+			expect(helpers.tableOfContents.call(makeContext({ headings: undefined }))).to.eql('');
+		});
+	});
+
+	describe('feedLink', () => {
+		const context = {
+			config: {
+				base: {
+					title: 'My blog',
+					url: 'http://example.com',
+				},
+			},
+		};
+		context.option = helpers.option.bind(context);
+		context.absolutizeUrl = helpers.absolutizeUrl.bind(context);
+		it('should return an RSS autodiscovery link', () => {
+			const result = helpers.feedLink.call(context, '/feed.xml');
+			expect(String(result)).to.eql(
+				'<link rel="alternate" type="application/rss+xml" title="My blog" href="http://example.com/feed.xml">'
+			);
+		});
+		it('should return an Atom autodiscovery link with a custom title', () => {
+			const result = helpers.feedLink.call(context, '/atom.xml', { type: 'atom', title: 'Posts' });
+			expect(String(result)).to.eql(
+				'<link rel="alternate" type="application/atom+xml" title="Posts" href="http://example.com/atom.xml">'
+			);
+		});
+		it('should throw on unknown feed type', () => {
+			expect(() => helpers.feedLink.call(context, '/feed', { type: 'foo' })).to.throw('Unknown feed type "foo"');
+		});
+	});
+
 	describe('absolutizeLinks', () => {
 		it('should make all links and image URLs absolute', () => {
 			const func = helpers.absolutizeLinks.bind({
@@ -0,0 +1,105 @@
+import { expect } from 'chai';
+import _ from 'lodash';
+
+import { createWorkerPool, createHandlers } from '../src/pool';
+import { loadSourceFilesAsync, generatePagesAsync } from '../src/core';
+
+/* eslint-disable no-invalid-this */
+
+let hasWorkerThreads;
+try {
+	hasWorkerThreads = !!require('worker_threads');
+}
+catch (exception) {
+	hasWorkerThreads = false;
+}
+
+describe('pool', () => {
+	describe('createHandlers', () => {
+		it('should render source and pages using site module renderers', () => {
+			const handlers = createHandlers(require('./samples/worker-site'));
+			expect(handlers.renderSource('Hello *Markdown*!', 'test.md')).to.eql('<p>Hello <em>Markdown</em>!</p>\n');
+			expect(handlers.renderPageSource('Hello *Markdown*!', 'test.md')).to.eql({
+				content: '<p>Hello <em>Markdown</em>!</p>\n',
+				assets: [],
+				dependencies: [],
+				metadata: {
+					wordCount: 2,
+					readingTime: 1,
+					headings: [],
+					links: [],
+					images: [],
+					toc: [],
+				},
+			});
+			const result = handlers.renderPage({ title: 'Hello', layout: 'layout', content: '<b>Test</b>' }, { base: {} });
+			expect(result.content).to.eql('<!doctype html><div><h1>Hello</h1><b>Test</b></div>');
+		});
+	});
+
+	describe('createWorkerPool', () => {
+		it('should render in the main thread if concurrency is 1', () => {
+			const pool = createWorkerPool('test/samples/worker-site.js', { concurrency: 1 });
+			expect(pool.size).to.eql(1);
+			return pool.run('renderSource', ['Hello *Markdown*!', 'test.md']).then(result => {
+				expect(result).to.eql('<p>Hello <em>Markdown</em>!</p>\n');
+				return pool.close();
+			});
+		});
+		it('should render sources and pages in worker threads', function() {
+			if (!hasWorkerThreads) {
+				this.skip();
+			}
+			this.timeout(30000);
+			const pool = createWorkerPool('test/samples/worker-site.js', {
+				concurrency: 2,
+				require: ['babel-core/register'],
+			});
+			expect(pool.size).to.eql(2);
+			return loadSourceFilesAsync('test/source', ['md'], { pool })
+				.then(documents => {
+					expect(documents).to.eql(require('./expected/files.js'));
+					return generatePagesAsync([
+						{ title: 'Hello', layout: 'layout', sourcePath: 'all/post.md', content: '<b>Test</b>' },
+						{ title: 'Bye', layout: 'layout', sourcePath: 'all/post2.md', content: '<b>Foobarbaz</b>' },
+					], { base: {} }, {}, {}, { pool });
+				})
+				.then(pages => {
+					expect(pages).to.eql([
+						{ pagePath: 'all/post.html', content: '<!doctype html><div><h1>Hello</h1><b>Test</b></div>' },
+						{ pagePath: 'all/post2.html', content: '<!doctype html><div><h1>Bye</h1><b>Foobarbaz</b></div>' },
+					]);
+				})
+				.then(() => pool.close(), error => pool.close().then(() => {
+					throw error;
+				}))
+			;
+		});
+		it('should reject queued and new tasks if workers fail', function() {
+			if (!hasWorkerThreads) {
+				this.skip();
+			}
+			this.timeout(30000);
+			const pool = createWorkerPool('test/samples/worker-broken-site.js', {
+				concurrency: 2,
+				require: ['babel-core/register'],
+			});
+			const run = () => pool.run('renderSource', ['Hello', 'test.md']).then(
+				() => {
+					throw new Error('Task should fail');
+				},
+				error => error.message
+			);
+			return Promise.all([run(), run(), run()])
+				.then(messages => {
+					expect(messages).to.eql(_.fill(Array(3), 'Cannot load site module'));
+					return run();
+				})
+				.then(message => {
+					expect(message).to.eql('Cannot load site module');
+					return pool.close();
+				})
+			;
+		});
+	});
+});
@@ -0,0 +1,72 @@
+import { expect } from 'chai';
+
+import { buildRedirects } from '../src/redirects';
+import { getDiagnostics, clearDiagnostics } from '../src/diagnostics';
+
+/* eslint-disable no-console */
+
+describe('redirects', () => {
+	describe('buildRedirects', () => {
+		let error;
+		beforeEach(() => {
+			clearDiagnostics();
+			error = console.error;
+			console.error = () => {};
+		});
+		afterEach(() => {
+			console.error = error;
+			clearDiagnostics();
+		});
+
+		const documents = [
+			{ sourcePath: 'blog/new.md', url: '/blog/new', layout: 'post', aliases: ['/old', '/2016/old/'] },
+			{ sourcePath: 'about.md', url: '/about', layout: 'page', aliases: '/about-me' },
+			{ sourcePath: 'index.md', url: '/', layout: 'page' },
+		];
+
+		it('should return redirects and redirect pages', () => {
+			const result = buildRedirects(documents);
+			expect(result.redirects).to.eql([
+				{ from: '/old', to: '/blog/new' },
+				{ from: '/2016/old/', to: '/blog/new' },
+				{ from: '/about-me', to: '/about' },
+			]);
+			expect(result.documents).to.eql([
+				{ sourcePath: 'old', url: '/old', pagePath: 'old.html', layout: 'Redirect', redirectTo: '/blog/new' },
+				{
+					sourcePath: '2016/old/',
+					url: '/2016/old/',
+					pagePath: '2016/old/index.html',
+					layout: 'Redirect',
+					redirectTo: '/blog/new',
+				},
+				{ sourcePath: 'about-me', url: '/about-me', pagePath: 'about-me.html', layout: 'Redirect', redirectTo: '/about' },
+			]);
+		});
+		it('should add host configs', () => {
+			const result = buildRedirects(documents, { formats: ['netlify', 'nginx', 'htaccess'] });
+			const maps = result.documents.filter(document => document.layout === 'RedirectMap');
+			expect(maps.map(document => [document.pagePath, document.format])).to.eql([
+				['_redirects', 'netlify'],
+				['redirects.conf', 'nginx'],
+				['.htaccess', 'htaccess'],
+			]);
+			expect(maps[0].redirects).to.eql(result.redirects);
+		});
+		it('should throw on unknown format', () => {
+			expect(() => buildRedirects(documents, { formats: ['iis'] })).to.throw('Unknown redirects format "iis"');
+		});
+		it('should report aliases that collide with pages or other aliases', () => {
+			const result = buildRedirects([
+				...documents,
+				{ sourcePath: 'contacts.md', url: '/contacts', layout: 'page', aliases: ['/about', '/old', '/index'] },
+			]);
+			expect(result.redirects).to.have.length(3);
+			expect(getDiagnostics().map(diagnostic => [diagnostic.code, diagnostic.file, diagnostic.message])).to.eql([
+				['alias-collision', 'contacts.md', 'Alias /about collides with an existing page.'],
+				['alias-collision', 'contacts.md', 'Alias /old is already used by blog/new.md.'],
+				['alias-collision', 'contacts.md', 'Alias /index collides with an existing page.'],
+			]);
+		});
+	});
+});
@@ -0,0 +1,68 @@
+import { expect } from 'chai';
+
+import renderAtom from '../src/renderers/atom';
+import { readFile } from '../src/util';
+import { getDiagnostics, clearDiagnostics } from '../src/diagnostics';
+import * as helpers from '../src/helpers';
+
+/* eslint-disable no-console */
+
+const props = {
+	title: 'Hello',
+	description: 'My feed',
+	lang: 'en',
+	layout: 'Atom',
+	url: '/atom',
+	sourcePath: 'atom.md',
+	items: [
+		{
+			title: 'Post 1',
+			content: 'Hello world 1.',
+			url: '/blog/1',
+			date: '2016-01-01T10:00:00Z',
+		},
+		{
+			id: 'urn:post:2',
+			title: 'Post 2 & more',
+			content: '<p>Read more in <a href="/blog/22">this post</a>.</p>',
+			url: '/blog/2',
+			date: '2016-01-02T10:00:00Z',
+			updated: '2016-02-02T10:00:00Z',
+			author: 'Artem',
+		},
+		{
+			title: 'Draft',
+			content: 'Not ready yet.',
+			url: '/blog/3',
+			date: '2016-01-03T10:00:00Z',
+			draft: true,
+		},
+	],
+	absolutizeUrl: helpers.absolutizeUrl,
+	absolutizeLinks: helpers.absolutizeLinks,
+	option(key) {
+		return {
+			url: 'http://example.com/',
+		}[key];
+	},
+};
+
+describe('Atom', () => {
+	describe('render', () => {
+		it('should render an Atom feed (without unpublished items)', () => {
+			const result = renderAtom(props);
+			expect(result).to.eql(readFile('test/expected/atom.xml'));
+		});
+		it('should return an error if a required property is missing', () => {
+			const error = console.error;
+			console.error = () => {};
+			const result = renderAtom({ ...props, description: undefined });
+			console.error = error;
+			const diagnostics = getDiagnostics();
+			clearDiagnostics();
+			expect(result).to.contain('missing required property &quot;description&quot;');
+			expect(diagnostics).to.have.length(1);
+			expect(diagnostics[0]).to.include({ code: 'feed-missing-property' });
+		});
+	});
+});
@@ -0,0 +1,70 @@
+import { expect } from 'chai';
+
+import renderJsonFeed from '../src/renderers/jsonfeed';
+import { readFile } from '../src/util';
+import { getDiagnostics, clearDiagnostics } from '../src/diagnostics';
+import * as helpers from '../src/helpers';
+
+/* eslint-disable no-console */
+
+const props = {
+	title: 'Hello',
+	description: 'My feed',
+	lang: 'en',
+	layout: 'JSONFeed',
+	url: '/feed',
+	sourcePath: 'feed.md',
+	imageUrl: '/icon.png',
+	items: [
+		{
+			title: 'Post 1',
+			content: 'Hello world 1.',
+			url: '/blog/1',
+			date: '2016-01-01T10:00:00Z',
+			tags: ['javascript'],
+		},
+		{
+			id: 'urn:post:2',
+			title: 'Post 2',
+			content: '<p>Read more in <a href="/blog/22">this post</a>.</p>',
+			url: '/blog/2',
+			date: '2016-01-02T10:00:00Z',
+			updated: '2016-02-02T10:00:00Z',
+			author: 'Artem',
+		},
+		{
+			title: 'Draft',
+			content: 'Not ready yet.',
+			url: '/blog/3',
+			date: '2016-01-03T10:00:00Z',
+			draft: true,
+		},
+	],
+	absolutizeUrl: helpers.absolutizeUrl,
+	absolutizeLinks: helpers.absolutizeLinks,
+	option(key) {
+		return {
+			url: 'http://example.com/',
+		}[key];
+	},
+};
+
+describe('JSON Feed', () => {
+	describe('render', () => {
+		it('should render a JSON feed (without unpublished items)', () => {
+			const result = renderJsonFeed(props);
+			expect(JSON.parse(result)).to.eql(JSON.parse(readFile('test/expected/feed.json')));
+		});
+		it('should return an error if a required property is missing', () => {
+			const error = console.error;
+			console.error = () => {};
+			const result = renderJsonFeed({ ...props, items: undefined });
+			console.error = error;
+			const diagnostics = getDiagnostics();
+			clearDiagnostics();
+			expect(result).to.contain('missing required property &quot;items&quot;');
+			expect(diagnostics).to.have.length(1);
+			expect(diagnostics[0]).to.include({ code: 'feed-missing-property' });
+		});
+	});
+});
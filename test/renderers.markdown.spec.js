@@ -4,11 +4,25 @@ import createMarkdownRenderer, {
 	createSimpleMarkdownRenderer,
 	escapeMarkdownInTags,
 	unescapeMarkdown,
+	getMarkdownMetadata,
+	createHeadingIdGenerator,
+	parseCodeInfo,
 } from '../src/renderers/markdown';
 import { readFile } from '../src/util';
+import { getDiagnostics, clearDiagnostics } from '../src/diagnostics';
 
 describe('markdown', () => {
 	describe('render', () => {
+		/* eslint-disable no-console */
+		let error;
+		beforeEach(() => {
+			error = console.error;
+			console.error = () => {};
+		});
+		afterEach(() => {
+			console.error = error;
+		});
+		/* eslint-enable no-console */
 		it('should return function', () => {
 			const render = createMarkdownRenderer();
 			expect(render).to.be.a.func;
@@ -32,7 +46,7 @@ describe('markdown', () => {
 			const result = render(readFile('test/samples/markdown-with-tag.md'));
 			expect(result).to.eql(readFile('test/expected/markdown-with-tag.html'));
 		});
-		it('should pass children text', () => {
+		it('should pass rendered children', () => {
 			const render = createMarkdownRenderer({
 				customTags: {
 					foo: ({ children }) => `<div>${children}</div>\n`,
@@ -74,6 +88,310 @@ describe('markdown', () => {
 		});
 	});
 
+	describe('code blocks', () => {
+		/* eslint-disable no-console */
+		let warn;
+		beforeEach(() => {
+			clearDiagnostics();
+			warn = console.warn;
+			console.warn = () => {};
+		});
+		afterEach(() => {
+			console.warn = warn;
+		});
+		/* eslint-enable no-console */
+
+		it('should render highlighted lines, line numbers and a title', () => {
+			const render = createMarkdownRenderer();
+			const result = render('```js {2} title="index.js" showLineNumbers\nconst a = 1;\n/* multi\nline */\n```\n');
+			expect(result).to.eql([
+				'<figure class="code-block">',
+				'<figcaption class="code-block__title">index.js</figcaption>',
+				'<pre><code class="hljs language-js"><span class="code-line"><span class="code-line__number">1</span>' +
+					'<span class="hljs-keyword">const</span> a = <span class="hljs-number">1</span>;</span>',
+				'<span class="code-line code-line_highlighted"><span class="code-line__number">2</span>' +
+					'<span class="hljs-comment">/* multi</span></span>',
+				'<span class="code-line"><span class="code-line__number">3</span><span class="hljs-comment">line */</span></span>' +
+					'</code></pre>',
+				'</figure>',
+				'',
+			].join('\n'));
+		});
+		it('should highlight diffs', () => {
+			const render = createMarkdownRenderer();
+			const result = render('```diff-js\n a;\n-b();\n+c();\n```\n');
+			expect(result).to.eql([
+				'<pre><code class="hljs language-diff-js"><span class="code-line"> a;</span>',
+				'<span class="code-line code-line_removed">-b();</span>',
+				'<span class="code-line code-line_added">+c();</span></code></pre>',
+				'',
+			].join('\n'));
+		});
+		it('should highlight YAML', () => {
+			const render = createMarkdownRenderer();
+			const result = render('```yaml\nname: Foo # bar\n```\n');
+			expect(result).to.eql(
+				'<pre><code class="hljs language-yaml"><span class="hljs-attr">name:</span> Foo ' +
+					'<span class="hljs-comment"># bar</span></code></pre>\n'
+			);
+		});
+		it('should use custom grammars and skip auto-detection', () => {
+			const render = createMarkdownRenderer({
+				hljs: {
+					languages: {
+						shout: () => ({ contains: [{ className: 'keyword', begin: /[A-Z]+/ }] }),
+					},
+					autoDetect: false,
+					lineNumbers: true,
+				},
+			});
+			const result = render('```shout showLineNumbers=false\nhello WORLD\n```\n\n```\nfoo bar\n```\n');
+			expect(result).to.eql([
+				'<pre><code class="hljs language-shout">hello <span class="hljs-keyword">WORLD</span></code></pre>',
+				'<pre><code class="hljs"><span class="code-line"><span class="code-line__number">1</span>foo bar</span></code></pre>',
+				'',
+			].join('\n'));
+		});
+		it('should skip highlighting of unknown languages with a warning', () => {
+			const render = createMarkdownRenderer();
+			const result = render('```nope\n<b>\n```\n');
+			expect(result).to.eql('<pre><code class="hljs language-nope">&#x3C;b></code></pre>\n');
+			expect(getDiagnostics().map(diagnostic => diagnostic.code)).to.eql(['unknown-code-language']);
+		});
+	});
+
+	describe('custom tags', () => {
+		/* eslint-disable no-console */
+		let error;
+		beforeEach(() => {
+			error = console.error;
+			console.error = () => {};
+		});
+		afterEach(() => {
+			console.error = error;
+		});
+		/* eslint-enable no-console */
+		const customTags = {
+			key: ({ children }) => `<kbd>${children}</kbd>`,
+			aside: ({ children }) => `<aside>${children}</aside>`,
+			group: ({ source }) => source
+				.split('\n')
+				.map(url => `<img src="${url}">`)
+				.join(''),
+			attrs: attrs => `<pre>${JSON.stringify(attrs)}</pre>`,
+			fail: () => {
+				throw new Error('noooo');
+			},
+		};
+		it('should render inline custom tags with Markdown inside', () => {
+			const render = createMarkdownRenderer({ hljs: false, customTags });
+			const result = render('Press <x-key>Ctrl + *C*</x-key> and <x-key>V</x-key>.\n');
+			expect(result).to.eql('<p>Press <kbd>Ctrl + <em>C</em></kbd> and <kbd>V</kbd>.</p>\n');
+		});
+		it('should render block custom tags spanning several paragraphs', () => {
+			const render = createMarkdownRenderer({ hljs: false, customTags });
+			const result = render([
+				'<x-aside>',
+				'## Note',
+				'',
+				'First paragraph.',
+				'',
+				'```',
+				'</x-aside>',
+				'```',
+				'</x-aside>',
+			].join('\n'));
+			expect(result).to.eql([
+				'<aside><h2 id="note">Note</h2>',
+				'<p>First paragraph.</p>',
+				'<pre><code>&#x3C;/x-aside>',
+				'</code></pre></aside>',
+				'',
+			].join('\n'));
+		});
+		it('should render nested custom tags', () => {
+			const render = createMarkdownRenderer({ hljs: false, customTags });
+			const result = render('<x-aside>\nOuter <x-key>K</x-key>\n\n<x-aside>\nInner\n</x-aside>\n</x-aside>\n');
+			expect(result).to.eql(
+				'<aside><p>Outer <kbd>K</kbd></p>\n<aside><p>Inner</p></aside></aside>\n'
+			);
+		});
+		it('should pass Markdown source of the content', () => {
+			const render = createMarkdownRenderer({ hljs: false, customTags });
+			const result = render('<x-group>\nhttp://example.com/1.jpg\nhttp://example.com/2.jpg\n</x-group>\n');
+			expect(result).to.eql('<img src="http://example.com/1.jpg"><img src="http://example.com/2.jpg">\n');
+		});
+		it('should parse JSON and boolean attributes', () => {
+			const render = createMarkdownRenderer({ hljs: false, customTags });
+			const result = render(
+				'<x-attrs str="foo" num=42 zip=007 bool=false items=\'["a", 1]\' data=\'{"a": 1}\' autoplay/>\n'
+			);
+			expect(result).to.eql(
+				'<pre>{"str":"foo","num":42,"zip":"007","bool":false,"items":["a",1],"data":{"a":1},"autoplay":true,' +
+				'"children":null,"source":null}</pre>\n'
+			);
+		});
+		it('should not treat unquoted values as attribute names', () => {
+			const render = createMarkdownRenderer({ hljs: false, customTags });
+			const result = render('<x-attrs count=5 name=bar flag/>\n');
+			expect(result).to.eql('<pre>{"count":5,"name":"bar","flag":true,"children":null,"source":null}</pre>\n');
+		});
+		it('should keep quoted values as strings', () => {
+			const render = createMarkdownRenderer({ hljs: false, customTags });
+			const result = render('<x-attrs version="1.0" count=\'5\' enabled="true" title="a &amp; b"/>\n');
+			expect(result).to.eql(
+				'<pre>{"version":"1.0","count":"5","enabled":"true","title":"a & b","children":null,"source":null}</pre>\n'
+			);
+		});
+		it('should pass a page context to custom tags', () => {
+			const render = createMarkdownRenderer({
+				hljs: false,
+				customTags: {
+					hello: (attrs, { title }) => `<b>${title}</b>`,
+				},
+			});
+			expect(render('Hello <x-hello/>!\n', { title: 'World' })).to.eql('<p>Hello <b>World</b>!</p>\n');
+		});
+		it('should return an inline error message when an inline custom tag throws', () => {
+			const render = createMarkdownRenderer({ hljs: false, customTags });
+			const result = render('Hello <x-fail>world</x-fail>!\n');
+			expect(result).to.eql(
+				'<p>Hello <b style="color:#c00; font-family:Helvetica">Error while rendering custom tag &lt;x-fail&gt;: ' +
+				'noooo</b>!</p>\n'
+			);
+		});
+	});
+
+	describe('heading IDs', () => {
+		it('should add unique IDs to headings', () => {
+			const render = createMarkdownRenderer({ hljs: false });
+			const result = render('# Hello *world*\n\n## Usage\n\n## Usage\n\n## Привет, мир\n');
+			expect(result).to.eql([
+				'<h1 id="hello-world">Hello <em>world</em></h1>',
+				'<h2 id="usage">Usage</h2>',
+				'<h2 id="usage-1">Usage</h2>',
+				'<h2 id="привет-мир">Привет, мир</h2>',
+				'',
+			].join('\n'));
+		});
+		it('should add self-link anchors', () => {
+			const render = createMarkdownRenderer({ hljs: false, headingAnchors: true });
+			expect(render('## Usage\n')).to.eql(
+				'<h2 id="usage">Usage<a href="#usage" class="heading-anchor" aria-hidden="true">#</a></h2>\n'
+			);
+		});
+		it('should add custom self-link anchors before heading text', () => {
+			const render = createMarkdownRenderer({
+				hljs: false,
+				headingAnchors: { symbol: '§', className: 'anchor', position: 'before' },
+			});
+			expect(render('## Usage\n')).to.eql(
+				'<h2 id="usage"><a href="#usage" class="anchor" aria-hidden="true">§</a>Usage</h2>\n'
+			);
+		});
+		it('should not add IDs if headingIds is false', () => {
+			const render = createMarkdownRenderer({ hljs: false, headingIds: false });
+			expect(render('## Usage\n')).to.eql('<h2>Usage</h2>\n');
+		});
+	});
+
+	describe('containers', () => {
+		/* eslint-disable no-console */
+		let error;
+		beforeEach(() => {
+			error = console.error;
+			console.error = () => {};
+		});
+		afterEach(() => {
+			console.error = error;
+		});
+		/* eslint-enable no-console */
+		it('should render containers with Markdown inside', () => {
+			const render = createMarkdownRenderer({ hljs: false });
+			const result = render([
+				':::warning Be *careful*',
+				'Some text.',
+				'',
+				'- one',
+				'- two',
+				'',
+				'```',
+				':::',
+				'```',
+				':::',
+			].join('\n'));
+			expect(result).to.eql([
+				'<div class="admonition admonition_warning">',
+				'<div class="admonition__title">Be <em>careful</em></div>',
+				'<p>Some text.</p>',
+				'<ul>',
+				'<li>one</li>',
+				'<li>two</li>',
+				'</ul>',
+				'<pre><code>:::',
+				'</code></pre>',
+				'</div>',
+				'',
+			].join('\n'));
+		});
+		it('should render nested containers', () => {
+			const render = createMarkdownRenderer({ hljs: false });
+			const result = render(':::note\nOuter\n\n:::tip\nInner\n:::\n:::\n');
+			expect(result).to.eql([
+				'<div class="admonition admonition_note">',
+				'<p>Outer</p>',
+				'<div class="admonition admonition_tip">',
+				'<p>Inner</p>',
+				'</div>',
+				'</div>',
+				'',
+			].join('\n'));
+		});
+		it('should use custom container types with default titles', () => {
+			const render = createMarkdownRenderer({
+				hljs: false,
+				containers: {
+					info: 'callout',
+					warning: { className: 'callout callout_warning', title: 'Warning' },
+				},
+			});
+			const result = render(':::info\nInfo\n:::\n\n:::warning\nCareful\n:::\n');
+			expect(result).to.eql([
+				'<div class="callout">',
+				'<p>Info</p>',
+				'</div>',
+				'<div class="callout callout_warning">',
+				'<div class="callout__title">Warning</div>',
+				'<p>Careful</p>',
+				'</div>',
+				'',
+			].join('\n'));
+		});
+		it('should render containers with custom tags', () => {
+			const render = createMarkdownRenderer({
+				hljs: false,
+				containers: {
+					details: { tag: 'spoiler' },
+				},
+				customTags: {
+					spoiler: ({ type, title, children }) => `<details class="${type}"><summary>${title}</summary>${children}</details>`,
+					quiz: ({ children }) => `<form>${children}</form>`,
+				},
+			});
+			const result = render(':::details Answer\n## 42\n:::\n\n:::quiz\nWhat?\n:::\n');
+			expect(result).to.eql([
+				'<details class="details"><summary>Answer</summary><h2 id="42">42</h2></details>',
+				'<form><p>What?</p></form>',
+				'',
+			].join('\n'));
+		});
+		it('should return an error message for unknown container types', () => {
+			const render = createMarkdownRenderer({ hljs: false });
+			const result = render(':::foo\nBar\n:::\n');
+			expect(String(result)).to.contain('Container type &quot;foo&quot; is not defined.');
+		});
+	});
+
 	describe('createSimpleMarkdownRenderer', () => {
 		it('should return function', () => {
 			const render = createSimpleMarkdownRenderer();
@@ -96,4 +414,121 @@ describe('markdown', () => {
 			expect(result).to.eql('https://instagram.com\nhttps://facebook.com');
 		});
 	});
+
+	describe('getMarkdownMetadata', () => {
+		it('should collect headings, links and images', () => {
+			const result = getMarkdownMetadata([
+				'# Hello *world*',
+				'',
+				'Text [link](http://example.com "Title") and ![Batman](/batman.png "Bat").',
+				'',
+				'See [docs][docs] and ![logo][logo].',
+				'',
+				'## Usage',
+				'',
+				'## Usage',
+				'',
+				'[docs]: /docs',
+				'[logo]: /logo.png "Logo"',
+			].join('\n'));
+			expect(result.headings).to.eql([
+				{ depth: 1, text: 'Hello world', id: 'hello-world' },
+				{ depth: 2, text: 'Usage', id: 'usage' },
+				{ depth: 2, text: 'Usage', id: 'usage-1' },
+			]);
+			expect(result.links).to.eql([
+				{ url: 'http://example.com', text: 'link' },
+				{ url: '/docs', text: 'docs' },
+			]);
+			expect(result.images).to.eql([
+				{ url: '/batman.png', alt: 'Batman', title: 'Bat' },
+				{ url: '/logo.png', alt: 'logo', title: 'Logo' },
+			]);
+		});
+		it('should collect metadata inside containers', () => {
+			const result = getMarkdownMetadata(':::note Read this\n## Heading\n\nSome words.\n:::\n');
+			expect(result.wordCount).to.eql(5);
+			expect(result.headings).to.eql([{ depth: 2, text: 'Heading', id: 'heading' }]);
+		});
+		it('should count words without code blocks and custom tags', () => {
+			const result = getMarkdownMetadata([
+				'Hello `world`, it’s a *test*.',
+				'',
+				'```js',
+				'const a = 1;',
+				'```',
+				'',
+				'<x-foo bar="1"></x-foo>',
+			].join('\n'));
+			expect(result.wordCount).to.eql(5);
+			expect(result.readingTime).to.eql(1);
+		});
+		it('should add metadata from the render pass to the context', () => {
+			// Remark plugin that numbers headings
+			const numberHeadings = () => ast => {
+				ast.children
+					.filter(node => node.type === 'heading')
+					.forEach((node, index) => node.children.unshift({ type: 'text', value: `${index + 1}. ` }));
+			};
+			const render = createMarkdownRenderer({ hljs: false, headingAnchors: true, plugins: [numberHeadings] });
+			const context = {};
+			const result = render('## Usage\n\nSee [docs](/docs).\n', context);
+			expect(result).to.contain('<h2 id="1-usage">');
+			expect(context.metadata.headings).to.eql([{ depth: 2, text: '1. Usage', id: '1-usage' }]);
+			expect(context.metadata.links).to.eql([{ url: '/docs', text: 'docs' }]);
+		});
+		it('should use heading IDs added by plugins', () => {
+			const customIds = () => ast => {
+				ast.children
+					.filter(node => node.type === 'heading')
+					.forEach(node => {
+						node.data = { hProperties: { id: 'custom' } };
+					});
+			};
+			const render = createMarkdownRenderer({ hljs: false, headingIds: false, plugins: [customIds] });
+			const context = {};
+			expect(render('## Usage\n', context)).to.eql('<h2 id="custom">Usage</h2>\n');
+			expect(context.metadata.headings).to.eql([{ depth: 2, text: 'Usage', id: 'custom' }]);
+		});
+		it('should return zero reading time for empty source', () => {
+			expect(getMarkdownMetadata('')).to.eql({
+				wordCount: 0,
+				readingTime: 0,
+				headings: [],
+				links: [],
+				images: [],
+				toc: [],
+			});
+		});
+	});
+
+	describe('parseCodeInfo', () => {
+		it('should parse language, highlighted lines and attributes', () => {
+			expect(parseCodeInfo('js {3,5-7} title="index.js" showLineNumbers')).to.eql({
+				lang: 'js',
+				highlight: [3, 5, 6, 7],
+				title: 'index.js',
+				showLineNumbers: true,
+			});
+			expect(parseCodeInfo('{1} title=\'a b\'')).to.eql({ highlight: [1], title: 'a b' });
+			expect(parseCodeInfo(null)).to.eql({ highlight: [] });
+		});
+	});
+
+	describe('createHeadingIdGenerator', () => {
+		it('should return unique heading IDs', () => {
+			const getId = createHeadingIdGenerator();
+			expect(getId('Hello world')).to.eql('hello-world');
+			expect(getId('Hello, world!')).to.eql('hello-world-1');
+			expect(getId('Привет')).to.eql('привет');
+			expect(getId('!!!')).to.eql('section');
+		});
+		it('should skip IDs that are already used', () => {
+			const getId = createHeadingIdGenerator();
+			expect(getId('Example 1')).to.eql('example-1');
+			expect(getId('Example')).to.eql('example');
+			expect(getId('Example')).to.eql('example-2');
+			expect(getId('Example 2')).to.eql('example-2-1');
+		});
+	});
 });
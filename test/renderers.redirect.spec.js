@@ -0,0 +1,38 @@
+import { expect } from 'chai';
+
+import renderRedirect, { formatRedirects, renderRedirectMap } from '../src/renderers/redirect';
+
+const redirects = [
+	{ from: '/old', to: '/blog/new' },
+	{ from: '/about-me', to: '/about' },
+];
+
+describe('redirect', () => {
+	it('should render a page with a redirect', () => {
+		const result = renderRedirect({ redirectTo: '/blog/new?a=1&b=2' });
+		expect(result).to.contain('<meta http-equiv="refresh" content="0; url=/blog/new?a=1&amp;b=2">');
+		expect(result).to.contain('<link rel="canonical" href="/blog/new?a=1&amp;b=2">');
+	});
+
+	describe('formatRedirects', () => {
+		it('should format Netlify redirects', () => {
+			expect(formatRedirects(redirects, 'netlify')).to.eql('/old /blog/new 301\n/about-me /about 301\n');
+		});
+		it('should format nginx map', () => {
+			expect(formatRedirects(redirects, 'nginx')).to.eql(
+				'map $uri $redirect_uri {\n\t/old /blog/new;\n\t/about-me /about;\n}\n'
+			);
+		});
+		it('should format Apache .htaccess', () => {
+			expect(formatRedirects(redirects, 'htaccess')).to.eql(
+				'Redirect 301 /old /blog/new\nRedirect 301 /about-me /about\n'
+			);
+		});
+	});
+
+	describe('renderRedirectMap', () => {
+		it('should render host config', () => {
+			expect(renderRedirectMap({ redirects, format: 'netlify' })).to.eql(formatRedirects(redirects, 'netlify'));
+		});
+	});
+});
@@ -3,10 +3,13 @@ import { expect } from 'chai';
 import renderRss from '../src/renderers/rss';
 import { readFile } from '../src/util';
 import * as helpers from '../src/helpers';
+import { getDiagnostics, clearDiagnostics } from '../src/diagnostics';
+
+/* eslint-disable no-console */
 
 describe('RSS', () => {
 	describe('render', () => {
-		it('should render an RSS feed', () => {
+		it('should render an RSS feed (without unpublished items)', () => {
 			let result = renderRss({
 				title: 'Hello',
 				description: 'My RSS',
@@ -26,6 +29,13 @@ describe('RSS', () => {
 						url: '/blog/2',
 						date: 'Jan 2, 2016',
 					},
+					{
+						title: 'Draft',
+						content: 'Not ready yet.',
+						url: '/blog/3',
+						date: 'Jan 3, 2016',
+						draft: true,
+					},
 				],
 				absolutizeUrl: helpers.absolutizeUrl,
 				absolutizeLinks: helpers.absolutizeLinks,
@@ -43,4 +53,140 @@ describe('RSS', () => {
 			expect(result).to.eql(readFile('test/expected/feed.xml'));
 		});
 	});
+
+	describe('podcast', () => {
+		const podcast = {
+			author: 'Artem Sapegin',
+			owner: {
+				name: 'Artem Sapegin',
+				email: 'artem@example.com',
+			},
+			image: '/images/podcast.jpg',
+			category: ['Technology > Tech News', 'Arts'],
+			explicit: false,
+			type: 'episodic',
+		};
+		const props = {
+			title: 'Hello',
+			description: 'My podcast',
+			lang: 'en',
+			layout: 'RSS',
+			url: '/podcast',
+			sourcePath: 'podcast.md',
+			podcast: true,
+			audioFolder: 'test/samples/podcast',
+			items: [
+				{
+					title: 'Episode 1',
+					content: 'Hello world 1.',
+					url: '/episodes/1',
+					date: 'Jan 1, 2016',
+					audio: '/audio/episode-1.mp3',
+					duration: '00:32:15',
+					season: 1,
+					episode: 1,
+					episodeType: 'full',
+				},
+				{
+					title: 'Episode 2',
+					content: 'Hello world 2.',
+					url: '/episodes/2',
+					date: 'Jan 2, 2016',
+					audio: {
+						url: 'https://cdn.example.com/episode-2.m4a',
+						length: 12345,
+						type: 'audio/x-m4a',
+					},
+					explicit: true,
+				},
+			],
+			config: {
+				base: {
+					podcast,
+				},
+			},
+			absolutizeUrl: helpers.absolutizeUrl,
+			absolutizeLinks: helpers.absolutizeLinks,
+			option(key) {
+				return {
+					url: 'http://example.com/',
+				}[key];
+			},
+		};
+
+		let error;
+		beforeEach(() => {
+			clearDiagnostics();
+			error = console.error;
+			console.error = () => {};
+		});
+		afterEach(() => {
+			console.error = error;
+			clearDiagnostics();
+		});
+
+		it('should render channel iTunes tags from config', () => {
+			const result = renderRss(props);
+			expect(result).to.contain('xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd"');
+			expect(result).to.contain('<itunes:author>Artem Sapegin</itunes:author>');
+			expect(result).to.contain(
+				'<itunes:owner>\n            <itunes:name>Artem Sapegin</itunes:name>\n' +
+				'            <itunes:email>artem@example.com</itunes:email>\n        </itunes:owner>'
+			);
+			expect(result).to.contain('<itunes:image href="http://example.com/images/podcast.jpg"/>');
+			expect(result).to.contain(
+				'<itunes:category text="Technology">\n            <itunes:category text="Tech News"/>\n' +
+				'        </itunes:category>'
+			);
+			expect(result).to.contain('<itunes:category text="Arts"/>');
+			expect(result).to.contain('<itunes:explicit>false</itunes:explicit>');
+			expect(result).to.contain('<itunes:type>episodic</itunes:type>');
+		});
+		it('should render episode enclosures and iTunes tags', () => {
+			const result = renderRss(props);
+			expect(result).to.contain(
+				'<enclosure url="http://example.com/audio/episode-1.mp3" length="18" type="audio/mpeg"/>'
+			);
+			expect(result).to.contain(
+				'<enclosure url="https://cdn.example.com/episode-2.m4a" length="12345" type="audio/x-m4a"/>'
+			);
+			expect(result).to.contain('<itunes:duration>00:32:15</itunes:duration>');
+			expect(result).to.contain('<itunes:season>1</itunes:season>');
+			expect(result).to.contain('<itunes:episode>1</itunes:episode>');
+			expect(result).to.contain('<itunes:episodeType>full</itunes:episodeType>');
+			expect(result).to.contain('<itunes:explicit>true</itunes:explicit>');
+			expect(getDiagnostics()).to.eql([]);
+		});
+		it('should take podcast options from a document', () => {
+			const result = renderRss({ ...props, podcast: { ...podcast, author: 'Batman' }, config: {} });
+			expect(result).to.contain('<itunes:author>Batman</itunes:author>');
+		});
+		it('should report missing required channel options', () => {
+			const result = renderRss({ ...props, podcast: { ...podcast, owner: { name: 'Artem' } } });
+			expect(result).to.contain('missing required podcast option &quot;owner.email&quot;');
+			expect(getDiagnostics()[0]).to.include({ code: 'podcast-missing-property' });
+		});
+		it('should report invalid explicit option', () => {
+			renderRss({ ...props, podcast: { ...podcast, explicit: 'no' } });
+			expect(getDiagnostics()[0].message).to.contain('"explicit" should be true or false');
+		});
+		it('should report episodes without audio and missing audio files', () => {
+			const result = renderRss({
+				...props,
+				items: [
+					{ title: 'Episode 3', url: '/episodes/3', sourcePath: 'episodes/3.md', content: '3' },
+					{ title: 'Episode 4', url: '/episodes/4', sourcePath: 'episodes/4.md', content: '4', audio: '/nope.mp3' },
+					{ title: 'Episode 5', url: '/episodes/5', sourcePath: 'episodes/5.md', content: '5', audio: { length: 1 } },
+				],
+			});
+			expect(result).not.to.contain('Episode 3');
+			expect(result).not.to.contain('Episode 5');
+			expect(result).to.contain('<enclosure url="http://example.com/nope.mp3" length="0" type="audio/mpeg"/>');
+			expect(getDiagnostics().map(diagnostic => [diagnostic.code, diagnostic.file])).to.eql([
+				['podcast-missing-property', 'episodes/3.md'],
+				['podcast-audio', 'episodes/4.md'],
+				['podcast-missing-property', 'episodes/5.md'],
+			]);
+		});
+	});
 });
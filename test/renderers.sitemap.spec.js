@@ -0,0 +1,67 @@
+import fs from 'fs';
+import { expect } from 'chai';
+
+import renderSitemap, { renderSitemapIndex, getLastmod } from '../src/renderers/sitemap';
+
+const absolutizeUrl = url => `http://example.com${url}`;
+
+describe('sitemap', () => {
+	describe('getLastmod', () => {
+		it('should return a front matter date', () => {
+			expect(getLastmod({ date: new Date(Date.UTC(2017, 1, 3)) })).to.eql('2017-02-03');
+			expect(getLastmod({ date: '2017-02-03', updated: '2017-03-04' })).to.eql('2017-03-04');
+		});
+		it('should return file modification time', () => {
+			const mtime = fs.statSync('test/samples/markdown.md').mtime.toISOString().substring(0, 10);
+			expect(getLastmod({ sourcePath: 'markdown.md' }, 'test/samples')).to.eql(mtime);
+		});
+		it('should return undefined if there’s no date', () => {
+			expect(getLastmod({ sourcePath: 'blog/page/2' }, 'test/samples')).to.be.undefined;
+			expect(getLastmod({ date: 'not a date' })).to.be.undefined;
+		});
+	});
+
+	describe('render', () => {
+		it('should render a sitemap', () => {
+			const result = renderSitemap({
+				absolutizeUrl,
+				items: [
+					{
+						url: '/',
+						sitemap: { priority: 1, changefreq: 'daily' },
+					},
+					{
+						url: '/en/about',
+						date: '2017-02-03',
+						translations: { en: '/en/about', ru: '/ru/about' },
+					},
+				],
+			});
+			expect(result).to.eql([
+				'<?xml version="1.0" encoding="UTF-8"?>',
+				'<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+				'\t<url>',
+				'\t\t<loc>http://example.com/</loc>',
+				'\t\t<changefreq>daily</changefreq>',
+				'\t\t<priority>1</priority>',
+				'\t</url>',
+				'\t<url>',
+				'\t\t<loc>http://example.com/en/about</loc>',
+				'\t\t<lastmod>2017-02-03</lastmod>',
+				'\t\t<xhtml:link rel="alternate" hreflang="en" href="http://example.com/en/about"/>',
+				'\t\t<xhtml:link rel="alternate" hreflang="ru" href="http://example.com/ru/about"/>',
+				'\t</url>',
+				'</urlset>',
+				'',
+			].join('\n'));
+		});
+		it('should render a sitemap index', () => {
+			const result = renderSitemapIndex({
+				absolutizeUrl,
+				sitemaps: ['/sitemap-1.xml', '/sitemap-2.xml'],
+			});
+			expect(result).to.contain('<sitemap>\n\t\t<loc>http://example.com/sitemap-1.xml</loc>\n\t</sitemap>');
+			expect(result).to.contain('<loc>http://example.com/sitemap-2.xml</loc>');
+		});
+	});
+});
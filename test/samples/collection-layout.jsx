@@ -0,0 +1,6 @@
+export default function({ title, collections }) {
+	return vdo('div', null, [
+		vdo('h1', null, title),
+		vdo('ul', null, collections.posts.map(post => vdo('li', null, vdo.markSafe(post.content)))),
+	]);
+}
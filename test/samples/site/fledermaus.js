@@ -0,0 +1,17 @@
+export const helpers = {
+	shout(text) {
+		return text.toUpperCase();
+	},
+};
+
+export function prepareDocuments(documents) {
+	return [
+		...documents,
+		{
+			sourcePath: 'about.md',
+			layout: 'page',
+			title: 'About',
+			content: '<p>About</p>',
+		},
+	];
+}
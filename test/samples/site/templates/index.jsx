@@ -0,0 +1,3 @@
+export default function($) {
+	return vdo('ul', null, $.documents.map(document => vdo('li', null, document.title)));
+}
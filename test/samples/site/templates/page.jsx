@@ -0,0 +1,6 @@
+export default function($) {
+	return vdo('div', null, [
+		vdo('h1', null, $.shout($.title)),
+		vdo.markSafe($.content)
+	]);
+}
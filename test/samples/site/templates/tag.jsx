@@ -0,0 +1,6 @@
+export default function($) {
+	return vdo('div', null, [
+		vdo('h1', null, `${$.term.name} (${$.term.count})`),
+		vdo('ul', null, $.documents.map(document => vdo('li', null, document.title))),
+	]);
+}
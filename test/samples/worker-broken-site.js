@@ -0,0 +1 @@
+throw new Error('Cannot load site module');
@@ -0,0 +1,10 @@
+import createMarkdownRenderer from '../../src/renderers/markdown';
+import createTemplateRenderer from '../../src/renderers/template';
+
+export const renderers = {
+	md: createMarkdownRenderer(),
+};
+
+export const templateRenderers = {
+	jsx: createTemplateRenderer({ root: 'test/samples' }),
+};
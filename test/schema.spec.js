@@ -0,0 +1,155 @@
+import { expect } from 'chai';
+
+import * as schema from '../src/schema';
+import { loadSourceFiles } from '../src/core';
+
+/* eslint-disable no-console */
+
+const source = `---
+layout: post
+title: Hello
+date: 2017-01-32
+tags:
+  - javascript
+  - cobol
+---
+
+Hello.
+`;
+
+describe('schema', () => {
+	describe('getSchemas', () => {
+		const schemas = {
+			post: { fields: { title: { required: true } } },
+			blog: { match: 'blog/**', fields: { date: { required: true } } },
+			page: { layout: 'page', match: 'pages/**', fields: {} },
+		};
+		it('should use schema name as a layout name', () => {
+			const result = schema.getSchemas(schemas, { layout: 'post' }, 'posts/hello.md');
+			expect(result).to.eql([schemas.post]);
+		});
+		it('should match schemas by a source path glob', () => {
+			const result = schema.getSchemas(schemas, { layout: 'post' }, 'blog/hello.md');
+			expect(result).to.eql([schemas.post, schemas.blog]);
+		});
+		it('should match schemas by a layout and a source path glob', () => {
+			expect(schema.getSchemas(schemas, { layout: 'page' }, 'pages/about.md')).to.eql([schemas.page]);
+			expect(schema.getSchemas(schemas, { layout: 'page' }, 'about.md')).to.eql([]);
+		});
+	});
+
+	describe('getFieldLine', () => {
+		it('should return line number of a field', () => {
+			const result = schema.getFieldLine(source, 'date');
+			expect(result).to.eql(4);
+		});
+		it('should return 1 if field is not found', () => {
+			const result = schema.getFieldLine(source, 'lang');
+			expect(result).to.eql(1);
+		});
+		it('should search only in front matter', () => {
+			const result = schema.getFieldLine(`${source}\nlang: en\n`, 'lang');
+			expect(result).to.eql(1);
+		});
+	});
+
+	describe('dateFormatToRegExp', () => {
+		it('should convert date format to RegExp', () => {
+			const regexp = schema.dateFormatToRegExp('DD.MM.YYYY HH:mm');
+			expect(regexp.test('27.03.2015 12:30')).to.be.true;
+			expect(regexp.test('2015-03-27')).to.be.false;
+		});
+	});
+
+	describe('validateField', () => {
+		it('should check required fields', () => {
+			expect(schema.validateField(undefined, { required: true }, 'title', source)).to.eql(['Required field "title" is missing.']);
+			expect(schema.validateField(undefined, { type: 'string' }, 'title', source)).to.eql([]);
+		});
+		it('should check types', () => {
+			expect(schema.validateField('Hello', { type: 'string' }, 'title', source)).to.eql([]);
+			expect(schema.validateField(42, { type: 'string' }, 'title', source)).to.eql(['Field "title" should be of type string but got 42.']);
+			expect(schema.validateField('Mar 27, 2015', { type: 'date' }, 'date', source)).to.eql([]);
+			expect(schema.validateField('yesterday', { type: 'date' }, 'date', source)).to.have.length(1);
+			expect(schema.validateField('foo', { type: 'array' }, 'tags', source)).to.have.length(1);
+		});
+		it('should check allowed values for every array item', () => {
+			const result = schema.validateField(['javascript', 'cobol'], { enum: ['javascript', 'css'] }, 'tags', source);
+			expect(result).to.eql(['Field "tags" has invalid value "cobol", allowed values: javascript, css.']);
+		});
+		it('should check date format using a raw value', () => {
+			expect(schema.validateField(new Date(), { format: 'YYYY-MM-DD' }, 'date', source)).to.eql([]);
+			expect(schema.validateField(new Date(), { format: 'DD.MM.YYYY' }, 'date', source)).to.eql([
+				'Field "date" should be in DD.MM.YYYY format but got "2017-01-32".',
+			]);
+		});
+		it('should throw on unknown type', () => {
+			expect(() => schema.validateField('Hello', { type: 'str' }, 'title', source)).to.throw(Error);
+		});
+	});
+
+	describe('validateSource', () => {
+		it('should return errors with file path and line', () => {
+			const result = schema.validateSource(source, 'blog/hello.md', {
+				post: {
+					fields: {
+						title: { required: true, type: 'string' },
+						lang: { required: true },
+						tags: { enum: ['javascript', 'css'] },
+					},
+				},
+			});
+			expect(result).to.eql([
+				{ filepath: 'blog/hello.md', line: 1, message: 'Required field "lang" is missing.' },
+				{ filepath: 'blog/hello.md', line: 5, message: 'Field "tags" has invalid value "cobol", allowed values: javascript, css.' },
+			]);
+		});
+	});
+
+	describe('loadSourceFiles with schemas', () => {
+		it('should print errors with code fragments once and throw before rendering', () => {
+			let rendered = 0;
+			const output = [];
+			const error = console.error;
+			console.error = message => output.push(message);
+			const func = () => loadSourceFiles('test/source', ['md'], {
+				renderers: {
+					md: () => {
+						rendered++;
+						return '';
+					},
+				},
+				schemas: {
+					post: {
+						fields: {
+							tags: { enum: ['javascript', 'thoughts'] },
+						},
+					},
+				},
+			});
+			try {
+				expect(func).to.throw('Front matter validation failed: 1 error.');
+			}
+			finally {
+				console.error = error;
+			}
+			expect(output).to.have.length(2);
+			expect(output[0]).to.contain('test/source/ru/debug-mode.md:7: Field "tags" has invalid value "stylus", "html", "tools"');
+			expect(output[1]).to.match(/> {3}7 \| tags:/);
+			expect(rendered).to.eql(0);
+		});
+		it('should load files if there are no errors', () => {
+			const result = loadSourceFiles('test/source', ['md'], {
+				schemas: {
+					post: {
+						fields: {
+							title: { required: true, type: 'string' },
+							lang: { enum: ['en', 'ru'] },
+						},
+					},
+				},
+			});
+			expect(result).to.have.length(3);
+		});
+	});
+});
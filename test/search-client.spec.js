@@ -0,0 +1,81 @@
+import { expect } from 'chai';
+
+import { tokenize, stem, getTerms, search } from '../src/search-client';
+import { buildSearchIndex } from '../src/search';
+
+describe('search client', () => {
+	describe('tokenize', () => {
+		it('should split text into lowercase words', () => {
+			expect(tokenize('Hello, World! Static-site &amp; Привет, мир 2017')).to.eql(
+				['hello', 'world', 'static', 'site', 'привет', 'мир', '2017']
+			);
+		});
+		it('should replace ё with е', () => {
+			expect(tokenize('Ёжик')).to.eql(['ежик']);
+		});
+		it('should return an empty array for empty text', () => {
+			expect(tokenize('')).to.eql([]);
+			expect(tokenize()).to.eql([]);
+		});
+	});
+
+	describe('stem', () => {
+		it('should stem English words', () => {
+			expect(stem('stories', 'en')).to.eql(stem('story', 'en'));
+			expect(stem('running', 'en')).to.eql('run');
+			expect(stem('generated', 'en')).to.eql(stem('generate', 'en'));
+			expect(stem('generating', 'en')).to.eql(stem('generate', 'en'));
+			expect(stem('sites', 'en')).to.eql(stem('site', 'en'));
+			expect(stem('class', 'en')).to.eql('class');
+		});
+		it('should stem Russian words', () => {
+			expect(stem('статьи', 'ru')).to.eql(stem('статья', 'ru'));
+			expect(stem('статьями', 'ru')).to.eql(stem('статья', 'ru'));
+			expect(stem('красивые', 'ru')).to.eql(stem('красивый', 'ru'));
+			expect(stem('учиться', 'ru')).to.eql(stem('учить', 'ru'));
+			expect(stem('ёжик', 'ru')).to.eql(stem('ежик', 'ru'));
+		});
+		it('should not change words in other languages', () => {
+			expect(stem('running', 'de')).to.eql('running');
+		});
+	});
+
+	describe('getTerms', () => {
+		it('should skip stop words', () => {
+			expect(getTerms('The best of the sites', 'en')).to.eql(['best', stem('site', 'en')]);
+		});
+	});
+
+	describe('search', () => {
+		const index = buildSearchIndex([
+			{ url: '/1', title: 'Static site generators', content: '<p>Fledermaus generates sites.</p>' },
+			{ url: '/2', title: 'JavaScript tips', tags: ['javascript'], content: '<p>Writing JavaScript for sites.</p>' },
+			{ url: '/3', title: 'Cooking', content: '<p>Nothing about sites here, just soup.</p>' },
+		], { lang: 'en' });
+
+		it('should return documents sorted by relevance', () => {
+			const result = search(index, 'sites');
+			expect(result.map(document => document.url)).to.eql(['/1', '/2', '/3']);
+			expect(result[0]).to.have.property('title', 'Static site generators');
+			expect(result[0].score).to.be.above(result[1].score);
+		});
+		it('should return documents containing all words', () => {
+			expect(search(index, 'site soup').map(document => document.url)).to.eql(['/3']);
+		});
+		it('should match the last word as a prefix', () => {
+			expect(search(index, 'java').map(document => document.url)).to.eql(['/2']);
+		});
+		it('should not stem the last word before prefix matching', () => {
+			expect(search(index, 'note')).to.eql([]);
+			expect(search(index, 'noth').map(document => document.url)).to.eql(['/3']);
+			expect(search(index, 'generated').map(document => document.url)).to.eql(['/1']);
+		});
+		it('should limit the number of results', () => {
+			expect(search(index, 'site', { limit: 1 })).to.have.length(1);
+		});
+		it('should return an empty array if nothing found', () => {
+			expect(search(index, 'batman')).to.eql([]);
+			expect(search(index, 'the')).to.eql([]);
+		});
+	});
+});
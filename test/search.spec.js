@@ -0,0 +1,74 @@
+import { expect } from 'chai';
+
+import { buildSearchIndex, buildSearchIndexes } from '../src/search';
+import { getPagePath } from '../src/core';
+import { getDiagnostics, clearDiagnostics } from '../src/diagnostics';
+
+/* eslint-disable no-console */
+
+describe('search', () => {
+	describe('buildSearchIndex', () => {
+		it('should build an inverted index', () => {
+			const result = buildSearchIndex([
+				{ url: '/1', title: 'Hello', content: '<p>Hello <b>world</b></p>', date: new Date() },
+				{ url: '/2', title: 'Worlds', tags: ['hello'] },
+			], { lang: 'en' });
+			expect(result.lang).to.eql('en');
+			expect(result.documents).to.eql([
+				{ url: '/1', title: 'Hello' },
+				{ url: '/2', title: 'Worlds' },
+			]);
+			expect(result.terms).to.eql({
+				hello: [0, 11, 1, 5],
+				world: [0, 1, 1, 10],
+			});
+		});
+		it('should use custom fields and stored fields', () => {
+			const result = buildSearchIndex([
+				{ url: '/1', title: 'Hello', description: 'Batman' },
+			], { fields: { description: 2 }, store: ['url'] });
+			expect(result.documents).to.eql([{ url: '/1' }]);
+			expect(result.terms).to.eql({ batman: [0, 2] });
+		});
+	});
+
+	describe('buildSearchIndexes', () => {
+		const documents = [
+			{ sourcePath: 'en/1.md', url: '/en/1', lang: 'en', title: 'One', content: 'One' },
+			{ sourcePath: 'ru/1.md', url: '/ru/1', lang: 'ru', title: 'Один', content: 'Один' },
+			{ sourcePath: 'about.md', url: '/about', title: 'About', content: 'About' },
+			{ sourcePath: 'draft.md', url: '/draft', title: 'Draft', content: 'Draft', draft: true },
+			{ sourcePath: 'secret.md', url: '/secret', title: 'Secret', content: 'Secret', search: false },
+			{ sourcePath: 'blog', url: '/blog', layout: 'index' },
+		];
+		it('should build one index page per language', () => {
+			const result = buildSearchIndexes(documents, {}, { lang: 'en' });
+			expect(result.documents.map(document => [document.layout, getPagePath(document)])).to.eql([
+				['SearchIndex', 'search/en.json'],
+				['SearchIndex', 'search/ru.json'],
+			]);
+			expect(result.documents[0].url).to.eql('/search/en.json');
+			expect(result.documents[0].index.documents.map(document => document.url)).to.eql(['/en/1', '/about']);
+			expect(result.documents[1].index.lang).to.eql('ru');
+		});
+		it('should include only given collections', () => {
+			const result = buildSearchIndexes(documents, { collections: ['posts'], urlPrefix: '/find' }, {
+				collections: { posts: [documents[0], documents[4]] },
+			});
+			expect(result.documents).to.have.length(1);
+			expect(getPagePath(result.documents[0])).to.eql('find/en.json');
+			expect(result.documents[0].index.documents).to.eql([{ url: '/en/1', title: 'One' }]);
+		});
+		it('should report unknown collections', () => {
+			clearDiagnostics();
+			const error = console.error;
+			console.error = () => {};
+			const result = buildSearchIndexes(documents, { collections: ['pizza'] });
+			console.error = error;
+			const diagnostics = getDiagnostics();
+			clearDiagnostics();
+			expect(result.documents).to.eql([]);
+			expect(diagnostics[0]).to.include({ code: 'search-collection' });
+		});
+	});
+});
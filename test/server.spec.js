@@ -0,0 +1,99 @@
+import path from 'path';
+import http from 'http';
+import { expect } from 'chai';
+
+import * as server from '../src/server';
+
+/* eslint-disable no-console */
+
+function get(port, url) {
+	return new Promise((resolve, reject) => {
+		http.get({ host: 'localhost', port, path: url }, res => {
+			let body = '';
+			res.on('data', chunk => {
+				body += chunk;
+			});
+			res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body }));
+		}).on('error', reject);
+	});
+}
+
+describe('server', () => {
+	describe('getFilepathForUrl', () => {
+		it('should return a path to an existing file', () => {
+			const result = server.getFilepathForUrl('test/samples/public', '/style.css');
+			expect(result).to.eql(path.resolve('test/samples/public/style.css'));
+		});
+		it('should add .html extension', () => {
+			const result = server.getFilepathForUrl('test/samples/public', '/post');
+			expect(result).to.eql(path.resolve('test/samples/public/post.html'));
+		});
+		it('should return index.html for a folder', () => {
+			const result = server.getFilepathForUrl('test/samples/public', '/');
+			expect(result).to.eql(path.resolve('test/samples/public/index.html'));
+		});
+		it('should return null if file does not exist', () => {
+			const result = server.getFilepathForUrl('test/samples/public', '/nope');
+			expect(result).to.be.null;
+		});
+		it('should throw URIError for malformed paths', () => {
+			expect(() => server.getFilepathForUrl('test/samples/public', '/%E0%A4%A')).to.throw(URIError);
+		});
+		it('should return null for paths outside of the folder', () => {
+			const result = server.getFilepathForUrl('test/samples/public', '/../file.txt');
+			expect(result).to.be.null;
+		});
+	});
+
+	describe('injectLiveReload', () => {
+		it('should add script before the closing body tag', () => {
+			const result = server.injectLiveReload('<body><h1>Hi</h1></body>');
+			expect(result).to.match(/^<body><h1>Hi<\/h1><script>[\s\S]*EventSource[\s\S]*<\/script><\/body>$/);
+		});
+		it('should append script if there’s no body tag', () => {
+			const result = server.injectLiveReload('<h1>Hi</h1>');
+			expect(result).to.match(/^<h1>Hi<\/h1><script>/);
+		});
+	});
+
+	describe('serve', () => {
+		let dev;
+		let port;
+		before(done => {
+			const log = console.log;
+			console.log = () => {};
+			dev = server.serve('test/samples/public', { port: 0 });
+			dev.server.on('listening', () => {
+				console.log = log;
+				port = dev.server.address().port;
+				done();
+			});
+		});
+		after(done => dev.close(done));
+
+		it('should serve HTML with live reload script', () => {
+			return get(port, '/post').then(res => {
+				expect(res.status).to.eql(200);
+				expect(res.type).to.eql('text/html; charset=utf-8');
+				expect(res.body).to.contain('<h1>Post</h1><script>');
+			});
+		});
+		it('should serve other files as is', () => {
+			return get(port, '/style.css').then(res => {
+				expect(res.status).to.eql(200);
+				expect(res.type).to.eql('text/css; charset=utf-8');
+				expect(res.body).to.eql('a{}\n');
+			});
+		});
+		it('should return 404 for missing files', () => {
+			return get(port, '/nope').then(res => {
+				expect(res.status).to.eql(404);
+			});
+		});
+		it('should return 400 for malformed URLs', () => {
+			return get(port, '/%E0%A4%A').then(res => {
+				expect(res.status).to.eql(400);
+			});
+		});
+	});
+});
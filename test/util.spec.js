@@ -19,6 +19,21 @@ describe('util', () => {
 		});
 	});
 
+	describe('slugify', () => {
+		it('should convert a string to a URL slug', () => {
+			const result = util.slugify('Hello, World! JavaScript & CSS');
+			expect(result).to.eql('hello-world-javascript-css');
+		});
+		it('should remove Latin diacritics', () => {
+			const result = util.slugify('Über café');
+			expect(result).to.eql('uber-cafe');
+		});
+		it('should keep non-Latin letters', () => {
+			const result = util.slugify('Привет — «мир»');
+			expect(result).to.eql('привет-мир');
+		});
+	});
+
 	describe('readFile', () => {
 		it('should return a file content', () => {
 			const result = util.readFile('test/samples/file.txt');
@@ -26,6 +41,28 @@ describe('util', () => {
 		});
 	});
 
+	describe('memoizeByFile', () => {
+		beforeEach(done => rimraf('test/tmp', done));
+		it('should call a function again when a file changes and keep one result per file', () => {
+			const filepath = 'test/tmp/memoized.txt';
+			util.writeFile(filepath, 'Hello.');
+			let calls = 0;
+			const read = util.memoizeByFile(file => {
+				calls++;
+				return util.readFile(file);
+			});
+			expect(read(filepath)).to.eql('Hello.');
+			expect(read(filepath)).to.eql('Hello.');
+			expect(calls).to.eql(1);
+
+			util.writeFile(filepath, 'Bye.');
+			fs.utimesSync(filepath, new Date(), new Date(Date.now() + 10000));
+			expect(read(filepath)).to.eql('Bye.');
+			expect(calls).to.eql(2);
+			expect(read.cache.size).to.eql(1);
+		});
+	});
+
 	describe('writeFile', () => {
 		beforeEach(done => rimraf('test/tmp', done));
 		it('should saves a string to a file on a disk', () => {
@@ -36,6 +73,25 @@ describe('util', () => {
 		});
 	});
 
+	describe('mapLimit', () => {
+		it('should map items keeping the order and the concurrency limit', () => {
+			let running = 0;
+			let maxRunning = 0;
+			const delays = [30, 10, 20, 5, 15];
+			return util.mapLimit(delays, 2, (delay, index) => new Promise(resolve => {
+				running++;
+				maxRunning = Math.max(maxRunning, running);
+				setTimeout(() => {
+					running--;
+					resolve(index * 2);
+				}, delay);
+			})).then(result => {
+				expect(result).to.eql([0, 2, 4, 6, 8]);
+				expect(maxRunning).to.eql(2);
+			});
+		});
+	});
+
 	describe('readYamlFile', () => {
 		it('should read and parse YAML file', () => {
 			const result = util.readYamlFile('test/samples/file.yml');
@@ -43,6 +99,33 @@ describe('util', () => {
 		});
 	});
 
+	describe('readJsonFile', () => {
+		it('should read and parse JSON file', () => {
+			const result = util.readJsonFile('test/samples/data/friends/blogs.json');
+			expect(result).to.eql([{ name: 'Sara', url: 'http://example.com' }]);
+		});
+	});
+
+	describe('parseCsv', () => {
+		it('should parse CSV with a header', () => {
+			const result = util.parseCsv('name,year\nfoo,2016\r\nbar,2017\n\n');
+			expect(result).to.eql([
+				{ name: 'foo', year: '2016' },
+				{ name: 'bar', year: '2017' },
+			]);
+		});
+		it('should parse quoted values', () => {
+			const result = util.parseCsv('name,description\nfoo,"Hello, ""world""\nand moon"');
+			expect(result).to.eql([
+				{ name: 'foo', description: 'Hello, "world"\nand moon' },
+			]);
+		});
+		it('should return an empty array for an empty string', () => {
+			const result = util.parseCsv('');
+			expect(result).to.eql([]);
+		});
+	});
+
 	describe('formatFieldsForSortByOrder', () => {
 		it('should prepare fields list in short format to _.orderBy()', () => {
 			const result = util.formatFieldsForSortByOrder(['foo', '-bar']);
@@ -144,6 +227,61 @@ describe('util', () => {
 		});
 	});
 
+	describe('countWords', () => {
+		it('should count words by script', () => {
+			expect(util.countWords('Hello, world! It’s a well-known test. Привет, мир! 你好世界')).to.eql({
+				latin: 6,
+				cyrillic: 2,
+				cjk: 4,
+			});
+		});
+	});
+
+	describe('getWordCount', () => {
+		it('should return the number of words', () => {
+			expect(util.getWordCount('Hello, world! Привет, мир! 你好')).to.eql(6);
+			expect(util.getWordCount('')).to.eql(0);
+		});
+	});
+
+	describe('getReadingTime', () => {
+		it('should return reading time in minutes depending on a script', () => {
+			const words = count => new Array(count + 1).join('word ');
+			expect(util.getReadingTime(words(230))).to.eql(1);
+			expect(util.getReadingTime(words(231))).to.eql(2);
+			expect(util.getReadingTime(new Array(361).join('слово '))).to.eql(2);
+			expect(util.getReadingTime(new Array(1001).join('字'))).to.eql(2);
+			expect(util.getReadingTime('')).to.eql(0);
+		});
+	});
+
+	describe('buildToc', () => {
+		it('should build a nested table of contents', () => {
+			const result = util.buildToc([
+				{ depth: 2, text: 'A', id: 'a' },
+				{ depth: 3, text: 'B', id: 'b' },
+				{ depth: 4, text: 'C', id: 'c' },
+				{ depth: 2, text: 'D', id: 'd' },
+				{ depth: 4, text: 'E', id: 'e' },
+			], { maxDepth: 3 });
+			expect(result).to.eql([
+				{ depth: 2, text: 'A', id: 'a', children: [{ depth: 3, text: 'B', id: 'b', children: [] }] },
+				{ depth: 2, text: 'D', id: 'd', children: [] },
+			]);
+		});
+		it('should handle skipped levels', () => {
+			const result = util.buildToc([
+				{ depth: 3, text: 'A', id: 'a' },
+				{ depth: 2, text: 'B', id: 'b' },
+				{ depth: 4, text: 'C', id: 'c' },
+			]);
+			expect(result).to.eql([
+				{ depth: 3, text: 'A', id: 'a', children: [] },
+				{ depth: 2, text: 'B', id: 'b', children: [{ depth: 4, text: 'C', id: 'c', children: [] }] },
+			]);
+		});
+	});
+
 	describe('markdownBlock', () => {
 		it('should return rendered to HTML Markdown', () => {
 			const result = util.markdownBlock('Hello *world*!');
@@ -166,6 +304,16 @@ describe('util', () => {
 	});
 
 	describe('errorHtml', () => {
+		/* eslint-disable no-console */
+		let error;
+		beforeEach(() => {
+			error = console.error;
+			console.error = () => {};
+		});
+		afterEach(() => {
+			console.error = error;
+		});
+		/* eslint-enable no-console */
 		it('should return an HTML document', () => {
 			const result = util.errorHtml('Error in <tag>');
 			expect(result.trim().startsWith('<title>Error</title>')).to.be.true;
@@ -173,7 +321,69 @@ describe('util', () => {
 		});
 	});
 
+	describe('getPublishStatus', () => {
+		const now = new Date(Date.UTC(2017, 0, 15));
+		it('should return undefined for published documents', () => {
+			const result = util.getPublishStatus({ publishDate: new Date(Date.UTC(2017, 0, 1)), expiryDate: 'Feb 1, 2017' }, now);
+			expect(result).to.be.undefined;
+		});
+		it('should return draft for drafts', () => {
+			const result = util.getPublishStatus({ draft: true }, now);
+			expect(result).to.eql('draft');
+		});
+		it('should return scheduled if publish date is in the future', () => {
+			const result = util.getPublishStatus({ publishDate: 'Feb 1, 2017' }, now);
+			expect(result).to.eql('scheduled');
+		});
+		it('should return expired if expiry date is in the past', () => {
+			const result = util.getPublishStatus({ expiryDate: new Date(Date.UTC(2017, 0, 1)) }, now);
+			expect(result).to.eql('expired');
+		});
+	});
+
+	describe('isListable', () => {
+		it('should return false for unpublished documents', () => {
+			expect(util.isListable({ draft: true })).to.be.false;
+			expect(util.isListable({ title: 'Post' })).to.be.true;
+		});
+		it('should return true for unpublished documents included to a development build', () => {
+			const result = util.isListable({ draft: true, publishStatus: 'draft' });
+			expect(result).to.be.true;
+		});
+	});
+
+	describe('isErrorHtml', () => {
+		/* eslint-disable no-console */
+		let error;
+		beforeEach(() => {
+			error = console.error;
+			console.error = () => {};
+		});
+		afterEach(() => {
+			console.error = error;
+		});
+		/* eslint-enable no-console */
+		it('should return true for an error document', () => {
+			const result = util.isErrorHtml(util.errorHtml('Error in <tag>'));
+			expect(result).to.be.true;
+		});
+		it('should return false for other documents', () => {
+			const result = util.isErrorHtml('<h1>Hello</h1>');
+			expect(result).to.be.false;
+		});
+	});
+
 	describe('errorInlineHtml', () => {
+		/* eslint-disable no-console */
+		let error;
+		beforeEach(() => {
+			error = console.error;
+			console.error = () => {};
+		});
+		afterEach(() => {
+			console.error = error;
+		});
+		/* eslint-enable no-console */
 		it('should return an HTML', () => {
 			const result = util.errorInlineHtml('Error in <tag>');
 			expect(result.toString()).to.eql('<b style="color:#c00; font-family:Helvetica">Error in &lt;tag&gt;</b>');
@@ -0,0 +1,76 @@
+import path from 'path';
+import { expect } from 'chai';
+
+import * as watch from '../src/watch';
+import { errorHtml } from '../src/util';
+
+function createServer() {
+	const events = [];
+	return {
+		events,
+		reload: () => events.push(['reload']),
+		showError: html => events.push(['error', html]),
+	};
+}
+
+describe('watch', () => {
+	describe('clearRequireCache', () => {
+		it('should remove modules in given folders from the require cache', () => {
+			const filepath = path.resolve('test/samples/watch/module.js');
+			require(filepath);
+			expect(require.cache[filepath]).to.be.an('object');
+			watch.clearRequireCache(['test/samples/watch']);
+			expect(require.cache[filepath]).to.be.undefined;
+		});
+		it('should keep modules outside of given folders', () => {
+			const filepath = path.resolve('test/samples/watch/module.js');
+			require(filepath);
+			watch.clearRequireCache(['test/samples/public']);
+			expect(require.cache[filepath]).to.be.an('object');
+		});
+	});
+
+	describe('runBuild', () => {
+		/* eslint-disable no-console */
+		let error;
+		beforeEach(() => {
+			error = console.error;
+			console.error = () => {};
+		});
+		afterEach(() => {
+			console.error = error;
+		});
+		/* eslint-enable no-console */
+		it('should reload browsers after a successful build', () => {
+			const server = createServer();
+			return watch.runBuild(() => [{ pagePath: 'index.html', content: '<h1>Hi</h1>' }], server).then(() => {
+				expect(server.events).to.eql([['reload']]);
+			});
+		});
+		it('should show an error document rendered by a page', () => {
+			const server = createServer();
+			const html = errorHtml('Error in <tag>');
+			return watch.runBuild(() => [
+				{ pagePath: 'index.html', content: '<h1>Hi</h1>' },
+				{ pagePath: 'post.html', content: html },
+			], server).then(() => {
+				expect(server.events).to.eql([['error', html]]);
+			});
+		});
+		it('should show an error if the build function throws', () => {
+			const server = createServer();
+			return watch.runBuild(() => {
+				throw new Error('Nope');
+			}, server).then(() => {
+				expect(server.events[0][0]).to.eql('error');
+				expect(server.events[0][1]).to.contain('Nope');
+			});
+		});
+		it('should accept a build function that returns a promise', () => {
+			const server = createServer();
+			return watch.runBuild(() => Promise.resolve([]), server).then(() => {
+				expect(server.events).to.eql([['reload']]);
+			});
+		});
+	});
+});